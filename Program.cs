@@ -22,4 +22,51 @@ app.UseAuthorization();
 
 app.MapRazorPages();
 
+if (app.Environment.IsDevelopment())
+{
+    // Local stand-in for the entity change stream that site.js listens to (see connectLiveUpdates):
+    // sends a made-up change every few seconds until the client disconnects. The layout names it in
+    // data-live-updates-url in Development only, so elsewhere pages keep polling.
+    var openIncidents = 7;
+    app.MapGet("/api/events", async (HttpContext context, CancellationToken cancellationToken) =>
+    {
+        context.Response.Headers.ContentType = "text/event-stream";
+        context.Response.Headers.CacheControl = "no-cache";
+
+        var random = new Random();
+        var eventId = 0;
+        var logId = 1000;
+        object NewIncident()
+        {
+            Interlocked.Increment(ref openIncidents);
+            return new { entity = "OperationsLog", action = "created", id = ++logId, data = new { logId, timestamp = DateTime.UtcNow, eventType = "Machine Alert", source = $"Line {random.Next(1, 5)}", status = "Open", details = "Simulated event" } };
+        }
+        object NextChange() => random.Next(3) switch
+        {
+            0 => new { entity = "APInvoice", action = "updated", id = random.Next(1, 21), data = new { status = "Paid" } },
+            1 => NewIncident(),
+            _ => new { entity = "ProjectUpdate", action = "updated", id = random.Next(1, 11), data = new { progress = random.Next(0, 101), lastUpdate = DateTime.UtcNow } }
+        };
+
+        try
+        {
+            await context.Response.WriteAsync("retry: 5000\n\n", cancellationToken);
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                var change = System.Text.Json.JsonSerializer.Serialize(NextChange());
+                await context.Response.WriteAsync($"id: {++eventId}\ndata: {change}\n\n", cancellationToken);
+                await context.Response.Body.FlushAsync(cancellationToken);
+                await Task.Delay(TimeSpan.FromSeconds(5), cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // The client went away
+        }
+    });
+
+    // Stand-in for the Operations dashboard's Open Incidents KPI, which reloads when the stream reports a new incident
+    app.MapGet("/api/OperationsLogs/open-incidents", () => new { value = Volatile.Read(ref openIncidents) });
+}
+
 app.Run();
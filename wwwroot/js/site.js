@@ -8,29 +8,100 @@ const dataTableManager = {};
  * Initia   zes a DataTable with given configuration and registers it with the manager.
  * This function now focuses on setting up the DataTable for data management,
  * and the actual rendering (table, card, chart) is handled by separate toggle functions.
+ * Tables and card views are keyboard-navigable ARIA grids (see handleGridKeydown).
  * @param {object} config - Configuration object for DataTable and custom views.
  * @param {string} config.tableId - The ID of the HTML table element.
- * @param {Array<object>} config.columns - DataTable column definitions.
- * @param {string} config.ajaxUrl - URL for AJAX data source.
+ * @param {Array<object>} config.columns - DataTable column definitions. A column may declare a `type` ('currency', 'date', 'datetime',
+ *   'percent', 'number', 'status', 'email', 'phone', 'reference', 'boolean' or 'text'; see COLUMN_TYPES) instead of writing
+ *   its own renderer, and `filter: true` for a filter control chosen by that type (see initializeColumnFilters).
+ * @param {string} [config.ajaxUrl] - URL for AJAX data source. Without it the table shows the rows already in its `<tbody>`
+ *   (mapped to `columns` by position), e.g. on pages with static rows.
  * @param {string} [config.ajaxMethod='GET'] - HTTP method for AJAX.
+ * @param {number} [config.ajaxTimeout=30000] - Milliseconds before a table (or server chart) request counts as timed out.
+ *   Failed loads keep the table and its rows, and show an overlay with a Retry button (see showLoadError).
  * @param {string} [config.dataSrc=''] - DataTables dataSrc option.
  * @param {boolean} [config.serverSide=false] - Whether server-side processing is enabled.
  * @param {number} [config.pageLength=10] - Number of rows per page.
- * @param {Array<Array>} [config.defaultOrder=[]] - Default ordering.
+ * @param {Array<Array>} [config.defaultOrder=[]] - Default ordering as `[[columnIndex, dir]]`, indexes into `columns` as configured.
  * @param {boolean} [config.initialIsCardView=false] - Initial view state (card or table).
  * @param {boolean} [config.initialIsChartView=false] - Initial view state (chart or table/card).
  * @param {object} [config.chartConfig] - Configuration for Chart.js if chart view is enabled.
  * @param {string} config.chartConfig.type - Chart type (e.g., 'bar', 'line').
- * @param {Function} config.chartConfig.processData - Function to transform AJAX data for the chart.
+ * @param {Function} config.chartConfig.processData - `(rows, columns) => chartData`; receives the table's filtered rows (see getChartData).
+ * @param {string} [config.chartConfig.dataSource='table'] - 'server' to fetch chart data from `chartConfig.ajaxUrl` (default `ajaxUrl`) instead of the table.
+ * @param {boolean} [config.chartConfig.useSelection=false] - Chart only the selected rows while any are selected.
  * @param {object} [config.chartConfig.options] - Chart.js options.
- * @param {object} [config.rowGroup] - Configuration for DataTables RowGroup extension.
+ * @param {object} [config.chartConfig.drillDown] - `{ column, bucket, value }`: clicking a point filters the table to its rows (see getChartDrillDownFilters).
+ * @param {string|object} [config.chartConfig.valueFormat='number'] - How tooltips, the value axis and the chart's text summary format values, e.g. 'currency' (see formatByType).
+ * @param {boolean} [config.chartBuilder=true] - Offer the chart builder panel in chart view (see renderChartBuilder). Tables without
+ *   a `chartConfig` still get a chart view, drawn from the builder's default settings; false disables both.
+ * @param {object} [config.rowGroup] - Configuration for DataTables RowGroup extension. Groups get subtotal rows for aggregate columns unless `endRender` is given.
+ *   A `startRender(rows, group, level)` labels the runtime group headers; `rows` includes the rows of collapsed groups.
+ * @param {Array<string>|boolean} [config.groupBy] - Column keys to group by initially (users change it with the Group control), or false to keep a fixed `rowGroup` and hide the control.
+ * @param {object|boolean} [config.pivot] - Pivot defaults `{ rows, columns, columnBucket, measure, aggregate }`, or false to hide pivot mode.
+ * @param {Array<string>} [config.footerScopes=['page','filtered','all']] - Footer rows shown for aggregate columns.
+ *   Columns opt in with `aggregate: true` (sum) or a list of 'sum', 'avg', 'min', 'max', 'count'.
+ * @param {Array<object>} [config.summaries] - Page elements kept in sync with table aggregates (see updateTableSummaries).
+ * @param {Function} [config.cardViewRender] - Card template `(rowData, rowIndex, api) => html`; a generic card is used when omitted.
+ *   Each card is announced by its first heading, and `<div class="card-item"><strong>Label:</strong> value</div>` fields are
+ *   read with their labels (see labelCardFields).
+ * @param {string|Function} [config.cardHeader] - HTML (or `(api, instance) => html`) rendered above the cards.
+ * @param {string|Function} [config.cardFooter] - HTML (or `(api, instance) => html`) rendered below the cards.
+ * @param {object} [config.cardOptions] - Card view options.
+ * @param {boolean} [config.cardOptions.sortable=true] - Show the card sort control.
+ * @param {Array<string>} [config.cardOptions.sortColumns] - Column data keys offered in the sort control (default: all orderable columns).
+ * @param {Array<string>} [config.cardOptions.sizes=['sm','md','lg']] - Card sizes offered in the size control.
+ * @param {string} [config.cardOptions.defaultSize='md'] - Initial card size.
+ * @param {Array<object>} [config.filters] - Filter inputs bound to columns by data key.
+ *   Each entry is `{ column, input, type: 'equals'|'contains', label }` or `{ column, from, to, type: 'range'|'dateRange', label }`.
+ *   Client-side tables filter locally; server-side tables receive the active filters as `filters` in the request.
+ * @param {string} [config.rowId] - Data key that uniquely identifies a row (default: the first data column).
+ * @param {object|boolean} [config.export] - Export menu options, or false to hide the menu.
+ * @param {Array<string>} [config.export.formats=['csv','xlsx','pdf']] - Formats offered.
+ * @param {string} [config.export.fileName] - Base file name (default: the table ID).
+ * @param {string} [config.export.title] - Title used for the PDF heading and the XLSX sheet name.
+ * @param {string} [config.export.companyName] - Company shown in the PDF header (default: the active company, see setActiveCompany).
+ * @param {string} [config.preferencesUrl] - Preferences endpoint for the column layout (`GET`/`PUT {url}/{tableId}`); localStorage is used when omitted.
+ * @param {boolean} [config.savedViews=true] - Show the saved views selector above the table.
+ * @param {boolean} [config.urlState=true] - Read the table state from, and write it to, the query string (see syncTableStateToUrl).
+ * @param {string|Function} [config.editUrl] - Row resource for inline edits: a URL with an `{id}` placeholder or `(rowData) => url` (default `{ajaxUrl}/{id}`).
+ *   Columns opt in to inline editing with `editable: { type: 'text'|'number'|'date'|'select', options, validate }`,
+ *   where `options` (select only) is an array of values or `{ value, label }` (or a function of the row), and
+ *   `validate(value, rowData)` returns false or an error message to reject a value. Custom card templates make a
+ *   field editable by marking its element with `data-edit-column="{column data key}"`.
+ * @param {boolean} [config.selectable=false] - Add a checkbox column (and card checkboxes) for selecting rows.
+ * @param {Array<object>} [config.bulkActions] - Actions for the selected rows, shown in a bar above the table (requires `selectable`).
+ *   Each entry is `{ label, icon, className, confirm, method, url, data, input, handler, removeRows, permission }`; see runBulkAction
+ *   and sendBulkActionRequest; DELETE actions must name their `url`. `confirm` may use a `{count}` placeholder; `input: { type: 'select'|'text', label, options }`
+ *   asks for a value that `data(rowData, inputValue)` can use.
+ * @param {Array<object>} [config.actions] - Per-row actions, rendered in an Actions column and in every card (see renderRowActions).
+ *   Each entry is `{ label, icon, method, url, confirm, visible, permission, className, data, handler, removeRow }`. GET actions
+ *   without a handler are links to `url`; other actions send `method` to `url` (`{id}` placeholder or `(rowData) => url`;
+ *   default: the row resource, except DELETE, which must name its `url`) and refresh the row with the response (see runRowAction). `confirm` (text with `{field}`
+ *   placeholders, or `(rowData) => text`) asks first in a modal, `visible(rowData)` hides the action for some rows and
+ *   `permission` hides it from users who lack that permission (see hasPermission).
+ * @param {object} [config.childRow] - Expandable details under each row (and a collapsible section in each card), fetched on first expand.
+ *   Either one section or `{ label, sections: [...] }`; a section is `{ title, url, dataSrc, columns, render, emptyText }`,
+ *   where `url` has an `{id}` placeholder (or is `(rowData) => url`) and the records are shown as a mini-table of
+ *   `columns` or by `render(records, rowData)`. See loadChildRowSection.
+ * @param {boolean|number|object} [config.autoRefresh] - Reload the table periodically: true (every 30 s), an interval in seconds,
+ *   or `{ interval, intervals, paused }`. Users pick the interval and pause/resume in the toolbar; each refresh keeps the page,
+ *   order, selection and scroll position and highlights the rows that changed (see refreshTable). Needs `ajaxUrl`.
+ *   Polls are skipped while `liveUpdates` are connected.
+ * @param {string|Array<string>|object} [config.liveUpdates] - Entity name(s), or `{ entity }`, whose server-pushed change notifications
+ *   update the table's rows in place (see initializeLiveUpdates and flushLiveChanges). Off when the page names no stream (see getLiveUpdatesUrl).
+ * @param {string} [config.filterBadges] - Selector of the container for the active-filter badge bar (default `#{tableId}-filter-badges`, created above the table).
  */
 function LoadDataTable(config) {
-    if (!config || !config.tableId || !config.columns || !config.ajaxUrl) {
-        console.error("LoadDataTable: Missing required configuration properties (tableId, columns, ajaxUrl).");
+    if (!config || !config.tableId || !config.columns) {
+        console.error("LoadDataTable: Missing required configuration properties (tableId, columns).");
         return;
     }
 
+    // Expand typed columns and build their filter controls before any saved state is applied to them
+    config.columns = config.columns.map(applyColumnType);
+    initializeColumnFilters(config);
+
     const $table = $(`#${config.tableId}`);
 
     // Store/update internal state for this specific DataTable
@@ -39,53 +110,125 @@ function LoadDataTable(config) {
         isCardView: config.initialIsCardView || false,
         isChartView: config.initialIsChartView || false,
         chartInstance: null,
+        cardSize: (config.cardOptions && config.cardOptions.defaultSize) || 'md',
+        selectedRowIds: new Set(), // IDs (see getRowId) of the selected rows
+        selectedRowData: new Map(), // Row data of the selected rows by ID, for rows that are no longer loaded
+        expandedRowIds: new Set(), // IDs of the rows whose child row is open (see toggleChildRow)
+        gridFocus: { rowId: null, rowIndex: 0, column: 0, active: false }, // Keyboard focus position in the table or cards (see setGridFocus)
+        childRowCache: new Map(), // Child row HTML promises by row ID
+        groupBy: Array.isArray(config.groupBy) ? config.groupBy.slice() : [].concat((config.rowGroup && config.rowGroup.dataSrc) || []), // Runtime group-by column keys
+        collapsedGroups: new Set(), // Keys of collapsed groups (see getGroupKey)
+        collapsedRows: new Map(), // Rows filtered out under collapsed groups, by group key (see the group collapse hook)
+        isPivotView: false,
+        pivotSettings: null, // Pivot dimensions and measure (see getPivotSettings)
+        chartBuilder: null, // The user's chart builder settings; null draws the page's chartConfig (see getChartBuilderSettings)
+        chartBuilderOpen: false, // Whether the chart builder panel is expanded
+        activeFilters: null, // Filters of the current client-side search pass (see the ext.search hook under Table Filters)
+        drillPath: [], // Chart drill-down levels `{ label, filters, fromTableChart }` (see drillDownTable)
+        linkedCharts: {}, // Standalone charts drawn from the table by canvas ID (see renderLinkedChart)
+        loadRetry: {}, // Retry state of failed loads by source, 'table' or 'chart' (see showLoadError)
+        autoRefresh: null, // Interval, pause state, timer and last update time (see initializeAutoRefresh)
+        liveUpdates: null, // Queued change notifications (see initializeLiveUpdates)
+        columns: null, // Column definitions in the user's saved order/visibility (see applyColumnLayout)
+        viewLayout: null, // Column layout of an applied saved view or shared link, used instead of the saved one until the user changes columns
+        pendingViewState: null, // Search/order/paging to restore on the next initialization (see captureTableViewState)
         originalConfig: config, // Store original config to re-initialize DataTable
         table: null // Will store the DataTable instance
     };
 
     const instanceState = dataTableManager[config.tableId];
 
+    // On first initialization, start from a shared view link or the user's default saved view
+    if (!instanceState.table) {
+        const startupView = getStartupViewState(config.tableId);
+        if (startupView) primeTableViewState(config.tableId, startupView);
+    }
+
+    instanceState.columns = applyColumnLayout(config.columns, instanceState.viewLayout || loadColumnLayout(config.tableId));
+    if (config.childRow) {
+        instanceState.columns.unshift(buildExpandColumn(config.tableId));
+    }
+    if (config.selectable) {
+        instanceState.columns.unshift(buildSelectionColumn(config.tableId));
+    }
+    if (config.actions && config.actions.length) {
+        instanceState.columns.push(buildActionsColumn(config.tableId));
+    }
+    const columns = instanceState.columns;
+
+    // Restore search/order/paging captured before a rebuild, mapping sort columns by data key. The default order
+    // is mapped the same way, as the columns may have been reordered or gained control columns.
+    const pendingState = instanceState.pendingViewState;
+    instanceState.pendingViewState = null;
+    const initialOrder = orderKeysToIndexes(columns, pendingState ? pendingState.order : getDefaultOrderKeys(config));
+
     // If DataTable is already initialized, destroy it to re-initialize with new config
     // This handles cases where LoadDataTable might be called again (e.g., switching from chart back to table)
+    // Tables without an ajaxUrl keep the rows they read from the page's markup
+    let staticRows;
     if ($.fn.DataTable.isDataTable($table)) {
         console.log(`Destroying existing DataTable for #${config.tableId} for re-initialization.`);
+        if (!config.ajaxUrl) staticRows = $table.DataTable().rows().data().toArray();
         $table.DataTable().destroy();
         $table.empty(); // Clear existing table content to prevent issues
     }
 
-    // Re-add original headers and an empty tbody if the table structure is gone
+    // Re-add original headers and an empty tbody if the table structure is gone, or if the page's
+    // markup does not match the columns (e.g. the selection column was added)
     // This is crucial for DataTables to initialize correctly
-    if ($table.find('thead').length === 0) {
+    if ($table.find('thead').length === 0 || $table.find('thead th').length !== columns.length) {
         let headerHtml = '<thead><tr>';
-        config.columns.forEach(col => {
-            // Only add headers for columns that are not 'Actions' or custom renderers
-            // For 'Actions' column, include its title if defined
-            headerHtml += `<th class="px-4 py-2 text-sm font-semibold text-gray-700 uppercase tracking-wider">${col.title || ''}</th>`;
+        columns.forEach(col => {
+            headerHtml += buildTableHeaderCell(col);
         });
         headerHtml += '</tr></thead><tbody></tbody>';
         $table.html(headerHtml);
     }
+    // Footer rows for aggregate columns (see updateAggregateFooter)
+    const footerHtml = buildAggregateFooter(config, columns);
+    if (footerHtml) {
+        $table.find('tfoot').remove();
+        $table.append(footerHtml);
+    }
 
     // Initialize DataTable
     const dataTableInstance = $table.DataTable({
         processing: true,
         serverSide: config.serverSide || false,
-        ajax: {
+        data: staticRows,
+        ajax: config.ajaxUrl ? {
             url: config.ajaxUrl,
             method: config.ajaxMethod || 'GET',
+            timeout: config.ajaxTimeout || LOAD_RETRY.timeout,
             dataSrc: config.dataSrc || '',
+            data: function (d) {
+                if (!config.serverSide) return;
+                // The server applies the configured filters and any chart drill-down filters
+                const filters = getTableFilterValues(config.tableId);
+                if (config.filters || filters.length) {
+                    d.filters = filters.map(({ column, type, value, from, to }) => ({ column, type, value, from, to }));
+                }
+            },
             error: function (xhr, error, thrown) {
+                if (error === 'abort') return; // Superseded by a newer request
                 console.error(`AJAX error for DataTable ${config.tableId}:`, error, thrown, xhr);
-                // Optionally display an error message in the table area
-                $table.html('<tbody><tr><td colspan="' + config.columns.length + '" class="text-center text-red-500 py-4">Error loading data. Please try again.</td></tr></tbody>');
+                // Overriding DataTables' handler leaves its processing indicator up
+                $table.closest('.dataTables_wrapper').find('.dataTables_processing').hide();
+                // The table and any rows already loaded stay as they are; the overlay offers a retry
+                showLoadError(config.tableId, 'table', { xhr: xhr, textStatus: error }, () => {
+                    dataTableManager[config.tableId].table.ajax.reload(null, false);
+                });
             }
-        },
-        columns: config.columns,
+        } : undefined,
+        columns: columns.map(toDataTableColumn),
         responsive: true,
-        pageLength: config.pageLength || 10,
-        order: config.defaultOrder || [],
+        pageLength: pendingState ? pendingState.length : (config.pageLength || 10),
+        order: initialOrder,
+        search: pendingState ? { search: pendingState.search } : undefined,
+        displayStart: pendingState ? pendingState.start : 0,
         // --- RowGroup extension support ---
-        rowGroup: config.rowGroup || undefined,
+        rowGroup: buildRowGroupOptions(config.tableId),
+        orderFixed: instanceState.groupBy.length ? { pre: getGroupOrder(instanceState) } : undefined,
         // drawCallback is primarily for internal DataTable rendering adjustments.
         // Custom view rendering (cards, chart) is now handled externally by toggle functions.
         drawCallback: function (settings) {
@@ -95,13 +238,19 @@ function LoadDataTable(config) {
 
             const $tableWrapper = $table.closest('.dataTables_wrapper');
             const $chartContainer = $(`#${config.tableId}-chart-container`);
-            const $cardsContainer = $(`#${config.tableId}-cards-container`);
+            const $cardsContainer = getCardsContainer(config.tableId);
 
             // Ensure correct container is visible based on current state
-            if (currentPageState.isChartView) {
+            if (currentPageState.isPivotView) {
+                $tableWrapper.hide();
+                $cardsContainer.hide();
+                $chartContainer.hide();
+                renderPivot(config.tableId); // The pivot follows filters and search
+            } else if (currentPageState.isChartView) {
                 $tableWrapper.hide();
                 $cardsContainer.hide();
                 $chartContainer.show();
+                refreshChart(config.tableId); // The chart follows filters and search
             } else if (currentPageState.isCardView) {
                 $tableWrapper.hide();
                 $chartContainer.hide();
@@ -112,35 +261,275 @@ function LoadDataTable(config) {
                 $cardsContainer.hide();
                 $chartContainer.hide();
             }
+
+            updateActiveFilterBadges(config.tableId);
+            updateDrillBreadcrumbs(config.tableId);
+            refreshLinkedCharts(config.tableId);
+            updateSelectionUi(config.tableId);
+            updateAggregateFooter(config.tableId);
+            updateTableSummaries(config.tableId);
+            if (!currentPageState.isCardView) {
+                restoreExpandedRows(config.tableId);
+                updateGridAccessibility(config.tableId);
+            }
+            syncTableStateToUrl(config.tableId);
         }
     });
 
+    // A successful (re)load clears the error overlay of a failed one (rebuilds keep the table element, so unbind first)
+    $table.off('xhr.dt.loadError').on('xhr.dt.loadError', function (e, settings, json) {
+        if (json) clearLoadError(config.tableId, 'table');
+    });
+
     // Store the DataTable instance in the manager
     instanceState.table = dataTableInstance;
+    instanceState.pagePath = window.location.pathname;
     console.log(`DataTable for ${config.tableId} initialized.`);
 
-    // Apply initial view state based on config
-    if (instanceState.isChartView) {
-        toggleChartView(config.tableId); // This will hide table and render chart
-    } else if (instanceState.isCardView) {
-        toggleTableView(config.tableId); // This will hide table and render cards
+    bindTableFilters(config.tableId);
+    bindInlineEditing(config.tableId);
+    initializeRowSelection(config.tableId);
+    bindRowActions(config.tableId);
+    bindChildRows(config.tableId);
+    initializeKeyboardNavigation(config.tableId);
+    initializeExportMenu(config.tableId);
+    initializeColumnChooser(config.tableId);
+    initializeGroupBy(config.tableId);
+    initializeAutoRefresh(config.tableId);
+    initializeLiveUpdates(config.tableId);
+
+    // Apply the current view state (initial config, or the mode kept across a rebuild)
+    if (instanceState.isChartView && hasChartView(config)) {
+        getCardsContainer(config.tableId).hide().empty();
+        $(`#${config.tableId}`).closest('.dataTables_wrapper').hide();
+        renderChart(config.tableId);
     } else {
-        // Default to table view, ensure table is visible and cards/chart are hidden
-        $(`#${config.tableId}`).closest('.dataTables_wrapper').show();
-        $(`#${config.tableId}-cards-container`).hide().empty();
+        instanceState.isChartView = false;
         destroyChart(config.tableId);
+        if (instanceState.isCardView) {
+            renderCards(config.tableId); // Hides the table; redrawn with data by drawCallback
+        } else {
+            // Default to table view, ensure table is visible and cards are hidden
+            $(`#${config.tableId}`).closest('.dataTables_wrapper').show();
+            getCardsContainer(config.tableId).hide().empty();
+        }
     }
 
+    initializeSavedViews(config.tableId);
+
     return dataTableInstance;
 }
 
 /**
- * Renders the DataTable data as cards in a separate container.
- * This function is called when switching to card view or on redraws while in card view.
+ * Tailwind grid column classes applied to the card grid for each card size.
+ */
+const CARD_SIZE_CLASSES = {
+    sm: 'grid-cols-1 sm:grid-cols-3 lg:grid-cols-4',
+    md: 'grid-cols-1 sm:grid-cols-2 lg:grid-cols-3',
+    lg: 'grid-cols-1 lg:grid-cols-2'
+};
+
+/** Names of the card sizes, for the size control and its announcements. */
+const CARD_SIZE_NAMES = { sm: 'Small', md: 'Medium', lg: 'Large' };
+
+/**
+ * Escapes a value for safe interpolation into HTML markup.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped string ('' for null/undefined).
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Returns the card view container for a table, creating it after the DataTable wrapper if needed.
+ * Pages may declare either `#{tableId}-cards-container` or the older `#{tableId}-card-view`.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {boolean} [create=false] - Create the container when it does not exist yet.
+ * @returns {jQuery} The container (possibly empty if not found and create is false).
+ */
+function getCardsContainer(tableId, create = false) {
+    let $cardsContainer = $(`#${tableId}-cards-container`);
+    if ($cardsContainer.length === 0) {
+        $cardsContainer = $(`#${tableId}-card-view`);
+    }
+    if ($cardsContainer.length === 0 && create) {
+        $cardsContainer = $(`<div id="${tableId}-cards-container" class="mt-4"></div>`);
+        $(`#${tableId}`).closest('.dataTables_wrapper').after($cardsContainer);
+        console.log(`Created cards container #${tableId}-cards-container.`);
+    }
+    return $cardsContainer;
+}
+
+/**
+ * Builds the generic card used when a table config does not supply `cardViewRender`.
+ * Lists every titled column as a label/value pair of a description list and appends the Actions column last.
+ * @param {object} rowData - The row's data object.
+ * @param {Array<object>} columns - DataTable column definitions from the table config.
+ * @returns {string} Card HTML.
+ */
+function defaultCardTemplate(rowData, columns) {
+    let fieldsHtml = '';
+    let actionsHtml = '';
+    columns.forEach(col => {
+        if (!col.title) return;
+        if (col.data === null && col.render) {
+            actionsHtml += `<div class="card-item card-actions mt-4">${col.render(rowData, 'display', rowData)}</div>`;
+            return;
+        }
+        let value = rowData[col.data];
+        if (value === undefined || value === null) {
+            value = '<span class="text-gray-400">N/A</span>';
+        } else if (col.render && typeof col.render === 'function') {
+            value = col.render(value, 'display', rowData);
+        } else if (col.render && typeof col.render.display === 'function') {
+            value = col.render.display(value, 'display', rowData);
+        } else if (typeof value === 'object') {
+            value = escapeHtml(JSON.stringify(value));
+        } else {
+            value = escapeHtml(value);
+        }
+        const editAttrs = col.editable ? ` data-edit-column="${escapeHtml(col.data)}" class="text-gray-800 cursor-pointer" title="Click to edit"` : ' class="text-gray-800"';
+        fieldsHtml += `<div class="card-item"><dt class="inline text-gray-700">${col.title}:</dt> <dd class="inline mb-0"><span${editAttrs}>${value}</span></dd></div>`;
+    });
+    return `<div class="data-card bg-white p-6 rounded-xl shadow-md hover:shadow-lg transition-shadow duration-200"><dl class="card-fields mb-0">${fieldsHtml}</dl>${actionsHtml}</div>`;
+}
+
+/**
+ * Marks up the `<div class="card-item"><strong>Label:</strong> value</div>` fields of custom card templates as a
+ * description list, so screen readers read each value with its label. Adjacent fields share one list.
+ * @param {jQuery} $card - The rendered card.
+ */
+function labelCardFields($card) {
+    const $items = $card.find('.card-item').filter((index, item) => $(item).children().first().is('strong') && $(item).closest('dl').length === 0);
+    $items.each(function () {
+        const label = $(this).children('strong')[0];
+        const nodes = $(this).contents().toArray();
+        const $definition = $('<dd class="inline mb-0"></dd>').append(nodes.slice(nodes.indexOf(label) + 1));
+        $(label).replaceWith($('<dt></dt>').attr('class', label.className).addClass('inline').html(label.innerHTML));
+        $(this).append($definition);
+    });
+    $items.each(function () {
+        if ($(this).parent().is('dl')) return;
+        let $run = $(this);
+        for (let next = this.nextElementSibling; next && $items.is(next); next = next.nextElementSibling) {
+            $run = $run.add(next);
+        }
+        $run.wrapAll('<dl class="card-fields mb-0"></dl>');
+    });
+}
+
+/**
+ * Returns a short name for a row, from its first titled column with a value, e.g. 'Invoice ID 1001'.
+ * Used to label cards whose template has no heading.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} rowData - The row's data object.
+ * @returns {string} Row name.
+ */
+function getRowLabel(tableId, rowData) {
+    const instance = dataTableManager[tableId];
+    const column = instance.columns.find(col => {
+        const value = col.title && col.data !== null ? rowData[col.data] : null;
+        return value !== null && value !== undefined && value !== '' && typeof value !== 'object';
+    });
+    return column ? `${column.title} ${rowData[column.data]}` : `Row ${getRowId(instance.originalConfig, rowData)}`;
+}
+
+/**
+ * Resolves a card header/footer slot, which may be an HTML string or a function returning one.
+ * @param {string|Function} slot - The slot definition from the table config.
+ * @param {object} api - DataTables API instance.
+ * @param {object} instance - The dataTableManager entry for the table.
+ * @returns {string} Slot HTML ('' when no slot is configured).
+ */
+function resolveCardSlot(slot, api, instance) {
+    if (!slot) return '';
+    return typeof slot === 'function' ? (slot(api, instance) || '') : slot;
+}
+
+/**
+ * Builds the search, sort and size controls shown above the cards.
+ * Searching and sorting drive the DataTable's own search and order, so table and card views stay in sync.
  * @param {string} tableId - The ID of the HTML table element.
+ * @returns {string} Toolbar HTML.
+ */
+function buildCardToolbar(tableId) {
+    const instance = dataTableManager[tableId];
+    const cardOptions = instance.originalConfig.cardOptions || {};
+    const api = instance.table;
+    // The table's search box is hidden with the table, so the cards get their own
+    let toolbarHtml = `<input type="search" class="card-search form-control form-control-sm w-auto" placeholder="Search..." aria-label="Search" value="${escapeHtml(api.search())}">`;
+
+    if (cardOptions.sortable !== false) {
+        const allowedKeys = Array.isArray(cardOptions.sortColumns) ? cardOptions.sortColumns : null;
+        const currentOrder = api.order()[0] || [];
+        let optionsHtml = '<option value="">Sort by...</option>';
+        instance.columns.forEach((col, index) => {
+            if (!col.title || col.data === null || col.orderable === false) return;
+            if (allowedKeys && !allowedKeys.includes(col.data)) return;
+            const selected = currentOrder[0] === index ? ' selected' : '';
+            optionsHtml += `<option value="${index}"${selected}>${escapeHtml(col.title)}</option>`;
+        });
+        const direction = currentOrder[1] === 'desc' ? 'desc' : 'asc';
+        toolbarHtml += `
+            <div class="flex items-center gap-2">
+                <select class="card-sort-select form-select form-select-sm" aria-label="Sort cards">${optionsHtml}</select>
+                <button type="button" class="card-sort-dir btn btn-sm btn-outline-secondary" data-dir="${direction}" title="Toggle sort direction">
+                    <i class="bi bi-sort-${direction === 'asc' ? 'up' : 'down'}"></i>
+                </button>
+            </div>`;
+    }
+
+    const sizes = cardOptions.sizes || Object.keys(CARD_SIZE_CLASSES);
+    if (sizes.length > 1) {
+        const labels = { sm: 'S', md: 'M', lg: 'L' };
+        toolbarHtml += '<div class="btn-group btn-group-sm" role="group" aria-label="Card size">';
+        sizes.forEach(size => {
+            const pressed = instance.cardSize === size;
+            toolbarHtml += `<button type="button" class="card-size-btn btn btn-outline-secondary${pressed ? ' active' : ''}" data-size="${size}" aria-label="${CARD_SIZE_NAMES[size] || size} cards" aria-pressed="${pressed}">${labels[size] || size}</button>`;
+        });
+        toolbarHtml += '</div>';
+    }
+
+    return `<div class="card-view-toolbar col-span-full flex flex-wrap justify-between items-center gap-3 mb-4">${toolbarHtml}</div>`;
+}
+
+/**
+ * Builds the card pager. It mirrors the DataTable's current page, so paging here pages the table too.
+ * @param {object} api - DataTables API instance.
+ * @returns {string} Pager HTML ('' when everything fits on one page).
  */
+function buildCardPager(api) {
+    const info = api.page.info();
+    if (info.pages <= 1) return '';
+
+    const first = Math.max(0, Math.min(info.page - 2, info.pages - 5));
+    const last = Math.min(info.pages - 1, first + 4);
+    let buttonsHtml = `<button type="button" class="card-page-btn btn btn-sm btn-outline-secondary" data-page="previous"${info.page === 0 ? ' disabled' : ''}>&laquo;</button>`;
+    for (let page = first; page <= last; page++) {
+        const active = page === info.page ? ' active' : '';
+        buttonsHtml += `<button type="button" class="card-page-btn btn btn-sm btn-outline-secondary${active}" data-page="${page}">${page + 1}</button>`;
+    }
+    buttonsHtml += `<button type="button" class="card-page-btn btn btn-sm btn-outline-secondary" data-page="next"${info.page === info.pages - 1 ? ' disabled' : ''}>&raquo;</button>`;
+
+    return `
+        <div class="card-view-pager col-span-full flex flex-wrap justify-between items-center gap-3 mt-4">
+            <span class="text-sm text-gray-500">Showing ${info.start + 1} to ${info.end} of ${info.recordsDisplay} entries</span>
+            <div class="btn-group" role="group" aria-label="Card pages">${buttonsHtml}</div>
+        </div>`;
+}
+
 /**
- * Renders the DataTable data as cards in a separate container.
+ * Renders the DataTable's current page as cards in a separate container.
+ * Uses the table config's `cardViewRender` template when present, wrapped by the optional
+ * `cardHeader`/`cardFooter` slots, the sort/size toolbar and a pager tied to the DataTable page.
+ * This function is called when switching to card view or on redraws while in card view.
  * @param {string} tableId - The ID of the HTML table element.
  */
 function renderCards(tableId) {
@@ -150,16 +539,12 @@ function renderCards(tableId) {
         return;
     }
 
-    const $table = $(`#${tableId}`);
-    const $tableWrapper = $table.closest('.dataTables_wrapper');
-    let $cardsContainer = $(`#${tableId}-cards-container`);
-
-    // Ensure the cards container exists and is correctly placed
-    if ($cardsContainer.length === 0) {
-        $cardsContainer = $(`<div id="${tableId}-cards-container" class="row mt-4"></div>`);
-        $tableWrapper.after($cardsContainer);
-        console.log(`Created cards container #${tableId}-cards-container.`);
-    }
+    const config = instance.originalConfig;
+    const $tableWrapper = $(`#${tableId}`).closest('.dataTables_wrapper');
+    const $cardsContainer = getCardsContainer(tableId, true);
+    // Searching re-renders the cards; the search box keeps its focus and caret
+    const searchInput = $cardsContainer.find('.card-search').filter(':focus')[0];
+    const searchCaret = searchInput ? searchInput.selectionStart : null;
 
     $tableWrapper.hide();
     $cardsContainer.empty().show(); // Clear existing content and show the container
@@ -169,39 +554,108 @@ function renderCards(tableId) {
 
     console.log(`Rendering ${data.length} cards for ${tableId}.`);
 
+    let cardsHtml = '';
     if (data.length === 0) {
-        $cardsContainer.html('<p class="text-gray-600 text-center py-4">No data available to display in card view.</p>');
-        return;
-    }
+        cardsHtml = '<p class="text-gray-600 text-center py-4">No data available to display in card view.</p>';
+    } else {
+        const pageStart = api.page.info().start;
+        data.forEach((rowData, index) => {
+            const cardHtml = config.cardViewRender
+                ? config.cardViewRender(rowData, pageStart + index, api)
+                : defaultCardTemplate(rowData, instance.columns.filter(col => col.visible !== false));
+            // The wrapper ties each card back to its row (inline editing and other per-row features)
+            const rowId = getRowId(config, rowData);
+            // Custom templates that do not place the row actions themselves get them appended
+            const actionsHtml = config.actions && !cardHtml.includes('row-actions') ? renderRowActions(tableId, rowData) : '';
+            const $item = $('<div>').html(cardHtml);
+            const $card = $item.children().first();
+            // The actions and the details section go inside the card itself
+            if (actionsHtml) $card.append(`<div class="card-item card-actions mt-4">${actionsHtml}</div>`);
+            if (config.childRow) $card.append(buildCardChildSection(tableId, rowId));
+            labelCardFields($card);
 
-    let cardsHtml = '';
-    data.forEach(d => {
-        cardsHtml += '<div class="data-card col m-2 bg-white p-6 rounded-xl shadow-md hover:shadow-lg transition-shadow duration-200">';
-        instance.originalConfig.columns.forEach(col => {
-            if (col.title) {
-                let value = d[col.data];
-                if (col.data === null && col.render) {
-                    value = col.render(d, 'display', d);
-                    cardsHtml += `<div class="card-item card-actions mt-4">${value}</div>`;
-                } else if (value !== undefined && value !== null) {
-                    if (typeof value === 'object') {
-                        value = JSON.stringify(value);
-                    }
-                    cardsHtml += `<div class="card-item"><strong class="text-gray-700">${col.title}:</strong> <span class="text-gray-800">${value}</span></div>`;
-                } else {
-                    value = '<span class="text-gray-400">N/A</span>';
-                    cardsHtml += `<div class="card-item"><strong class="text-gray-700">${col.title}:</strong> <span class="text-gray-800">${value}</span></div>`;
-                }
+            // Each card is an article named by its heading (or, without one, by its row) and is a cell of the
+            // card grid's keyboard navigation (see updateGridAccessibility)
+            const $heading = $card.find('h1, h2, h3, h4, h5, h6').first();
+            const label = $heading.text().trim() || getRowLabel(tableId, rowData);
+            let labelAttr = `aria-label="${escapeHtml(label)}"`;
+            if ($heading.text().trim()) {
+                if (!$heading.attr('id')) $heading.attr('id', `${tableId}-card-${pageStart + index}-title`);
+                labelAttr = `aria-labelledby="${escapeHtml($heading.attr('id'))}"`;
             }
+            const selectHtml = config.selectable
+                ? `<input type="checkbox" class="form-check-input row-select absolute top-3 right-3 z-10" data-row-id="${escapeHtml(rowId)}" aria-label="Select ${escapeHtml(label)}">`
+                : '';
+            cardsHtml += `<div class="card-view-item relative rounded-xl" role="listitem" data-row-id="${escapeHtml(rowId)}"><article class="card-view-cell h-full rounded-xl" tabindex="-1" ${labelAttr}>${selectHtml}${$item.html()}</article></div>`;
         });
-        // Ensure actions are added even if not the last column in the loop
-        const actionsColumn = instance.originalConfig.columns.find(col => col.data === null && col.render && col.title === "Actions");
-        if (actionsColumn && !cardsHtml.includes('card-actions')) { // Prevent double adding if already added in loop
-            cardsHtml += `<div class="card-item card-actions mt-4">${actionsColumn.render(d, 'display', d)}</div>`;
-        }
-        cardsHtml += '</div>';
-    });
-    $cardsContainer.html(cardsHtml);
+    }
+
+    const sizeClasses = CARD_SIZE_CLASSES[instance.cardSize] || CARD_SIZE_CLASSES.md;
+    $cardsContainer.html(`
+        ${resolveCardSlot(config.cardHeader, api, instance) ? `<div class="card-view-header col-span-full mb-4">${resolveCardSlot(config.cardHeader, api, instance)}</div>` : ''}
+        ${buildCardToolbar(tableId)}
+        <div class="card-view-grid col-span-full grid ${sizeClasses} gap-6" role="list" aria-label="${escapeHtml(getTableLabel(tableId))}">${cardsHtml}</div>
+        ${buildCardAggregateSummary(tableId)}
+        ${buildCardPager(api)}
+        ${resolveCardSlot(config.cardFooter, api, instance) ? `<div class="card-view-footer col-span-full mt-4">${resolveCardSlot(config.cardFooter, api, instance)}</div>` : ''}
+    `);
+
+    // Delegated handlers are rebound on every render so they always target the current instance.
+    $cardsContainer.off('.cardView')
+        .on('change.cardView', '.card-sort-select', function () {
+            const columnIndex = $(this).val();
+            if (columnIndex === '') return;
+            const direction = $cardsContainer.find('.card-sort-dir').data('dir') || 'asc';
+            api.order([parseInt(columnIndex, 10), direction]).draw();
+        })
+        .on('click.cardView', '.card-sort-dir', function () {
+            const current = api.order()[0];
+            if (!current) return;
+            api.order([current[0], current[1] === 'asc' ? 'desc' : 'asc']).draw();
+        })
+        .on('click.cardView', '.card-size-btn', function () {
+            const size = $(this).data('size');
+            instance.cardSize = size;
+            renderCards(tableId);
+            // The toolbar was rendered again; the focus stays on the size control
+            $cardsContainer.find(`.card-size-btn[data-size="${size}"]`).trigger('focus');
+            announce(`${CARD_SIZE_NAMES[size] || size} cards.`);
+        })
+        .on('click.cardView', '.card-page-btn', function () {
+            const page = $(this).data('page');
+            api.page(page).draw('page'); // drawCallback re-renders the cards
+        })
+        .on('click.cardView', '.card-child-toggle', function () {
+            toggleChildRow(tableId, String($(this).closest('.card-view-item').data('row-id')));
+        })
+        .on('change.cardView', '.row-select', function () {
+            toggleRowSelectionById(tableId, String($(this).data('row-id')), this.checked);
+        })
+        .on('click.cardView', '.row-action[data-action-index]', function () {
+            runRowAction(tableId, String($(this).data('row-id')), $(this).data('action-index'));
+        })
+        .on('click.cardView', '[data-edit-column]', function () {
+            const rowId = $(this).closest('.card-view-item').data('row-id');
+            startInlineEdit(tableId, String(rowId), $(this).data('edit-column'), $(this));
+        })
+        .on('input.cardView', '.card-search', function () {
+            const value = this.value;
+            clearTimeout($cardsContainer.data('searchTimer'));
+            $cardsContainer.data('searchTimer', setTimeout(() => api.search(value).draw(), 300));
+        })
+        .on('keydown.cardView', '.card-view-cell', e => handleGridKeydown(tableId, e))
+        .on('focusin.cardView', '.card-view-cell', e => setGridFocus(tableId, e.currentTarget))
+        .on('focusout.cardView', e => trackGridFocusOut(tableId, e));
+
+    if (searchCaret !== null) {
+        const input = $cardsContainer.find('.card-search')[0];
+        input.focus();
+        input.setSelectionRange(searchCaret, searchCaret);
+    }
+
+    updateSelectionUi(tableId);
+    restoreExpandedRows(tableId);
+    updateGridAccessibility(tableId);
 }
 
 /**
@@ -211,13 +665,60 @@ function renderCards(tableId) {
 function clearCards(tableId) {
     const $table = $(`#${tableId}`);
     const $tableWrapper = $table.closest('.dataTables_wrapper');
-    const $cardsContainer = $(`#${tableId}-cards-container`);
+    const $cardsContainer = getCardsContainer(tableId);
 
-    $cardsContainer.empty().hide();
+    $cardsContainer.off('.cardView').empty().hide();
     $tableWrapper.show(); // Show the actual DataTable
     console.log(`Cleared card view for ${tableId}.`);
 }
 
+/**
+ * Returns a table's name for screen reader labels and announcements: its export title, else the nearest
+ * heading before it on the page, else its ID.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {string} Table name, e.g. 'Recent Operations Logs'.
+ */
+function getTableLabel(tableId) {
+    const instance = dataTableManager[tableId];
+    const exportOptions = instance && instance.originalConfig.export;
+    if (exportOptions && exportOptions.title) return exportOptions.title;
+
+    const $table = $(`#${tableId}`);
+    let $element = $table.closest('.dataTables_wrapper').add($table).first();
+    while ($element.length && !$element.is('body')) {
+        const $heading = $element.prevAll('h1, h2, h3, h4, h5, h6').first();
+        if ($heading.length && $heading.text().trim()) return $heading.text().trim();
+        $element = $element.parent();
+    }
+    return tableId;
+}
+
+/**
+ * Announces a message to screen readers through a polite live region shared by the page.
+ * Messages sent in quick succession replace each other, so only the last one is read.
+ * @param {string} message - The text to announce.
+ */
+function announce(message) {
+    let $region = $('#a11y-announcer');
+    if ($region.length === 0) {
+        $region = $('<div id="a11y-announcer" class="visually-hidden" role="status" aria-live="polite" aria-atomic="true"></div>').appendTo('body');
+    }
+    // Emptied first, so a repeated message is read again
+    $region.text('');
+    clearTimeout($region.data('timer'));
+    $region.data('timer', setTimeout(() => $region.text(message), 100));
+}
+
+/**
+ * Announces the view a table shows after a view toggle, e.g. 'Recent Operations Logs shown as cards.'
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function announceTableView(tableId) {
+    const instance = dataTableManager[tableId];
+    const view = instance.isChartView ? 'a chart' : instance.isPivotView ? 'a pivot table' : instance.isCardView ? 'cards' : 'a table';
+    announce(`${getTableLabel(tableId)} shown as ${view}.`);
+}
+
 /**
  * Toggles the view mode (table vs. card) for a specific DataTable.
  * @param {string} tableId - The ID of the HTML table element.
@@ -232,6 +733,9 @@ function toggleTableView(tableId) {
         console.warn(`toggleTableView: Cannot toggle table/card for ${tableId} while chart view is active. Please switch to table/card view first.`);
         return;
     }
+    if (instance.isPivotView) {
+        togglePivotView(tableId);
+    }
 
     instance.isCardView = !instance.isCardView;
 
@@ -239,7 +743,12 @@ function toggleTableView(tableId) {
         renderCards(tableId);
     } else {
         clearCards(tableId);
+        restoreExpandedRows(tableId); // Rows expanded in card view
     }
+    // Collapsed groups only filter the table view: the cards show their rows
+    if (instance.collapsedGroups.size > 0) instance.table.draw(false);
+    syncTableStateToUrl(tableId);
+    announceTableView(tableId);
     console.log(`Toggled ${tableId} to ${instance.isCardView ? 'card' : 'table'} view.`);
 }
 
@@ -249,15 +758,20 @@ function toggleTableView(tableId) {
  */
 function toggleChartView(tableId) {
     const instance = dataTableManager[tableId];
-    if (!instance || !instance.originalConfig.chartConfig) {
-        console.warn(`toggleChartView: Chart configuration missing for ${tableId}. Cannot toggle to chart view.`);
+    if (!instance || !hasChartView(instance.originalConfig)) {
+        console.warn(`toggleChartView: Chart view is disabled for ${tableId}. Cannot toggle to chart view.`);
         return;
     }
 
+    if (instance.isPivotView) {
+        togglePivotView(tableId);
+    }
+
     instance.isChartView = !instance.isChartView;
 
     if (instance.isChartView) {
-        // Switch to chart view
+        // Switch to chart view, remembering card view to return to it
+        instance.cardViewBeforeChart = instance.isCardView;
         instance.isCardView = false; // Ensure not in card view when in chart view
         clearCards(tableId); // Clear any active card view
 
@@ -265,30 +779,70 @@ function toggleChartView(tableId) {
         $(`#${tableId}`).closest('.dataTables_wrapper').hide();
         renderChart(tableId);
     } else {
-        // Switch back to table/card view
+        // Switch back to table/card view. The DataTable stays initialized while the chart is shown,
+        // so it only needs its column widths adjusted (no reload or rebuild).
         destroyChart(tableId);
-        // Show the table wrapper
-        $(`#${tableId}`).closest('.dataTables_wrapper').show();
-        // Re-draw DataTable to ensure it's fully rendered in table view
-        // If the DataTable was destroyed (e.g., when entering chart view), re-initialize it.
         if (!instance.table || !$.fn.DataTable.isDataTable($(`#${tableId}`))) {
-            LoadDataTable(instance.originalConfig); // Re-initialize if destroyed
+            LoadDataTable(instance.originalConfig); // Only if the page destroyed the table meanwhile
+        } else if (instance.cardViewBeforeChart) {
+            instance.isCardView = true;
+            renderCards(tableId);
         } else {
-            instance.table.draw(); // Just draw if already exists
+            $(`#${tableId}`).closest('.dataTables_wrapper').show();
+            instance.table.columns.adjust();
         }
     }
+    syncTableStateToUrl(tableId);
+    announceTableView(tableId);
     console.log(`Toggled ${tableId} to ${instance.isChartView ? 'chart' : 'table/card'} view.`);
 }
 
 /**
- * Renders a Chart.js chart for a specific DataTable's data.
+ * Returns the rows a table's chart is drawn from. By default these are the rows matching the table's
+ * current search and filters (in table order), or only the selected rows when `chartConfig.useSelection`
+ * is set and rows are selected. With `chartConfig.dataSource: 'server'` the chart endpoint
+ * (`chartConfig.ajaxUrl`, default the table's `ajaxUrl`) is queried instead, receiving the current
+ * `search` and `filters`, for APIs that aggregate on the server. Charts from the chart builder always use table rows.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {Promise<Array<object>>} Row data (or the server's chart data); rejects with `{ xhr, textStatus }` when the request fails.
+ */
+function getChartData(tableId) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+    const chartConfig = config.chartConfig || {};
+
+    if (chartConfig.dataSource === 'server' && !instance.chartBuilder) {
+        return new Promise((resolve, reject) => {
+            $.ajax({
+                url: chartConfig.ajaxUrl || config.ajaxUrl,
+                method: config.ajaxMethod || 'GET',
+                timeout: config.ajaxTimeout || LOAD_RETRY.timeout,
+                data: {
+                    search: instance.table ? instance.table.search() : '',
+                    filters: getTableFilterValues(tableId).map(({ column, type, value, from, to }) => ({ column, type, value, from, to }))
+                },
+                success: data => resolve(chartConfig.dataSrc ? getRowValue(data, chartConfig.dataSrc) || [] : data),
+                error: (xhr, status) => reject({ xhr: xhr, textStatus: status })
+            });
+        });
+    }
+
+    if (chartConfig.useSelection && instance.selectedRowIds.size > 0) {
+        return Promise.resolve(getSelectedRows(tableId));
+    }
+    return Promise.resolve(getMatchingRows(tableId));
+}
+
+/**
+ * Renders a Chart.js chart for a specific DataTable's data (see getChartData).
+ * While chart view is open it is re-rendered on every table draw, so it follows filter and search changes.
  * @param {string} tableId - The ID of the HTML table element.
  */
 function renderChart(tableId) {
     const instance = dataTableManager[tableId];
-    if (!instance || !instance.originalConfig.chartConfig) return;
+    if (!instance || !hasChartView(instance.originalConfig)) return;
 
-    const chartConfig = instance.originalConfig.chartConfig;
+    const chartConfig = getEffectiveChartConfig(tableId);
     const chartContainerId = `${tableId}-chart-container`;
     const chartCanvasId = `${tableId}-chart`;
 
@@ -303,6 +857,13 @@ function renderChart(tableId) {
     // Clear any existing content and append a new canvas
     let $canvas = $(`<canvas id="${chartCanvasId}"></canvas>`);
     $chartContainer.html($canvas); // This is crucial to ensure a fresh canvas element is in the DOM
+    let $chartBody = $chartContainer;
+    if (instance.originalConfig.chartBuilder !== false) {
+        // The builder panel sits above the canvas, which gets a wrapper of its own to size against
+        $chartBody = $('<div class="chart-canvas-wrapper"></div>').append($canvas);
+        $chartContainer.addClass('chart-has-builder').empty().append($('<div class="chart-builder"></div>'), $chartBody);
+        renderChartBuilder(tableId);
+    }
 
     // Ensure the canvas element is actually in the DOM and has dimensions before getting context
     // The chart-container CSS should give it height, and responsive: true will handle width.
@@ -317,125 +878,127 @@ function renderChart(tableId) {
     const ctx = $canvas[0].getContext('2d');
     if (!ctx) {
         console.error(`renderChart: Failed to get 2D context for canvas #${chartCanvasId}. Canvas element might not be ready or supported.`);
-        $chartContainer.html('<p class="text-red-500 text-center py-4">Error: Could not create chart canvas. Your browser might not support Canvas API or there\'s a rendering issue.</p>');
+        $chartBody.html('<p class="text-red-500 text-center py-4">Error: Could not create chart canvas. Your browser might not support Canvas API or there\'s a rendering issue.</p>');
         return;
     }
     console.log(`Successfully got 2D context for canvas #${chartCanvasId}.`);
 
 
-    $.ajax({
-        url: instance.originalConfig.ajaxUrl,
-        method: instance.originalConfig.ajaxMethod || 'GET',
-        success: function (data) {
-            console.log(`Chart data fetched for ${tableId}:`, data);
-            if (!data || data.length === 0) {
-                $chartContainer.html('<p class="text-gray-600 text-center py-4">No data available to display in chart view.</p>');
-                console.warn(`No data received for chart ${tableId}.`);
-                return;
-            }
+    getChartData(tableId).then(function (data) {
+        console.log(`Chart data for ${tableId}:`, data);
+        clearLoadError(tableId, 'chart');
+        if (!data || data.length === 0) {
+            $chartBody.html('<p class="text-gray-600 text-center py-4">No data available to display in chart view.</p>');
+            console.warn(`No data received for chart ${tableId}.`);
+            return;
+        }
 
-            const processedData = chartConfig.processData(data, instance.originalConfig.columns);
-            console.log(`Processed chart data for ${tableId}:`, processedData);
-
-            // Merge default options with custom chartConfig.options
-            const chartOptions = {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'top',
-                        labels: {
-                            font: {
-                                family: 'Inter, sans-serif'
-                            }
-                        }
-                    },
-                    title: {
-                        display: true,
-                        font: {
-                            size: 18,
-                            family: 'Inter, sans-serif'
-                        },
-                        padding: {
-                            top: 10,
-                            bottom: 20
-                        }
-                    },
-                    tooltip: { // Custom tooltip configuration
-                        callbacks: {
-                            label: function (context) {
-                                let label = context.dataset.label || '';
-                                if (label) {
-                                    label += ': ';
-                                }
-                                if (context.parsed.y !== null) {
-                                    label += new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(context.parsed.y);
-                                }
-                                return label;
-                            },
-                            afterLabel: function (context) {
-                                // Access the custom 'accountType' property from the raw data point
-                                // This assumes 'accountType' is part of the dataPoints object in processData
-                                const accountType = context.raw ? context.raw.accountType : null;
-                                return accountType ? `Type: ${accountType}` : '';
-                            }
-                        }
-                    }
+        const processedData = chartConfig.processData(data, instance.originalConfig.columns);
+        console.log(`Processed chart data for ${tableId}:`, processedData);
+
+        const valueFormat = chartConfig.valueFormat || 'number';
+        const valueFormatOptions = typeof valueFormat === 'object' ? valueFormat : { type: valueFormat };
+
+        const defaultOptions = {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'top'
                 },
-                scales: {
-                    x: {
-                        ticks: {
-                            font: {
-                                family: 'Inter, sans-serif'
-                            }
-                        },
-                        title: {
-                            display: true, // Ensure X-axis title is displayed
-                            text: 'Account Name', // Explicitly set X-axis title
-                            font: {
-                                family: 'Inter, sans-serif'
-                            }
-                        }
+                title: {
+                    display: true,
+                    font: {
+                        size: 18
                     },
-                    y: {
-                        beginAtZero: true,
-                        ticks: {
-                            font: {
-                                family: 'Inter, sans-serif'
-                            }
-                        },
-                        title: {
-                            display: true, // Ensure Y-axis title is displayed
-                            text: 'Balance ($)', // Explicitly set Y-axis title
-                            font: {
-                                family: 'Inter, sans-serif'
-                            }
-                        }
+                    padding: {
+                        top: 10,
+                        bottom: 20
                     }
                 },
-                font: { // Global font setting for Chart.js
-                    family: 'Inter, sans-serif'
-                },
-                animation: {
-                    duration: 1000,
-                    easing: 'easeOutQuart'
+                tooltip: { // Values formatted with the current locale (and currency for 'currency' charts)
+                    callbacks: {
+                        label: context => formatChartTooltipLabel(context, valueFormat)
+                    }
                 },
-                ...chartConfig.options // Merge custom options provided in chartConfig.options
-            };
+                chartSummary: { valueFormat: valueFormat }
+            },
+            scales: PER_POINT_COLOR_CHART_TYPES.includes(chartConfig.type) ? {} : {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: value => formatByType(value, { ...valueFormatOptions, notation: 'compact' }) // e.g. '$1.2K'
+                    }
+                }
+            },
+            animation: {
+                duration: 1000,
+                easing: 'easeOutQuart'
+            },
+            ...getChartDrillDownOptions(tableId, chartConfig.drillDown, true) // Clicking a point drills into its rows
+        };
 
+        instance.chartInstance = new Chart(ctx, {
+            type: chartConfig.type,
+            data: processedData,
+            options: mergeChartOptions(defaultOptions, chartConfig.options) // Custom options from chartConfig.options win
+        });
+        console.log(`Chart for ${tableId} rendered successfully.`);
+    }).catch(function (error) {
+        console.error(`Error fetching data for chart ${tableId}:`, error);
+        // The canvas stays in place under the overlay
+        showLoadError(tableId, 'chart', error, () => {
+            if (instance.isChartView) renderChart(tableId);
+        });
+    });
+}
 
-            instance.chartInstance = new Chart(ctx, {
-                type: chartConfig.type,
-                data: processedData,
-                options: chartOptions // Use the merged options
-            });
-            console.log(`Chart for ${tableId} rendered successfully.`);
+/**
+ * Merges a chart's custom options over its defaults. `plugins` and `scales` merge one level deep, so a page that
+ * sets its own legend or axis keeps the default tooltip formatter, title and chartSummary settings.
+ * @param {object} defaults - Default Chart.js options.
+ * @param {object} [options] - Custom options from the chart config.
+ * @returns {object} The merged options.
+ */
+function mergeChartOptions(defaults, options = {}) {
+    return {
+        ...defaults,
+        ...options,
+        plugins: { ...defaults.plugins, ...options.plugins },
+        scales: { ...defaults.scales, ...options.scales }
+    };
+}
 
-        },
-        error: function (xhr, status, error) {
-            console.error(`Error fetching data for chart ${tableId}:`, error, xhr);
-            $chartContainer.html('<p class="text-red-500 text-center py-4">Error loading chart data. Please try again.</p>');
+/**
+ * Updates an open chart with the table's current data in place (no new canvas), e.g. after a filter change.
+ * Falls back to renderChart when there is no chart to update or nothing to chart.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function refreshChart(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.isChartView) return;
+    if (!instance.chartInstance) {
+        renderChart(tableId);
+        return;
+    }
+    getChartData(tableId).then(data => {
+        if (!instance.chartInstance) return; // Closed while loading
+        if (!data || data.length === 0) {
+            renderChart(tableId);
+            return;
         }
+        const chartConfig = getEffectiveChartConfig(tableId);
+        if (instance.chartInstance.config.type !== chartConfig.type) {
+            renderChart(tableId); // Chart.js cannot change the type of a live chart
+            return;
+        }
+        instance.chartInstance.data = chartConfig.processData(data, instance.originalConfig.columns);
+        instance.chartInstance.update();
+        clearLoadError(tableId, 'chart');
+    }).catch(error => {
+        console.error(`refreshChart: Could not refresh the chart of ${tableId}:`, error);
+        // The last chart drawn stays visible under the overlay
+        showLoadError(tableId, 'chart', error, () => refreshChart(tableId));
     });
 }
 
@@ -445,6 +1008,7 @@ function renderChart(tableId) {
  */
 function destroyChart(tableId) {
     const instance = dataTableManager[tableId];
+    if (instance) clearLoadError(tableId, 'chart'); // No retries for a chart that is gone
     if (instance && instance.chartInstance) {
         instance.chartInstance.destroy();
         instance.chartInstance = null;
@@ -454,88 +1018,6652 @@ function destroyChart(tableId) {
     }
 }
 
+/***Load Errors */
+
+// A failed table or chart load shows an overlay over the affected view instead of replacing it, so the
+// table structure and any rows already loaded survive. Transient failures retry by themselves with exponential backoff.
+
 /**
- * Utility function for DataTables column search.
- * Usage: dt.column(index).search(value).draw();
+ * Retry timing for failed loads: the first automatic retry waits `baseDelay`, each later one twice as long
+ * (up to `maxDelay`), and after `autoAttempts` failures only the Retry button is left.
  */
-function initializeCurrentPageFeatures() {
-    // If you want to re-initialize filter badges after AJAX loads, call updateActiveFilterBadges here if needed.
-    if (typeof updateActiveFilterBadges === "function") {
-        updateActiveFilterBadges();
+const LOAD_RETRY = {
+    baseDelay: 2000,
+    maxDelay: 30000,
+    autoAttempts: 3,
+    timeout: 30000
+};
+
+/**
+ * Titles and explanations of the HTTP statuses a load can fail with.
+ */
+const LOAD_ERROR_STATUSES = {
+    401: { title: 'Your session has expired', message: 'Sign in again, then retry.' },
+    403: { title: 'Access denied', message: 'Your account is not allowed to view this data.' },
+    404: { title: 'Data source not found', message: 'The address this view loads its data from does not exist.' },
+    500: { title: 'Server error', message: 'The server ran into a problem while loading this data.' }
+};
+
+/**
+ * Explains a failed load for the error overlay.
+ * @param {object|Error|string} error - `{ xhr, textStatus }` for AJAX failures (see getChartData), otherwise an Error or message.
+ * @returns {object} `{ title, message, detail, transient, offline }`; transient failures are retried automatically.
+ */
+function describeLoadError(error) {
+    const xhr = error && error.xhr;
+    if (!xhr) {
+        return { title: 'Something went wrong', message: (error && error.message) || String(error || 'The view could not be loaded.'), transient: false };
+    }
+    if (error.textStatus === 'timeout') {
+        return { title: 'The server is taking too long', message: 'The request timed out before the server answered.', transient: true };
+    }
+    if (error.textStatus === 'parsererror') {
+        return { title: 'Unexpected response', message: 'The server sent data this view could not read.', detail: `HTTP ${xhr.status}`, transient: false };
     }
+    if (!xhr.status) {
+        return navigator.onLine === false
+            ? { title: 'You are offline', message: 'Loading resumes when your connection is back.', transient: true, offline: true }
+            : { title: 'Cannot reach the server', message: 'The server did not respond. It may be restarting or unreachable.', transient: true };
+    }
+    const known = LOAD_ERROR_STATUSES[xhr.status] || (xhr.status >= 500 ? LOAD_ERROR_STATUSES[500] : null);
+    const serverMessage = xhr.responseJSON && (xhr.responseJSON.message || xhr.responseJSON.title);
+    return {
+        title: known ? known.title : 'The request failed',
+        message: known ? known.message : (serverMessage || 'The server rejected the request.'),
+        detail: [`HTTP ${xhr.status} ${xhr.statusText || ''}`.trim(), known && serverMessage].filter(Boolean).join(' - '),
+        transient: xhr.status >= 500 || xhr.status === 408 || xhr.status === 429
+    };
 }
 
-// Write your JavaScript code.
-$(document).ready(function () {
-    // Theme Toggle Logic
-    const themeToggle = $('#themeToggle');
-    const htmlElement = $('html'); // Target the html element for data-theme
-
-    // Function to set the theme
-    function setTheme(theme) {
-        htmlElement.attr('data-theme', theme);
-        localStorage.setItem('theme', theme);
-        // Update the checkbox state
-        themeToggle.prop('checked', theme === 'dark');
+/**
+ * Returns the element a load error overlay covers: the chart canvas for chart failures (the chart builder
+ * stays usable), otherwise the view currently showing the table's rows.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} source - 'table' or 'chart'.
+ * @returns {jQuery} Host element.
+ */
+function getLoadErrorHost(tableId, source) {
+    const instance = dataTableManager[tableId];
+    if (source === 'chart' || instance.isChartView) {
+        const $chartContainer = $(`#${tableId}-chart-container`);
+        const $canvasWrapper = $chartContainer.children('.chart-canvas-wrapper');
+        return $canvasWrapper.length ? $canvasWrapper : $chartContainer;
     }
+    if (instance.isCardView) return getCardsContainer(tableId, true);
+    return $(`#${tableId}`).closest('.dataTables_wrapper');
+}
 
-    // Load theme from localStorage on page load
-    const savedTheme = localStorage.getItem('theme') || 'light'; // Default to light
-    setTheme(savedTheme);
+/**
+ * Shows the error overlay for a failed load and schedules its retry: transient failures retry automatically
+ * after an exponentially growing delay (see LOAD_RETRY), offline failures when the browser is back online,
+ * and every failure offers a Retry button.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} source - What failed to load: 'table' or 'chart'.
+ * @param {object|Error|string} error - The failure (see describeLoadError).
+ * @param {Function} retry - Reloads the source; a later success should call clearLoadError.
+ */
+function showLoadError(tableId, source, error, retry) {
+    const instance = dataTableManager[tableId];
+    if (!instance) return;
+    const state = instance.loadRetry[source] || { attempts: 0 };
+    instance.loadRetry[source] = state;
+    cancelLoadRetry(tableId, source);
+    state.attempts++;
 
-    // Listen for theme toggle changes
-    themeToggle.on('change', function () {
-        if ($(this).is(':checked')) {
-            setTheme('dark');
-        } else {
-            setTheme('light');
-        }
-    });
+    const info = describeLoadError(error);
+    console.warn(`showLoadError: Loading the ${source} of ${tableId} failed (attempt ${state.attempts}): ${info.title}.`);
 
-    // Combined Toggle functionality for Navbar and Sidebar
-    $("#combinedNavbarSidebarToggle").click(function (e) {
-        e.preventDefault();
-        $("#wrapper").toggleClass("toggled");
-    });
+    const $host = getLoadErrorHost(tableId, source).addClass('load-error-host');
+    $host.children('.load-error-overlay').remove();
+    const $overlay = $(`
+        <div class="load-error-overlay" role="alert" data-source="${source}">
+            <div class="text-center max-w-md">
+                <i class="bi ${info.offline ? 'bi-wifi-off' : 'bi-exclamation-triangle'} text-3xl text-red-500" aria-hidden="true"></i>
+                <h4 class="text-lg font-semibold mt-2 mb-1">${escapeHtml(info.title)}</h4>
+                <p class="text-sm mb-1">${escapeHtml(info.message)}</p>
+                ${info.detail ? `<p class="load-error-detail text-xs mb-1">${escapeHtml(info.detail)}</p>` : ''}
+                <p class="load-error-countdown load-error-detail text-xs mb-2" aria-live="polite"></p>
+                <button type="button" class="load-error-retry btn btn-sm btn-primary"><i class="bi bi-arrow-clockwise me-1"></i>Retry</button>
+            </div>
+        </div>`).appendTo($host);
+    state.retry = retry;
+    state.$overlay = $overlay;
+    state.$host = $host;
 
-    // Function to set active class on sidebar link
-    function setActiveLink(path) {
-        $('#sidebarMenu .nav-link').removeClass('active');
-        $('#sidebarMenu a.nav-link').each(function () {
-            const linkUrl = $(this).data('page-url');
-            if (linkUrl && (path === linkUrl || (path.startsWith(linkUrl) && linkUrl !== "/"))) {
-                $(this).addClass('active');
-            } else if (linkUrl === "/Index" && path === "/") {
-                $(this).addClass('active');
-            }
-        });
-    }
+    const runRetry = () => {
+        cancelLoadRetry(tableId, source);
+        $overlay.find('.load-error-retry').prop('disabled', true);
+        $overlay.find('.load-error-countdown').text('Retrying...');
+        retry();
+    };
+    $overlay.find('.load-error-retry').on('click', runRetry);
 
-    // Initial active link setting
-    setActiveLink(window.location.pathname);
+    if (info.offline) {
+        $(window).one(`online.loadError-${tableId}-${source}`, runRetry);
+    } else if (info.transient && state.attempts <= LOAD_RETRY.autoAttempts) {
+        const delay = Math.min(LOAD_RETRY.baseDelay * Math.pow(2, state.attempts - 1), LOAD_RETRY.maxDelay);
+        let remaining = Math.ceil(delay / 1000);
+        const $countdown = $overlay.find('.load-error-countdown').text(`Retrying in ${remaining}s...`);
+        state.countdown = setInterval(() => {
+            remaining = Math.max(remaining - 1, 0);
+            $countdown.text(`Retrying in ${remaining}s...`);
+        }, 1000);
+        state.timer = setTimeout(runRetry, delay);
+    }
+}
 
-    // AJAX page loading logic
-    async function loadPageContent(url, pushState = true) {
-        try {
-            const response = await fetch(url);
-            const html = await response.text();
+/**
+ * Cancels the scheduled automatic retry of a failed load (the overlay stays).
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} source - 'table' or 'chart'.
+ */
+function cancelLoadRetry(tableId, source) {
+    const state = dataTableManager[tableId] && dataTableManager[tableId].loadRetry[source];
+    if (!state) return;
+    clearTimeout(state.timer);
+    clearInterval(state.countdown);
+    state.timer = null;
+    state.countdown = null;
+    $(window).off(`online.loadError-${tableId}-${source}`);
+}
 
-            // Create a temporary div to parse the fetched HTML
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = html;
+/**
+ * Removes the error overlay of a source after a successful load (or when its view closes) and resets its backoff.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} source - 'table' or 'chart'.
+ */
+function clearLoadError(tableId, source) {
+    const instance = dataTableManager[tableId];
+    const state = instance && instance.loadRetry[source];
+    if (!state) return;
+    cancelLoadRetry(tableId, source);
+    if (state.$overlay) state.$overlay.remove();
+    if (state.$host && state.$host.children('.load-error-overlay').length === 0) state.$host.removeClass('load-error-host');
+    delete instance.loadRetry[source];
+}
+
+/***Auto Refresh */
+
+// Tables with `config.autoRefresh` reload on an interval the user picks (or pauses) in the toolbar. A refresh keeps the
+// page, order, selection and scroll position, and briefly highlights the rows added, changed or removed since the last load.
+
+/**
+ * Refresh intervals (seconds) offered by default, the default interval, and how long change highlights last (ms).
+ */
+const AUTO_REFRESH = {
+    interval: 30,
+    intervals: [15, 30, 60, 300],
+    highlightDuration: 3000
+};
+
+/**
+ * Returns a table's auto-refresh options.
+ * @param {object} config - The table config.
+ * @returns {object|null} `{ interval, intervals, paused }`, or null when auto-refresh is off.
+ */
+function getAutoRefreshOptions(config) {
+    const option = config.autoRefresh;
+    if (!option) return null;
+    if (typeof option === 'number') return { interval: option, intervals: AUTO_REFRESH.intervals, paused: false };
+    const options = { interval: AUTO_REFRESH.interval, intervals: AUTO_REFRESH.intervals, paused: false, ...(option === true ? {} : option) };
+    // The configured interval is always offered
+    if (!options.intervals.includes(options.interval)) options.intervals = options.intervals.concat(options.interval).sort((a, b) => a - b);
+    return options;
+}
+
+/**
+ * Reads a table's saved auto-refresh interval and pause state from localStorage.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} `{ interval, paused }` (empty if nothing is saved).
+ */
+function loadAutoRefreshPreferences(tableId) {
+    try {
+        return JSON.parse(localStorage.getItem(`dtAutoRefresh_${tableId}`)) || {};
+    } catch (e) {
+        console.warn(`loadAutoRefreshPreferences: Ignoring unreadable preferences for ${tableId}.`, e);
+        return {};
+    }
+}
+
+/**
+ * Formats a refresh interval for the interval selector.
+ * @param {number} seconds - Interval in seconds.
+ * @returns {string} e.g. '30 s' or '5 min'.
+ */
+function formatRefreshInterval(seconds) {
+    return seconds < 60 ? `${seconds} s` : `${formatNumber(seconds / 60, { maximumFractionDigits: 1 })} min`;
+}
+
+/**
+ * Sets up auto-refresh for a table: the toolbar control (last updated time, interval, pause/resume, refresh now)
+ * and the refresh timer. The interval and pause state are kept per table in localStorage.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function initializeAutoRefresh(tableId) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+    const options = getAutoRefreshOptions(config);
+    if (!options) return;
+
+    // Kept across rebuilds of the table, like the other view state
+    if (!instance.autoRefresh) {
+        const preferences = loadAutoRefreshPreferences(tableId);
+        instance.autoRefresh = {
+            interval: options.intervals.includes(preferences.interval) ? preferences.interval : options.interval,
+            paused: typeof preferences.paused === 'boolean' ? preferences.paused : !!options.paused,
+            timer: null,
+            lastUpdated: null,
+            summary: ''
+        };
+    }
+
+    // Every successful load counts as an update, whether it came from the timer or not (unbind first on rebuilds)
+    $(`#${tableId}`).off('xhr.dt.autoRefresh').on('xhr.dt.autoRefresh', function (e, settings, json) {
+        if (!json) return;
+        instance.autoRefresh.lastUpdated = new Date();
+        updateAutoRefreshControl(tableId);
+    });
+
+    const $toolbar = getTableToolbar(tableId);
+    if ($toolbar.find('.table-auto-refresh').length === 0) {
+        const $control = $(`
+            <div class="table-auto-refresh flex items-center gap-2">
+                <span class="auto-refresh-status text-xs text-muted" aria-live="polite"></span>
+                <select class="auto-refresh-interval form-select form-select-sm w-auto" aria-label="Refresh interval">
+                    ${options.intervals.map(seconds => `<option value="${seconds}">Every ${formatRefreshInterval(seconds)}</option>`).join('')}
+                </select>
+                <button type="button" class="auto-refresh-toggle btn btn-sm btn-outline-secondary"></button>
+                <button type="button" class="auto-refresh-now btn btn-sm btn-outline-secondary" title="Refresh now" aria-label="Refresh now"><i class="bi bi-arrow-clockwise"></i></button>
+            </div>`);
+        $control
+            .on('change', '.auto-refresh-interval', function () {
+                instance.autoRefresh.interval = parseInt($(this).val(), 10);
+                saveAutoRefreshPreferences(tableId);
+                scheduleAutoRefresh(tableId);
+            })
+            .on('click', '.auto-refresh-toggle', () => setAutoRefreshPaused(tableId, !instance.autoRefresh.paused))
+            .on('click', '.auto-refresh-now', () => {
+                refreshTable(tableId);
+                scheduleAutoRefresh(tableId); // Restart the interval from now
+            });
+        $toolbar.prepend($control);
+    }
+    updateAutoRefreshControl(tableId);
+    scheduleAutoRefresh(tableId);
+}
+
+/**
+ * Saves a table's auto-refresh interval and pause state to localStorage.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function saveAutoRefreshPreferences(tableId) {
+    const state = dataTableManager[tableId].autoRefresh;
+    localStorage.setItem(`dtAutoRefresh_${tableId}`, JSON.stringify({ interval: state.interval, paused: state.paused }));
+}
+
+/**
+ * Pauses or resumes a table's auto-refresh.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {boolean} paused - Whether to pause.
+ */
+function setAutoRefreshPaused(tableId, paused) {
+    const state = dataTableManager[tableId] && dataTableManager[tableId].autoRefresh;
+    if (!state) return;
+    state.paused = paused;
+    saveAutoRefreshPreferences(tableId);
+    updateAutoRefreshControl(tableId);
+    scheduleAutoRefresh(tableId);
+}
+
+/**
+ * Syncs the auto-refresh toolbar control with the table's state.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function updateAutoRefreshControl(tableId) {
+    const state = dataTableManager[tableId].autoRefresh;
+    const $control = $(`#${tableId}-toolbar .table-auto-refresh`);
+    if (!state || !$control.length) return;
+
+    const updated = state.lastUpdated ? `Updated ${formatDate(state.lastUpdated, 'time')}` : 'Not loaded yet';
+    $control.find('.auto-refresh-status').text([updated, state.summary].filter(Boolean).join(' · '));
+    $control.find('.auto-refresh-interval').val(String(state.interval)).prop('disabled', state.paused);
+    $control.find('.auto-refresh-toggle')
+        .attr({ 'aria-pressed': String(state.paused), title: state.paused ? 'Resume auto-refresh' : 'Pause auto-refresh' })
+        .html(state.paused ? '<i class="bi bi-play-fill me-1"></i>Resume' : '<i class="bi bi-pause-fill me-1"></i>Pause');
+}
+
+/**
+ * (Re)starts a table's refresh timer, unless auto-refresh is paused.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function scheduleAutoRefresh(tableId) {
+    const state = dataTableManager[tableId] && dataTableManager[tableId].autoRefresh;
+    if (!state) return;
+    clearTimeout(state.timer);
+    state.timer = null;
+    if (state.paused) return;
+    state.timer = setTimeout(() => runAutoRefresh(tableId), state.interval * 1000);
+}
+
+/**
+ * Stops a table's refresh timer.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function stopAutoRefresh(tableId) {
+    const state = dataTableManager[tableId] && dataTableManager[tableId].autoRefresh;
+    if (!state) return;
+    clearTimeout(state.timer);
+    state.timer = null;
+}
+
+/**
+ * Timer tick: refreshes the table unless the user is busy with it, and schedules the next tick. Ticks are
+ * skipped while the page is hidden, a cell editor or dialog is open, a failed load is retrying or live updates
+ * are connected (see isLiveUpdating); the timer stops once the table has left the page.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function runAutoRefresh(tableId) {
+    const instance = dataTableManager[tableId];
+    const $table = $(`#${tableId}`);
+    if (!$table.length || !document.body.contains($table[0])) {
+        console.log(`runAutoRefresh: ${tableId} is no longer on the page; auto-refresh stopped.`);
+        stopAutoRefresh(tableId);
+        return;
+    }
+    const isBusy = document.hidden
+        || $('.cell-editor').length > 0
+        || $('#bulkActionDialog').is(':visible')
+        || Object.keys(instance.loadRetry).length > 0;
+    // Pushed changes already keep the table current
+    if (!isBusy && !isLiveUpdating(tableId)) refreshTable(tableId);
+    scheduleAutoRefresh(tableId);
+}
+
+/**
+ * Reloads a table's data in place: the page, order, selection and scroll position are kept, and the rows
+ * added, changed or removed by the reload are highlighted (see highlightRefreshChanges). The cached child rows
+ * of changed and removed rows are dropped, so they are fetched again on the next expand.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function refreshTable(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table) return;
+    const config = instance.originalConfig;
+    const api = instance.table;
+
+    const previous = new Map(api.rows().data().toArray().map(rowData => [getRowId(config, rowData), JSON.stringify(rowData)]));
+    const ghosts = captureRefreshGhosts(tableId);
+    const scrollPositions = captureScrollPositions(instance.isCardView ? getCardsContainer(tableId) : $(`#${tableId}`));
+
+    api.ajax.reload(() => {
+        const changes = { added: [], changed: [], removed: [] };
+        const loadedIds = new Set();
+        api.rows().data().toArray().forEach(rowData => {
+            const rowId = getRowId(config, rowData);
+            loadedIds.add(rowId);
+            if (!previous.has(rowId)) {
+                changes.added.push(rowId);
+            } else if (previous.get(rowId) !== JSON.stringify(rowData)) {
+                changes.changed.push(rowId);
+            }
+            // Selected rows keep their latest data for bulk actions
+            if (instance.selectedRowIds.has(rowId)) instance.selectedRowData.set(rowId, rowData);
+        });
+        // Server-side tables only load one page, so rows missing from it were not necessarily removed
+        if (!config.serverSide) changes.removed = [...previous.keys()].filter(rowId => !loadedIds.has(rowId));
+        // Details of changed rows may have changed too
+        [...changes.changed, ...changes.removed].forEach(rowId => instance.childRowCache.delete(rowId));
+
+        restoreScrollPositions(scrollPositions);
+        highlightRefreshChanges(tableId, changes, ghosts);
+        if (instance.autoRefresh) {
+            instance.autoRefresh.summary = describeRefreshChanges(changes);
+            updateAutoRefreshControl(tableId);
+        }
+    }, false);
+}
+
+/**
+ * Summarizes the changes found by a refresh.
+ * @param {object} changes - `{ added, changed, removed }` row ID lists.
+ * @returns {string} e.g. '2 new, 1 changed, 1 removed', or 'No changes'.
+ */
+function describeRefreshChanges(changes) {
+    const parts = [];
+    if (changes.added.length) parts.push(`${changes.added.length} new`);
+    if (changes.changed.length) parts.push(`${changes.changed.length} changed`);
+    if (changes.removed.length) parts.push(`${changes.removed.length} removed`);
+    return parts.length ? parts.join(', ') : 'No changes';
+}
+
+/**
+ * Copies the rows (or cards) currently shown, so rows removed by a refresh can briefly be shown where they were.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} `{ isCardView, rows }`, where `rows` maps row IDs to `{ index, $element }`.
+ */
+function captureRefreshGhosts(tableId) {
+    const instance = dataTableManager[tableId];
+    const rows = new Map();
+    if (instance.isCardView) {
+        getCardsContainer(tableId).find('.card-view-item').each(function (index) {
+            rows.set(String($(this).data('row-id')), { index: index, $element: $(this).clone() });
+        });
+    } else if (!instance.isChartView && !instance.isPivotView) {
+        const config = instance.originalConfig;
+        instance.table.rows({ page: 'current' }).every(function (rowIdx, tableLoop, rowLoop) {
+            if (this.node()) rows.set(getRowId(config, this.data()), { index: rowLoop, $element: $(this.node()).clone() });
+        });
+    }
+    return { isCardView: instance.isCardView, rows: rows };
+}
+
+/**
+ * Briefly highlights the rows (or cards) a refresh added or changed, and shows removed ones struck through
+ * where they used to be before they disappear.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} changes - `{ added, changed, removed }` row ID lists (see refreshTable).
+ * @param {object} ghosts - The rows shown before the refresh (see captureRefreshGhosts).
+ */
+function highlightRefreshChanges(tableId, changes, ghosts) {
+    const instance = dataTableManager[tableId];
+    if (instance.isChartView || instance.isPivotView) return;
+    const findElement = rowId => {
+        if (instance.isCardView) return findCardItem(tableId, rowId);
+        const row = findTableRow(tableId, rowId);
+        return $(row ? row.node() : []);
+    };
+    const flash = ($element, kind) => {
+        const classes = `refresh-flash refresh-${kind}`;
+        $element.removeClass(classes).addClass(classes);
+        setTimeout(() => $element.removeClass(classes), AUTO_REFRESH.highlightDuration);
+    };
+    changes.added.forEach(rowId => flash(findElement(rowId), 'added'));
+    changes.changed.forEach(rowId => flash(findElement(rowId), 'changed'));
+
+    if (ghosts.isCardView !== instance.isCardView) return;
+    const $current = instance.isCardView
+        ? getCardsContainer(tableId).find('.card-view-item')
+        : $(instance.table.rows({ page: 'current' }).nodes().toArray());
+    changes.removed.forEach(rowId => {
+        const ghost = ghosts.rows.get(rowId);
+        if (!ghost) return;
+        // A copy for show only: hidden from assistive technology and not interactive
+        const $ghost = ghost.$element.addClass('refresh-ghost refresh-flash refresh-removed').attr({ 'aria-hidden': 'true', inert: '' });
+        $ghost.find('[id]').removeAttr('id');
+        const $anchor = $current.eq(ghost.index);
+        if ($anchor.length) {
+            $anchor.before($ghost);
+        } else if ($current.length) {
+            $current.last().after($ghost);
+        } else if (instance.isCardView) {
+            getCardsContainer(tableId).find('.card-view-grid').append($ghost);
+        } else {
+            $(`#${tableId} tbody`).append($ghost);
+        }
+        setTimeout(() => $ghost.remove(), AUTO_REFRESH.highlightDuration);
+    });
+}
+
+/**
+ * Records the scroll positions of the window and of the scrollable elements around an element.
+ * @param {jQuery} $element - The element whose position should be kept.
+ * @returns {Array<object>} `{ element, top, left }` entries (see restoreScrollPositions).
+ */
+function captureScrollPositions($element) {
+    const positions = [{ element: window, top: window.scrollY, left: window.scrollX }];
+    $element.parents().add($element).each(function () {
+        if (this.scrollTop || this.scrollLeft) positions.push({ element: this, top: this.scrollTop, left: this.scrollLeft });
+    });
+    return positions;
+}
+
+/**
+ * Scrolls back to positions recorded by captureScrollPositions.
+ * @param {Array<object>} positions - Recorded positions.
+ */
+function restoreScrollPositions(positions) {
+    positions.forEach(({ element, top, left }) => {
+        if (element === window) {
+            window.scrollTo(left, top);
+        } else {
+            element.scrollTop = top;
+            element.scrollLeft = left;
+        }
+    });
+}
+
+/***Live Updates */
+
+// Tables with `config.liveUpdates` (and KPI elements with `data-live-entity`) follow entity change notifications pushed
+// by the server over one shared server-sent events connection, instead of polling. A notification is a JSON message
+// `{ entity, action: 'created'|'updated'|'deleted', id, data }`, e.g. `{ entity: 'APInvoice', action: 'updated', id: 42, data: { status: 'Paid' } }`.
+// The server names the stream in `<body data-live-updates-url>`; without it live updates are off and tables keep polling.
+
+/**
+ * How long table changes are collected before they are drawn (ms).
+ * Reconnects after a failure follow the LOAD_RETRY delays.
+ */
+const LIVE_UPDATES = {
+    batchDelay: 250
+};
+
+/**
+ * The shared connection: the EventSource, its status ('closed', 'connecting', 'open' or 'offline'), the
+ * reconnect state, whether the server turned out to have no stream, and the subscribers by key (a table ID or a KPI element).
+ */
+const liveUpdateChannel = {
+    source: null,
+    status: 'closed',
+    attempts: 0,
+    timer: null,
+    wasOpen: false,
+    unavailable: false,
+    subscribers: new Map()
+};
+
+/**
+ * Returns the URL of the change notification stream, from the `data-live-updates-url` attribute on `<body>`.
+ * @returns {string|null} The stream URL, or null when the server offers none.
+ */
+function getLiveUpdatesUrl() {
+    return $('body').attr('data-live-updates-url') || null;
+}
+
+/**
+ * Subscribes to entity change notifications and opens the connection if needed. Subscribing again with the
+ * same key replaces the earlier subscription.
+ * @param {*} key - Identifies the subscriber, e.g. a table ID.
+ * @param {object} subscription - `{ entities, onChange, onResync, isActive }`: `entities` are the entity names
+ *   (case-insensitive, '*' for all), `onChange(change)` receives each matching notification, `onResync()` is called
+ *   after a reconnect (notifications may have been missed), and the subscription ends once `isActive()` returns false.
+ */
+function subscribeToEntityChanges(key, subscription) {
+    liveUpdateChannel.subscribers.set(key, {
+        ...subscription,
+        entities: [].concat(subscription.entities).map(entity => String(entity).toLowerCase())
+    });
+    connectLiveUpdates();
+}
+
+/**
+ * Ends a subscription, closing the connection when nothing is subscribed anymore.
+ * @param {*} key - The subscriber's key.
+ */
+function unsubscribeFromEntityChanges(key) {
+    liveUpdateChannel.subscribers.delete(key);
+    if (liveUpdateChannel.subscribers.size === 0) disconnectLiveUpdates();
+}
+
+/**
+ * Drops the subscriptions whose tables or elements have left the page.
+ */
+function pruneEntityChangeSubscribers() {
+    liveUpdateChannel.subscribers.forEach((subscriber, key) => {
+        if (typeof subscriber.isActive === 'function' && !subscriber.isActive()) unsubscribeFromEntityChanges(key);
+    });
+}
+
+/**
+ * Opens the change notification stream, unless it is already open, the page names no stream (or it was not found)
+ * or the browser has no EventSource.
+ */
+function connectLiveUpdates() {
+    const channel = liveUpdateChannel;
+    const url = getLiveUpdatesUrl();
+    if (channel.source || channel.timer || channel.unavailable || !url) return;
+    if (typeof EventSource === 'undefined') {
+        console.warn('connectLiveUpdates: This browser does not support server-sent events; live updates are off.');
+        return;
+    }
+
+    const source = new EventSource(url);
+    channel.source = source;
+    setLiveUpdateStatus('connecting');
+    source.onopen = () => {
+        // Notifications sent while disconnected are lost, so subscribers reload what they show
+        if (channel.wasOpen) channel.subscribers.forEach(subscriber => subscriber.onResync && subscriber.onResync());
+        channel.attempts = 0;
+        channel.wasOpen = true;
+        setLiveUpdateStatus('open');
+    };
+    source.onmessage = handleLiveUpdateMessage;
+    source.onerror = () => {
+        if (source.readyState === EventSource.CONNECTING) {
+            setLiveUpdateStatus('connecting'); // The browser reconnects by itself
+            return;
+        }
+        // Closed for good (e.g. an HTTP error): reconnect with backoff, or when the browser is back online
+        source.close();
+        channel.source = null;
+        channel.attempts++;
+        if (navigator.onLine === false) {
+            setLiveUpdateStatus('offline');
+            $(window).one('online.liveUpdates', connectLiveUpdates);
+            return;
+        }
+        const delay = Math.min(LOAD_RETRY.baseDelay * Math.pow(2, channel.attempts - 1), LOAD_RETRY.maxDelay);
+        console.warn(`connectLiveUpdates: The change stream closed; reconnecting in ${delay / 1000}s.`);
+        setLiveUpdateStatus('offline');
+        channel.timer = setTimeout(() => {
+            channel.timer = null;
+            connectLiveUpdates();
+        }, delay);
+        // EventSource hides the HTTP status: a 404 means the server has no stream, so stop retrying
+        getResponseStatus(url).then(status => {
+            if (status !== 404 || channel.source) return;
+            console.warn(`connectLiveUpdates: ${url} was not found; live updates are off.`);
+            clearTimeout(channel.timer);
+            channel.timer = null;
+            channel.unavailable = true;
+            setLiveUpdateStatus('closed');
+        });
+    };
+}
+
+/**
+ * Returns the HTTP status of a GET request without reading its body (which, for a stream, never ends).
+ * @param {string} url - The URL to check.
+ * @returns {Promise<number>} The status, or 0 when the request failed.
+ */
+async function getResponseStatus(url) {
+    const controller = new AbortController();
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        return response.status;
+    } catch (e) {
+        return 0;
+    } finally {
+        controller.abort();
+    }
+}
+
+/**
+ * Closes the change notification stream and cancels any pending reconnect.
+ */
+function disconnectLiveUpdates() {
+    const channel = liveUpdateChannel;
+    if (channel.source) channel.source.close();
+    clearTimeout(channel.timer);
+    $(window).off('online.liveUpdates');
+    channel.source = null;
+    channel.timer = null;
+    channel.attempts = 0;
+    channel.wasOpen = false;
+    setLiveUpdateStatus('closed');
+}
+
+/**
+ * Routes a change notification to the subscribers of its entity.
+ * @param {MessageEvent} event - The server-sent event; its data is the JSON notification.
+ */
+function handleLiveUpdateMessage(event) {
+    let change;
+    try {
+        change = JSON.parse(event.data);
+    } catch (e) {
+        console.warn('handleLiveUpdateMessage: Ignoring a notification that is not JSON.', event.data);
+        return;
+    }
+    if (!change || !change.entity || !change.action) {
+        console.warn('handleLiveUpdateMessage: Ignoring a notification without entity or action.', change);
+        return;
+    }
+    pruneEntityChangeSubscribers();
+    const entity = String(change.entity).toLowerCase();
+    liveUpdateChannel.subscribers.forEach(subscriber => {
+        if (subscriber.entities.includes(entity) || subscriber.entities.includes('*')) subscriber.onChange(change);
+    });
+}
+
+/**
+ * Records the connection status and shows it in the live indicator of every subscribed table.
+ * @param {string} status - 'closed', 'connecting', 'open' or 'offline'.
+ */
+function setLiveUpdateStatus(status) {
+    liveUpdateChannel.status = status;
+    const labels = {
+        open: { text: 'Live', className: 'bg-success', title: 'Changes appear as they happen' },
+        connecting: { text: 'Connecting...', className: 'bg-warning text-dark', title: 'Connecting to live updates' },
+        offline: { text: 'Offline', className: 'bg-danger', title: 'Live updates are disconnected; reconnecting' },
+        closed: { text: 'Offline', className: 'bg-secondary', title: 'Live updates are off' }
+    };
+    const label = labels[status];
+    $('.table-live-status')
+        .removeClass('bg-success bg-warning bg-danger bg-secondary text-dark')
+        .addClass(label.className)
+        .attr('title', label.title)
+        .find('.live-status-text').text(label.text);
+}
+
+/**
+ * Returns true while a table receives live updates over an open connection (auto-refresh then skips its polls).
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {boolean} Whether pushed changes keep the table current.
+ */
+function isLiveUpdating(tableId) {
+    const instance = dataTableManager[tableId];
+    return !!(instance && instance.liveUpdates) && liveUpdateChannel.status === 'open';
+}
+
+/**
+ * Subscribes a table to the change notifications of its entities (`config.liveUpdates`) and adds the
+ * live indicator to its toolbar. Does nothing when the page names no stream (see getLiveUpdatesUrl).
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function initializeLiveUpdates(tableId) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+    if (!config.liveUpdates || !getLiveUpdatesUrl()) return;
+    const entities = config.liveUpdates.entity || config.liveUpdates;
+    instance.liveUpdates = instance.liveUpdates || { queue: [], timer: null };
+
+    const $toolbar = getTableToolbar(tableId);
+    if ($toolbar.find('.table-live-status').length === 0) {
+        $toolbar.prepend(`
+            <span class="table-live-status badge rounded-pill bg-secondary" role="status">
+                <i class="bi bi-broadcast me-1" aria-hidden="true"></i><span class="live-status-text">Offline</span>
+            </span>`);
+    }
+
+    subscribeToEntityChanges(tableId, {
+        entities: entities,
+        onChange: change => queueLiveChange(tableId, change),
+        onResync: () => refreshTable(tableId),
+        isActive: () => document.body.contains(document.getElementById(tableId))
+    });
+    setLiveUpdateStatus(liveUpdateChannel.status);
+}
+
+/**
+ * Queues a change notification for a table; changes arriving close together are drawn at once.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} change - The notification.
+ */
+function queueLiveChange(tableId, change) {
+    const live = dataTableManager[tableId].liveUpdates;
+    live.queue.push(change);
+    if (!live.timer) live.timer = setTimeout(() => flushLiveChanges(tableId), LIVE_UPDATES.batchDelay);
+}
+
+/**
+ * Applies a table's queued changes in place: created rows are added, updated rows merged and deleted rows
+ * removed, then the table is redrawn on the same page and the affected rows (or cards) are highlighted.
+ * Server-side tables, and notifications without row data, reload the table instead (see refreshTable).
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function flushLiveChanges(tableId) {
+    const instance = dataTableManager[tableId];
+    const live = instance.liveUpdates;
+    live.timer = null;
+    if (!instance.table || live.queue.length === 0) return;
+    // A redraw would discard an edit in progress
+    if ($(`#${tableId}`).find('.cell-editor').length || getCardsContainer(tableId).find('.cell-editor').length) {
+        live.timer = setTimeout(() => flushLiveChanges(tableId), LIVE_UPDATES.batchDelay);
+        return;
+    }
+
+    const config = instance.originalConfig;
+    const queue = live.queue.splice(0);
+    if (config.serverSide || queue.some(change => change.action !== 'deleted' && !change.data)) {
+        refreshTable(tableId);
+        return;
+    }
+
+    const api = instance.table;
+    const rowIdKey = getRowIdKey(config);
+    const ghosts = captureRefreshGhosts(tableId);
+    const added = new Set();
+    const changed = new Set();
+    const removed = new Set();
+    queue.forEach(change => {
+        const rowId = String(change.id ?? getRowId(config, change.data || {}));
+        const row = findTableRow(tableId, rowId);
+        if (change.action === 'deleted') {
+            if (!row) return;
+            row.remove();
+            instance.selectedRowIds.delete(rowId);
+            instance.selectedRowData.delete(rowId);
+            removed.add(rowId);
+        } else if (row) {
+            const rowData = { ...row.data(), ...change.data };
+            row.data(rowData);
+            instance.childRowCache.delete(rowId); // Details may have changed too
+            if (instance.selectedRowIds.has(rowId)) instance.selectedRowData.set(rowId, rowData);
+            if (!added.has(rowId)) changed.add(rowId);
+        } else if (change.action === 'created') {
+            const rowData = { ...change.data };
+            if (rowIdKey && getRowValue(rowData, rowIdKey) == null) setRowValue(rowData, rowIdKey, change.id);
+            api.row.add(rowData);
+            added.add(rowId);
+        }
+        // Updates of rows this table never loaded are outside its data set
+    });
+    if (added.size + changed.size + removed.size === 0) return;
+
+    api.draw(false);
+    const changes = { added: [...added], changed: [...changed], removed: [...removed] };
+    highlightRefreshChanges(tableId, changes, ghosts);
+    if (instance.autoRefresh) {
+        instance.autoRefresh.lastUpdated = new Date();
+        instance.autoRefresh.summary = describeRefreshChanges(changes);
+        updateAutoRefreshControl(tableId);
+    }
+}
+
+/**
+ * Subscribes the KPI elements of the page to live updates: an element with `data-live-entity` and
+ * `data-live-url` reloads its value from the URL (a JSON value, or `{ value }`) when that entity changes,
+ * formatted with `data-live-format` (see formatByType) when given. KPIs stay static when the page names no stream.
+ */
+function initializeLiveKpis() {
+    if (!getLiveUpdatesUrl()) return;
+    $('[data-live-entity][data-live-url]').each(function () {
+        const element = this;
+        let timer = null;
+        subscribeToEntityChanges(element, {
+            entities: $(element).data('live-entity').split(','),
+            // Bursts of changes reload the value once
+            onChange: () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => refreshLiveKpi(element), LIVE_UPDATES.batchDelay);
+            },
+            onResync: () => refreshLiveKpi(element),
+            isActive: () => document.body.contains(element)
+        });
+    });
+}
+
+/**
+ * Reloads the value of a live KPI element and briefly highlights it when it changed.
+ * @param {HTMLElement} element - The KPI element (see initializeLiveKpis).
+ */
+function refreshLiveKpi(element) {
+    const $element = $(element);
+    $.ajax({ url: $element.data('live-url'), method: 'GET', dataType: 'json' })
+        .done(result => {
+            const value = result !== null && typeof result === 'object' ? result.value : result;
+            const format = $element.data('live-format');
+            const text = format ? formatByType(value, format) : String(value ?? '');
+            if ($element.text() === text) return;
+            $element.text(text).removeClass('refresh-flash refresh-changed').addClass('refresh-flash refresh-changed');
+            setTimeout(() => $element.removeClass('refresh-flash refresh-changed'), AUTO_REFRESH.highlightDuration);
+        })
+        .fail((xhr, textStatus) => console.warn(`refreshLiveKpi: Could not reload ${$element.data('live-url')}.`, textStatus));
+}
+
+/***Column Types */
+
+/** Badge colors available to status columns (see COLUMN_TYPES.status). */
+const STATUS_BADGE_CLASSES = {
+    green: 'bg-green-100 text-green-800',
+    yellow: 'bg-yellow-100 text-yellow-800',
+    red: 'bg-red-100 text-red-800',
+    blue: 'bg-blue-100 text-blue-800',
+    purple: 'bg-purple-100 text-purple-800',
+    orange: 'bg-orange-100 text-orange-800',
+    gray: 'bg-gray-100 text-gray-800'
+};
+
+/** Colors of common statuses, used when a status column's `statuses` map does not list a value. */
+const DEFAULT_STATUS_COLORS = {
+    active: 'green', approved: 'green', paid: 'green', completed: 'green', closed: 'gray',
+    pending: 'yellow', draft: 'gray', open: 'blue', 'in progress': 'blue', partial: 'orange',
+    overdue: 'red', rejected: 'red', failed: 'red', void: 'red', cancelled: 'red', inactive: 'gray'
+};
+
+/**
+ * Reads a value as a boolean: true, 'true', 'yes', 'y' and '1' (any case) are true.
+ * @param {*} value - Cell value.
+ * @returns {boolean} The boolean.
+ */
+function toBooleanValue(value) {
+    return value === true || /^(true|yes|y|1)$/i.test(String(value ?? '').trim());
+}
+
+/**
+ * Converts a date value to a timestamp for sorting.
+ * @param {*} value - Date, timestamp or date string.
+ * @returns {number|null} Milliseconds since the epoch, or null for missing and invalid dates.
+ */
+function toDateTimestamp(value) {
+    const date = toFormatDate(value);
+    return date ? date.getTime() : null;
+}
+
+/**
+ * Returns the badge color of a status value: the column's `statuses` map, then DEFAULT_STATUS_COLORS, then gray.
+ * @param {object} col - Column definition.
+ * @param {*} value - Status value.
+ * @returns {string} A STATUS_BADGE_CLASSES key.
+ */
+function getStatusColor(col, value) {
+    const statuses = col.statuses || {};
+    return statuses[value] || DEFAULT_STATUS_COLORS[String(value).toLowerCase()] || 'gray';
+}
+
+/**
+ * Builds the details page link of an entity reference column: `url` is a template with an `{id}` placeholder
+ * (filled from `idField`, default the column's own key) or `(rowData) => url`.
+ * @param {object} col - Column definition.
+ * @param {object} rowData - The row's data object.
+ * @returns {string} URL ('' when the column has no `url`).
+ */
+function getReferenceUrl(col, rowData) {
+    if (typeof col.url === 'function') return col.url(rowData);
+    if (!col.url) return '';
+    return col.url.replace('{id}', encodeURIComponent(getRowValue(rowData, col.idField || col.data) ?? ''));
+}
+
+/**
+ * Column type vocabulary for `LoadDataTable` columns (`{ data, title, type: 'currency' }`). Each type knows how to
+ * display a value (table cells and generic cards), what to sort and search on, what to export, which editor
+ * inline editing uses and which filter control `filter: true` generates ('text', 'select', 'range' or 'dateRange').
+ * Options read from the column: currency `currency` (fixed code, default the current one) and `decimals`;
+ * percent `scale` (100 when values are already percentages); status `statuses` ({ value: color });
+ * reference `url`, `idField` and `textField`.
+ */
+const COLUMN_TYPES = {
+    text: {
+        display: value => escapeHtml(value),
+        filter: 'text'
+    },
+    number: {
+        className: 'text-right',
+        display: (value, col) => escapeHtml(formatNumber(value, { maximumFractionDigits: col.decimals ?? 2 })),
+        sort: value => toFormatNumber(value),
+        search: (value, col) => `${formatNumber(value, { maximumFractionDigits: col.decimals ?? 2 })} ${value}`,
+        exportValue: value => toFormatNumber(value) ?? '',
+        editor: 'number',
+        filter: 'range'
+    },
+    currency: {
+        className: 'text-right',
+        display: (value, col) => escapeHtml(formatCurrency(value, col.decimals !== undefined
+            ? { currency: col.currency, minimumFractionDigits: col.decimals, maximumFractionDigits: col.decimals }
+            : { currency: col.currency })),
+        sort: value => toFormatNumber(value),
+        search: (value, col) => `${formatCurrency(value, { currency: col.currency })} ${value}`,
+        exportValue: value => toFormatNumber(value) ?? '',
+        editor: 'number',
+        filter: 'range'
+    },
+    percent: {
+        className: 'text-right',
+        display: (value, col) => escapeHtml(formatPercent(toFormatNumber(value) === null ? null : value / (col.scale || 1))),
+        sort: value => toFormatNumber(value),
+        search: (value, col) => formatPercent(toFormatNumber(value) === null ? null : value / (col.scale || 1)),
+        exportValue: value => toFormatNumber(value) ?? '',
+        editor: 'number',
+        filter: 'range'
+    },
+    date: {
+        display: value => escapeHtml(formatDate(value)),
+        sort: toDateTimestamp,
+        search: value => `${formatDate(value)} ${formatDate(value, 'iso')}`,
+        exportValue: value => formatDate(value, 'iso'),
+        editor: 'date',
+        filter: 'dateRange'
+    },
+    datetime: {
+        display: value => escapeHtml(formatDate(value, 'dateTime')),
+        sort: toDateTimestamp,
+        search: value => `${formatDate(value, 'dateTime')} ${formatDate(value, 'iso')}`,
+        exportValue: value => (toFormatDate(value) ? toFormatDate(value).toISOString() : ''),
+        filter: 'dateRange'
+    },
+    status: {
+        display: (value, col) => `<span class="status-badge inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_BADGE_CLASSES[getStatusColor(col, value)] || STATUS_BADGE_CLASSES.gray}">${escapeHtml(value)}</span>`,
+        editor: 'select',
+        options: col => Object.keys(col.statuses || {}),
+        filter: 'select'
+    },
+    email: {
+        display: value => `<a href="mailto:${escapeHtml(value)}" class="text-blue-600 hover:underline">${escapeHtml(value)}</a>`,
+        filter: 'text'
+    },
+    phone: {
+        display: value => `<a href="tel:${escapeHtml(String(value).replace(/[^\d+]/g, ''))}" class="text-blue-600 hover:underline">${escapeHtml(value)}</a>`,
+        search: value => `${value} ${String(value).replace(/\D/g, '')}`,
+        filter: 'text'
+    },
+    reference: {
+        display: (value, col, rowData) => {
+            const text = escapeHtml(col.textField ? getRowValue(rowData, col.textField) ?? value : value);
+            const url = getReferenceUrl(col, rowData);
+            return url ? `<a href="${escapeHtml(url)}" class="text-blue-600 hover:underline">${text}</a>` : text;
+        },
+        search: (value, col, rowData) => `${col.textField ? getRowValue(rowData, col.textField) ?? '' : ''} ${value}`,
+        exportValue: (value, col, rowData) => (col.textField ? getRowValue(rowData, col.textField) ?? value : value),
+        filter: 'text'
+    },
+    boolean: {
+        className: 'text-center',
+        display: value => (toBooleanValue(value)
+            ? '<i class="bi bi-check-circle-fill text-green-600" aria-hidden="true"></i><span class="visually-hidden">Yes</span>'
+            : '<i class="bi bi-x-circle text-gray-400" aria-hidden="true"></i><span class="visually-hidden">No</span>'),
+        sort: value => (toBooleanValue(value) ? 1 : 0),
+        search: value => (toBooleanValue(value) ? 'Yes' : 'No'),
+        exportValue: value => (toBooleanValue(value) ? 'Yes' : 'No'),
+        options: () => [{ value: 'true', label: 'Yes' }, { value: 'false', label: 'No' }],
+        filter: 'select'
+    }
+};
+
+// Columns already expanded by applyColumnType, so re-initializations do not expand them twice
+const typedColumns = new WeakSet();
+
+/**
+ * Expands a column declared with a `type` (see COLUMN_TYPES) into a full column definition: a renderer that displays
+ * the formatted value while sorting and searching on typed values, an `exportValue`, alignment and, for
+ * `editable` columns, the type's editor. Anything the column sets itself (e.g. its own `render`) wins.
+ * @param {object} col - Column definition.
+ * @returns {object} The expanded column (the column itself when it has no known type).
+ */
+function applyColumnType(col) {
+    const columnType = COLUMN_TYPES[col.type];
+    if (!columnType || typedColumns.has(col)) return col;
+
+    const typed = {
+        className: columnType.className,
+        render: function (data, type, rowData) {
+            const empty = data === null || data === undefined || data === '';
+            switch (type) {
+                case 'display':
+                    return empty ? escapeHtml(col.emptyText ?? '') : columnType.display(data, col, rowData);
+                case 'filter':
+                    return empty ? '' : (columnType.search ? columnType.search(data, col, rowData) : String(data));
+                case 'sort':
+                case 'type':
+                    return columnType.sort ? columnType.sort(data) : data;
+                default:
+                    return data;
+            }
+        },
+        exportValue: columnType.exportValue ? (value, rowData) => (value === null || value === undefined ? '' : columnType.exportValue(value, col, rowData)) : undefined,
+        ...col
+    };
+    const editorOptions = columnType.options ? columnType.options(col) : undefined;
+    if (col.editable && columnType.editor && !(editorOptions && editorOptions.length === 0)) {
+        typed.editable = {
+            type: columnType.editor,
+            options: editorOptions,
+            ...(typeof col.editable === 'object' ? col.editable : {})
+        };
+    }
+    typedColumns.add(typed);
+    return typed;
+}
+
+/**
+ * Renders one field of a row the way its column displays it (typed columns included), for custom card templates.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} key - Column data key.
+ * @param {object} rowData - The row's data object.
+ * @returns {string} Display HTML.
+ */
+function renderColumnValue(tableId, key, rowData) {
+    const instance = dataTableManager[tableId];
+    const col = instance ? instance.originalConfig.columns.find(c => c.data === key) : null;
+    const value = getRowValue(rowData, key);
+    if (!col || typeof col.render !== 'function') return escapeHtml(value);
+    return col.render(value, 'display', rowData);
+}
+
+/**
+ * Converts a column definition to the one handed to DataTables: vocabulary types are dropped (DataTables has its
+ * own `type` option and detects the sort type from the typed values) and editable columns get a marker class.
+ * @param {object} col - Column definition.
+ * @returns {object} DataTables column.
+ */
+function toDataTableColumn(col) {
+    let column = col;
+    if (COLUMN_TYPES[col.type]) {
+        const { type, ...rest } = col;
+        column = rest;
+    }
+    // Editable columns get a marker class for click-to-edit (see bindInlineEditing)
+    return col.editable ? { ...column, className: `${column.className || ''} editable-cell cursor-pointer`.trim() } : column;
+}
+
+/**
+ * Builds filter controls for the columns declared with `filter: true`, chosen by the column type (see COLUMN_TYPES):
+ * a text box, a select (statuses, yes/no), or From/To number or date inputs. The controls go into
+ * `#{tableId}-column-filters`, created above the table unless the page declares it, and are added to `config.filters`,
+ * so they work like page-declared filters (badges, saved views, URL state, server-side requests).
+ * @param {object} config - The table config.
+ */
+function initializeColumnFilters(config) {
+    const columns = config.columns.filter(col => col.filter === true && col.data);
+    if (columns.length === 0) return;
+
+    const tableId = config.tableId;
+    const idOf = (col, suffix = '') => `${tableId}-filter-${String(col.data).replace(/[^\w-]/g, '-')}${suffix}`;
+    const inputClass = 'form-control w-full rounded-md shadow-sm';
+    const filterKind = col => {
+        const columnType = COLUMN_TYPES[col.type] || COLUMN_TYPES.text;
+        // A select needs options; status columns without a `statuses` map get a text box
+        return columnType.filter === 'select' && columnType.options(col).length === 0 ? 'text' : columnType.filter;
+    };
+
+    let $bar = $(`#${tableId}-column-filters`);
+    if ($bar.length === 0) {
+        $bar = $(`<div id="${tableId}-column-filters" class="column-filters grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4"></div>`);
+        const $table = $(`#${tableId}`);
+        const $wrapper = $table.closest('.dataTables_wrapper');
+        ($wrapper.length ? $wrapper : $table).before($bar);
+    }
+    if ($bar.children().length === 0) {
+        $bar.html(columns.map(col => {
+            const title = escapeHtml(col.title || col.data);
+            switch (filterKind(col)) {
+                case 'select': {
+                    const options = (COLUMN_TYPES[col.type].options(col) || [])
+                        .map(option => (typeof option === 'object' ? option : { value: option, label: option }))
+                        .map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('');
+                    return `<div><label for="${idOf(col)}" class="block text-sm font-medium mb-1">${title}</label>
+                        <select id="${idOf(col)}" class="form-select w-full rounded-md shadow-sm"><option value="">All</option>${options}</select></div>`;
+                }
+                case 'range':
+                case 'dateRange': {
+                    const inputType = filterKind(col) === 'dateRange' ? 'date' : 'number';
+                    return `<div><span class="block text-sm font-medium mb-1">${title}</span><div class="flex gap-2">
+                        <input type="${inputType}" id="${idOf(col, '-from')}" class="${inputClass}" placeholder="From" aria-label="${title} from">
+                        <input type="${inputType}" id="${idOf(col, '-to')}" class="${inputClass}" placeholder="To" aria-label="${title} to"></div></div>`;
+                }
+                default:
+                    return `<div><label for="${idOf(col)}" class="block text-sm font-medium mb-1">${title}</label>
+                        <input type="text" id="${idOf(col)}" class="${inputClass}" placeholder="Filter ${title}..."></div>`;
+            }
+        }).join(''));
+    }
+
+    // Register the controls once per config (LoadDataTable runs again on rebuilds)
+    if ((config.filters || []).some(filter => filter.columnFilter)) return;
+    config.filters = (config.filters || []).concat(columns.map(col => {
+        const kind = filterKind(col);
+        const column = col.type === 'reference' && col.textField ? col.textField : col.data; // References filter on their text
+        if (kind === 'range' || kind === 'dateRange') {
+            return { column: column, from: `#${idOf(col, '-from')}`, to: `#${idOf(col, '-to')}`, type: kind, label: col.title, columnFilter: true };
+        }
+        return { column: column, input: `#${idOf(col)}`, type: kind === 'select' ? 'equals' : 'contains', label: col.title, columnFilter: true };
+    }));
+}
+
+/***Table Filters */
+
+/**
+ * Reads a (possibly nested, dot-separated) property from a row data object.
+ * @param {object} rowData - The row's data object.
+ * @param {string} key - Column data key, e.g. 'amount' or 'vendor.name'.
+ * @returns {*} The value, or undefined if any segment is missing.
+ */
+function getRowValue(rowData, key) {
+    if (!rowData || typeof key !== 'string') return undefined;
+    return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), rowData);
+}
+
+/**
+ * Normalizes one entry of `config.filters`, filling in the filter type and label.
+ * Single-input filters default to 'equals' for selects and 'contains' for everything else.
+ * @param {object} filter - Filter definition from the table config.
+ * @param {Array<object>} columns - DataTable column definitions from the table config.
+ * @returns {object} The normalized filter definition.
+ */
+function normalizeTableFilter(filter, columns) {
+    const column = columns.find(col => col.data === filter.column);
+    let type = filter.type;
+    if (!type) {
+        type = filter.input && $(filter.input).is('select') ? 'equals' : 'contains';
+    }
+    return {
+        ...filter,
+        type: type,
+        label: filter.label || (column && column.title) || filter.column
+    };
+}
+
+/**
+ * Returns the currently active filters of a table, read from their bound inputs, followed by its chart drill-down filters.
+ * Range filters ('range', 'dateRange') report `from`/`to`; the others report `value`.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {Array<object>} Active filters as `{ index, column, type, label, value, text }` or `{ index, column, type, label, from, to }`,
+ *   where `index` is the filter's position in `config.filters` (drill-down filters have `drill: true` instead).
+ */
+function getTableFilterValues(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance) return [];
+
+    const active = [];
+    (instance.originalConfig.filters || []).forEach((definition, index) => {
+        const filter = normalizeTableFilter(definition, instance.originalConfig.columns);
+        if (filter.type === 'range' || filter.type === 'dateRange') {
+            const from = filter.from ? $(filter.from).val() : '';
+            const to = filter.to ? $(filter.to).val() : '';
+            if (from || to) {
+                active.push({ index: index, column: filter.column, type: filter.type, label: filter.label, from: from || null, to: to || null });
+            }
+        } else {
+            const value = filter.input ? $(filter.input).val() : '';
+            if (value !== undefined && value !== null && String(value).trim() !== '') {
+                const $input = $(filter.input);
+                const text = $input.is('select') ? $input.find('option:selected').text() : value;
+                active.push({ index: index, column: filter.column, type: filter.type, label: filter.label, value: String(value).trim(), text: text });
+            }
+        }
+    });
+    return active.concat(getDrillDownFilters(tableId));
+}
+
+/**
+ * Tests a single row against a list of active filters (client-side processing).
+ * @param {object} rowData - The row's data object.
+ * @param {Array<object>} filters - Active filters as returned by getTableFilterValues.
+ * @returns {boolean} True when the row satisfies every filter.
+ */
+function rowMatchesFilters(rowData, filters) {
+    return filters.every(filter => {
+        const value = getRowValue(rowData, filter.column);
+        switch (filter.type) {
+            case 'equals':
+                return value !== undefined && value !== null && String(value).toLowerCase() === filter.value.toLowerCase();
+            case 'contains':
+                return value !== undefined && value !== null && String(value).toLowerCase().includes(filter.value.toLowerCase());
+            case 'range': {
+                const number = parseFloat(value);
+                if (isNaN(number)) return false;
+                if (filter.from !== null && number < parseFloat(filter.from)) return false;
+                if (filter.to !== null && number > parseFloat(filter.to)) return false;
+                return true;
+            }
+            case 'dateRange': {
+                if (!value) return false;
+                const date = new Date(value);
+                if (isNaN(date)) return false;
+                // Date inputs give 'YYYY-MM-DD'; the To bound covers the whole day
+                if (filter.from && date < new Date(`${filter.from}T00:00:00`)) return false;
+                if (filter.to && date > new Date(`${filter.to}T23:59:59.999`)) return false;
+                return true;
+            }
+            default:
+                console.warn(`rowMatchesFilters: Unknown filter type '${filter.type}' for column '${filter.column}'.`);
+                return true;
+        }
+    });
+}
+
+/**
+ * Wires the inputs listed in `config.filters` so that changing them redraws the table.
+ * Text inputs are debounced; selects, dates and numbers redraw on change.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function bindTableFilters(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.originalConfig.filters) return;
+
+    const namespace = `.dtFilter_${tableId}`;
+    let debounceTimer = null;
+    const redraw = () => {
+        if (instance.table) instance.table.draw();
+    };
+
+    instance.originalConfig.filters.forEach(filter => {
+        [filter.input, filter.from, filter.to].filter(Boolean).forEach(selector => {
+            const $input = $(selector);
+            if ($input.length === 0) {
+                console.warn(`bindTableFilters: Filter input ${selector} not found for ${tableId}.`);
+                return;
+            }
+            $input.off(namespace).on(`change${namespace}`, redraw);
+            if ($input.is('input[type="text"], input[type="search"], input:not([type])')) {
+                $input.on(`input${namespace}`, function () {
+                    clearTimeout(debounceTimer);
+                    debounceTimer = setTimeout(redraw, 300);
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Clears the input(s) of one configured filter and redraws the table.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {number} filterIndex - Position of the filter in `config.filters`.
+ */
+function clearTableFilter(tableId, filterIndex) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.originalConfig.filters || !instance.originalConfig.filters[filterIndex]) return;
+
+    const filter = instance.originalConfig.filters[filterIndex];
+    [filter.input, filter.from, filter.to].filter(Boolean).forEach(selector => $(selector).val(''));
+    instance.table.draw();
+}
+
+/**
+ * Clears every configured filter input, the chart drill-down and the DataTable's global search, then redraws once.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function clearTableFilters(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table) return;
+
+    (instance.originalConfig.filters || []).forEach(filter => {
+        [filter.input, filter.from, filter.to].filter(Boolean).forEach(selector => $(selector).val(''));
+    });
+    instance.drillPath = [];
+    instance.table.search('').draw();
+}
+
+/**
+ * Describes an active filter's value for display in its badge.
+ * @param {object} filter - Active filter as returned by getTableFilterValues.
+ * @returns {string} Human-readable value, e.g. 'Pending' or '2024-01-01 – 2024-03-31'.
+ */
+function describeFilterValue(filter) {
+    if (filter.type === 'range' || filter.type === 'dateRange') {
+        if (filter.from && filter.to) return `${filter.from} – ${filter.to}`;
+        return filter.from ? `≥ ${filter.from}` : `≤ ${filter.to}`;
+    }
+    return filter.text || filter.value;
+}
+
+/**
+ * Badge colour classes, cycled through by filter position.
+ */
+const FILTER_BADGE_CLASSES = [
+    'bg-blue-100 text-blue-800',
+    'bg-green-100 text-green-800',
+    'bg-purple-100 text-purple-800',
+    'bg-yellow-100 text-yellow-800',
+    'bg-pink-100 text-pink-800'
+];
+
+/**
+ * Renders the active-filter badge bar for a table: one removable chip per active filter
+ * (plus the global search), a "Clear all" action and the filtered/total row count.
+ * The bar goes into `config.filterBadges` when set, otherwise into `#{tableId}-filter-badges`,
+ * which is created above the table when the page does not declare one.
+ * Called on every draw; with no tableId it refreshes every registered table.
+ * @param {string} [tableId] - The ID of the HTML table element.
+ */
+function updateActiveFilterBadges(tableId) {
+    if (!tableId) {
+        Object.keys(dataTableManager).forEach(id => updateActiveFilterBadges(id));
+        return;
+    }
+
+    const instance = dataTableManager[tableId];
+    // Skip tables whose markup was replaced by AJAX navigation
+    if (!instance || !instance.table || $(`#${tableId}`).length === 0) return;
+
+    const config = instance.originalConfig;
+    let $badges = $(config.filterBadges || `#${tableId}-filter-badges`);
+    if ($badges.length === 0) {
+        $badges = $(`<div id="${tableId}-filter-badges" class="active-filter-bar flex flex-wrap items-center gap-2 mb-4"></div>`);
+        $(`#${tableId}`).closest('.dataTables_wrapper').before($badges);
+    }
+
+    const api = instance.table;
+    const activeFilters = getTableFilterValues(tableId).filter(filter => !filter.drill); // Drill-downs have breadcrumbs
+    const searchTerm = api.search();
+
+    if (activeFilters.length === 0 && !searchTerm) {
+        $badges.empty().hide();
+        return;
+    }
+
+    let badgesHtml = '';
+    activeFilters.forEach(filter => {
+        const colorClasses = FILTER_BADGE_CLASSES[filter.index % FILTER_BADGE_CLASSES.length];
+        badgesHtml += `
+            <span class="filter-badge inline-flex items-center px-3 py-1 rounded-full ${colorClasses} text-sm font-medium">
+                ${escapeHtml(filter.label)}: ${escapeHtml(describeFilterValue(filter))}
+                <button type="button" class="filter-badge-remove ml-2 focus:outline-none" data-filter-index="${filter.index}" aria-label="Remove ${escapeHtml(filter.label)} filter">&times;</button>
+            </span>`;
+    });
+    if (searchTerm) {
+        badgesHtml += `
+            <span class="filter-badge inline-flex items-center px-3 py-1 rounded-full bg-gray-200 text-gray-800 text-sm font-medium">
+                Search: ${escapeHtml(searchTerm)}
+                <button type="button" class="filter-badge-remove ml-2 focus:outline-none" data-filter-index="search" aria-label="Clear search">&times;</button>
+            </span>`;
+    }
+
+    const info = api.page.info();
+    badgesHtml += `
+        <button type="button" class="filter-badge-clear-all text-sm font-semibold text-blue-600 hover:text-blue-800 underline">Clear all</button>
+        <span class="filter-badge-count text-sm text-gray-500 ms-auto">Showing ${getMatchingRowCount(tableId)} of ${info.recordsTotal} rows</span>`;
+
+    $badges.html(badgesHtml).show();
+
+    $badges.off('.filterBadges')
+        .on('click.filterBadges', '.filter-badge-remove', function () {
+            const filterIndex = $(this).data('filter-index');
+            if (filterIndex === 'search') {
+                api.search('').draw();
+            } else {
+                clearTableFilter(tableId, parseInt(filterIndex, 10));
+            }
+        })
+        .on('click.filterBadges', '.filter-badge-clear-all', function () {
+            clearTableFilters(tableId);
+        });
+}
+
+// One global search hook serves every client-side table that declares `filters` or is drilled down into.
+// The active filters are read from their inputs once per search pass, at its first row (`counter` 0).
+if ($.fn.dataTable) {
+    $.fn.dataTable.ext.search.push(function (settings, searchData, dataIndex, rowData, counter) {
+        const instance = dataTableManager[settings.nTable.id];
+        if (!instance || settings.oFeatures.bServerSide) return true;
+        if (!instance.originalConfig.filters && instance.drillPath.length === 0) return true;
+        if (counter === 0 || !instance.activeFilters) {
+            instance.activeFilters = getTableFilterValues(settings.nTable.id);
+        }
+        return instance.activeFilters.length === 0 || rowMatchesFilters(rowData, instance.activeFilters);
+    });
+}
+
+/***Table Toolbar */
+
+/**
+ * Returns the toolbar row shown above a table, creating it before the DataTable wrapper
+ * (and before the filter badge bar, if any) the first time it is requested.
+ * Table-level controls such as the export menu are appended here.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {jQuery} The toolbar element.
+ */
+function getTableToolbar(tableId) {
+    let $toolbar = $(`#${tableId}-toolbar`);
+    if ($toolbar.length === 0) {
+        $toolbar = $(`<div id="${tableId}-toolbar" class="table-toolbar flex flex-wrap items-center justify-end gap-2 mb-3"></div>`);
+        const $badges = $(`#${tableId}-filter-badges`);
+        if ($badges.length) {
+            $badges.before($toolbar);
+        } else {
+            $(`#${tableId}`).closest('.dataTables_wrapper').before($toolbar);
+        }
+    }
+    return $toolbar;
+}
+
+/***Column Chooser */
+
+/**
+ * Returns the stable key of a column: its data key, or its `name`/title for computed columns.
+ * @param {object} col - Column definition.
+ * @returns {string} Column key.
+ */
+function getColumnKey(col) {
+    return typeof col.data === 'string' ? col.data : (col.name || col.title || '');
+}
+
+/**
+ * Reads a table's saved column layout from localStorage.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object|null} `{ order: [keys], hidden: [keys] }`, or null if none is saved.
+ */
+function loadColumnLayout(tableId) {
+    try {
+        return JSON.parse(localStorage.getItem(`dtColumnLayout_${tableId}`)) || null;
+    } catch (e) {
+        console.warn(`loadColumnLayout: Ignoring unreadable layout for ${tableId}.`, e);
+        return null;
+    }
+}
+
+/**
+ * Saves a table's column layout to localStorage and, when configured, to the preferences endpoint.
+ * Passing null clears the saved layout. Called for the user's own column changes only; the saved layout
+ * then replaces the layout of an applied view.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object|null} layout - `{ order: [keys], hidden: [keys] }`.
+ */
+function saveColumnLayout(tableId, layout) {
+    const instance = dataTableManager[tableId];
+    if (instance) instance.viewLayout = null;
+    if (layout) {
+        localStorage.setItem(`dtColumnLayout_${tableId}`, JSON.stringify(layout));
+    } else {
+        localStorage.removeItem(`dtColumnLayout_${tableId}`);
+    }
+
+    const preferencesUrl = instance && instance.originalConfig.preferencesUrl;
+    if (preferencesUrl) {
+        $.ajax({
+            url: `${preferencesUrl}/${encodeURIComponent(tableId)}`,
+            method: layout ? 'PUT' : 'DELETE',
+            contentType: 'application/json',
+            data: layout ? JSON.stringify(layout) : undefined,
+            error: function (xhr, status, error) {
+                console.warn(`saveColumnLayout: Could not save layout for ${tableId} to ${preferencesUrl}.`, error);
+            }
+        });
+    }
+}
+
+/**
+ * Fetches the column layout from the preferences endpoint and rebuilds the table if it differs
+ * from the locally cached one (e.g. the user changed it on another device).
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function syncColumnLayoutFromServer(tableId) {
+    const instance = dataTableManager[tableId];
+    const preferencesUrl = instance.originalConfig.preferencesUrl;
+    if (!preferencesUrl || instance.layoutSynced) return;
+    instance.layoutSynced = true;
+
+    $.ajax({
+        url: `${preferencesUrl}/${encodeURIComponent(tableId)}`,
+        method: 'GET',
+        success: function (layout) {
+            if (!layout || JSON.stringify(layout) === JSON.stringify(loadColumnLayout(tableId))) return;
+            localStorage.setItem(`dtColumnLayout_${tableId}`, JSON.stringify(layout));
+            rebuildTable(tableId);
+        },
+        error: function (xhr) {
+            if (xhr.status !== 404) {
+                console.warn(`syncColumnLayoutFromServer: Could not load layout for ${tableId}.`, xhr);
+            }
+        }
+    });
+}
+
+/**
+ * Returns copies of the configured columns in the saved order, with saved hidden columns set to `visible: false`.
+ * Columns missing from the saved order (e.g. added since) keep their configured position at the end.
+ * @param {Array<object>} columns - Column definitions from the table config.
+ * @param {object|null} layout - Saved layout.
+ * @returns {Array<object>} Column definitions to initialize the DataTable with.
+ */
+function applyColumnLayout(columns, layout) {
+    const copies = columns.map(col => ({ ...col }));
+    if (!layout) return copies;
+
+    const order = layout.order || [];
+    const hidden = layout.hidden || [];
+    const position = col => {
+        const index = order.indexOf(getColumnKey(col));
+        return index === -1 ? order.length + columns.findIndex(c => getColumnKey(c) === getColumnKey(col)) : index;
+    };
+    copies.sort((a, b) => position(a) - position(b));
+    copies.forEach(col => {
+        if (hidden.includes(getColumnKey(col))) col.visible = false;
+    });
+    return copies;
+}
+
+/**
+ * Captures a table's search, order (by column key), page start and page length.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} `{ search, order: [[key, dir]], start, length }`.
+ */
+function captureTableViewState(tableId) {
+    const instance = dataTableManager[tableId];
+    const api = instance.table;
+    const info = api.page.info();
+    return {
+        search: api.search(),
+        order: api.order().map(([index, dir]) => [getColumnKey(instance.columns[index]), dir]),
+        start: info.start,
+        length: info.length
+    };
+}
+
+/**
+ * Returns a table's `defaultOrder` as `[columnKey, dir]` pairs. Its column indexes refer to `config.columns`,
+ * the page's own column order, not to the displayed columns.
+ * @param {object} config - The table config.
+ * @returns {Array<Array>} Default order as `[[key, dir]]`.
+ */
+function getDefaultOrderKeys(config) {
+    return (config.defaultOrder || [])
+        .filter(([index]) => config.columns[index])
+        .map(([index, dir]) => [getColumnKey(config.columns[index]), dir]);
+}
+
+/**
+ * Maps a saved order of `[columnKey, dir]` pairs to DataTables `[columnIndex, dir]` pairs.
+ * Keys that no longer match a column are dropped.
+ * @param {Array<object>} columns - Column definitions in table order.
+ * @param {Array<Array>} order - Saved order as `[[key, dir]]`.
+ * @returns {Array<Array>} DataTables order.
+ */
+function orderKeysToIndexes(columns, order) {
+    return (order || [])
+        .map(([key, dir]) => [columns.findIndex(col => getColumnKey(col) === key), dir])
+        .filter(([index]) => index >= 0);
+}
+
+/**
+ * Re-initializes a table from its original config, keeping its search, order and page.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function rebuildTable(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table) return;
+    instance.pendingViewState = captureTableViewState(tableId);
+    LoadDataTable(instance.originalConfig);
+}
+
+/**
+ * Returns the current layout of a table: the column order and the hidden columns.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} `{ order: [keys], hidden: [keys] }`.
+ */
+function getColumnLayout(tableId) {
+    const instance = dataTableManager[tableId];
+    const columns = instance.columns.filter(col => !isControlColumn(col));
+    return {
+        order: columns.map(getColumnKey),
+        hidden: columns.filter(col => col.visible === false).map(getColumnKey)
+    };
+}
+
+/**
+ * Shows or hides a column without rebuilding the table and persists the change.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} columnKey - Key of the column (see getColumnKey).
+ * @param {boolean} visible - Whether the column should be shown.
+ */
+function setColumnVisibility(tableId, columnKey, visible) {
+    const instance = dataTableManager[tableId];
+    const index = instance.columns.findIndex(col => getColumnKey(col) === columnKey);
+    if (index === -1) return;
+
+    instance.columns[index].visible = visible;
+    instance.table.column(index).visible(visible);
+    saveColumnLayout(tableId, getColumnLayout(tableId));
+    if (instance.isCardView) renderCards(tableId);
+}
+
+/**
+ * Applies a new column order. DataTables core cannot move columns, so the table is rebuilt.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {Array<string>} order - Column keys in the new order.
+ */
+function setColumnOrder(tableId, order) {
+    const layout = getColumnLayout(tableId);
+    layout.order = order;
+    saveColumnLayout(tableId, layout);
+    rebuildTable(tableId);
+}
+
+/**
+ * Adds the Columns dropdown to a table's toolbar: a checkbox per column to show/hide it,
+ * up/down buttons to reorder (applied with "Apply order") and a reset to the configured layout.
+ * Skipped when `config.columnChooser` is false.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function initializeColumnChooser(tableId) {
+    const instance = dataTableManager[tableId];
+    if (instance.originalConfig.columnChooser === false) return;
+
+    syncColumnLayoutFromServer(tableId);
+
+    const $toolbar = getTableToolbar(tableId);
+    $toolbar.find('.table-column-chooser').remove(); // The list reflects the columns of this initialization
+
+    const itemsHtml = instance.columns.filter(col => !isControlColumn(col)).map(col => {
+        const key = escapeHtml(getColumnKey(col));
+        return `
+            <li class="column-chooser-item d-flex align-items-center gap-2 px-3 py-1" data-column-key="${key}">
+                <input type="checkbox" class="form-check-input column-visibility-toggle" id="${tableId}-col-${key}"${col.visible === false ? '' : ' checked'}>
+                <label class="form-check-label flex-grow-1" for="${tableId}-col-${key}">${escapeHtml(col.title || key)}</label>
+                <button type="button" class="btn btn-sm btn-link p-0 column-move" data-direction="up" aria-label="Move ${escapeHtml(col.title || key)} up"><i class="bi bi-arrow-up"></i></button>
+                <button type="button" class="btn btn-sm btn-link p-0 column-move" data-direction="down" aria-label="Move ${escapeHtml(col.title || key)} down"><i class="bi bi-arrow-down"></i></button>
+            </li>`;
+    }).join('');
+
+    const $chooser = $(`
+        <div class="dropdown table-column-chooser">
+            <button type="button" class="btn btn-sm btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" data-bs-auto-close="outside" aria-expanded="false">
+                <i class="bi bi-layout-three-columns me-1"></i>Columns
+            </button>
+            <ul class="dropdown-menu dropdown-menu-end column-chooser-list" style="min-width: 16rem;">
+                ${itemsHtml}
+                <li><hr class="dropdown-divider"></li>
+                <li class="d-flex justify-content-between px-3 pb-1">
+                    <button type="button" class="btn btn-sm btn-outline-secondary column-layout-reset">Reset</button>
+                    <button type="button" class="btn btn-sm btn-primary column-order-apply" disabled>Apply order</button>
+                </li>
+            </ul>
+        </div>`);
+
+    $chooser
+        .on('change', '.column-visibility-toggle', function () {
+            const key = $(this).closest('.column-chooser-item').data('column-key');
+            setColumnVisibility(tableId, String(key), this.checked);
+        })
+        .on('click', '.column-move', function () {
+            const $item = $(this).closest('.column-chooser-item');
+            if ($(this).data('direction') === 'up') {
+                $item.prev('.column-chooser-item').before($item);
+            } else {
+                $item.next('.column-chooser-item').after($item);
+            }
+            const pendingOrder = $chooser.find('.column-chooser-item').map(function () { return String($(this).data('column-key')); }).get();
+            $chooser.find('.column-order-apply').prop('disabled', pendingOrder.join('|') === getColumnLayout(tableId).order.join('|'));
+        })
+        .on('click', '.column-order-apply', function () {
+            const order = $chooser.find('.column-chooser-item').map(function () { return String($(this).data('column-key')); }).get();
+            setColumnOrder(tableId, order);
+        })
+        .on('click', '.column-layout-reset', function () {
+            saveColumnLayout(tableId, null);
+            rebuildTable(tableId);
+        });
+
+    // Keep the Columns menu right after the Export menu so the toolbar order stays stable
+    const $export = $toolbar.find('.table-export');
+    if ($export.length) {
+        $export.after($chooser);
+    } else {
+        $toolbar.append($chooser);
+    }
+}
+
+/***Saved Views */
+
+/**
+ * Returns the current view mode of a table.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {string} 'table', 'card', 'chart' or 'pivot'.
+ */
+function getTableViewMode(tableId) {
+    const instance = dataTableManager[tableId];
+    if (instance.isPivotView) return 'pivot';
+    if (instance.isChartView) return 'chart';
+    return instance.isCardView ? 'card' : 'table';
+}
+
+/**
+ * Captures everything a saved view restores: filter inputs, search, order, page length,
+ * column layout, card size, grouping, pivot settings and view mode.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} Serializable view state.
+ */
+function getTableViewState(tableId) {
+    const instance = dataTableManager[tableId];
+    const captured = captureTableViewState(tableId);
+    return {
+        filters: (instance.originalConfig.filters || []).map(filter => ({
+            column: filter.column,
+            value: filter.input ? $(filter.input).val() || '' : undefined,
+            from: filter.from ? $(filter.from).val() || '' : undefined,
+            to: filter.to ? $(filter.to).val() || '' : undefined
+        })),
+        search: captured.search,
+        order: captured.order,
+        length: captured.length,
+        layout: getColumnLayout(tableId),
+        cardSize: instance.cardSize,
+        groupBy: instance.groupBy.slice(),
+        pivot: instance.pivotSettings ? { ...instance.pivotSettings } : undefined,
+        chart: instance.chartBuilder ? JSON.parse(JSON.stringify(instance.chartBuilder)) : null,
+        mode: getTableViewMode(tableId)
+    };
+}
+
+/**
+ * Writes saved filter values (`[{ column, value, from, to }]`) into a table's filter inputs.
+ * Filters missing from the list are cleared.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {Array<object>} filters - Saved filter values.
+ */
+function setTableFilterInputs(tableId, filters) {
+    (dataTableManager[tableId].originalConfig.filters || []).forEach(filter => {
+        const saved = filters.find(f => f.column === filter.column) || {};
+        if (filter.input) $(filter.input).val(saved.value || '');
+        if (filter.from) $(filter.from).val(saved.from || '');
+        if (filter.to) $(filter.to).val(saved.to || '');
+    });
+}
+
+/**
+ * Loads the prepared state into a table's inputs and instance so the next LoadDataTable call uses it:
+ * filter input values, column layout, card size, grouping, pivot settings, view mode and search/order/page length.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} state - View state as produced by getTableViewState (all properties optional).
+ */
+function primeTableViewState(tableId, state) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+
+    if (state.filters) {
+        setTableFilterInputs(tableId, state.filters);
+    }
+    if (state.layout) {
+        // For this session only; the user's saved layout is kept
+        instance.viewLayout = state.layout;
+    }
+    if (state.cardSize) {
+        instance.cardSize = state.cardSize;
+    }
+    if (state.groupBy) {
+        instance.groupBy = state.groupBy.slice();
+        instance.collapsedGroups.clear();
+    }
+    if (state.pivot) {
+        instance.pivotSettings = { ...state.pivot };
+    }
+    if (state.chart !== undefined) {
+        instance.chartBuilder = state.chart ? JSON.parse(JSON.stringify(state.chart)) : null;
+    }
+    if (state.mode) {
+        instance.isChartView = state.mode === 'chart' && hasChartView(config);
+        instance.isCardView = state.mode === 'card';
+        instance.isPivotView = state.mode === 'pivot';
+    }
+    instance.pendingViewState = {
+        search: state.search || '',
+        order: state.order || [],
+        start: state.start || 0,
+        length: state.length || config.pageLength || 10
+    };
+}
+
+/**
+ * Applies a view state to a live table by priming it and re-initializing the DataTable.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} state - View state as produced by getTableViewState.
+ */
+function applyTableViewState(tableId, state) {
+    const instance = dataTableManager[tableId];
+    if (!instance) return;
+    primeTableViewState(tableId, state);
+    LoadDataTable(instance.originalConfig);
+}
+
+/**
+ * Reads a table's saved views from localStorage.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} `{ views: [{ name, state }], defaultView: name|null }`.
+ */
+function loadSavedViews(tableId) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(`dtSavedViews_${tableId}`));
+        if (stored && Array.isArray(stored.views)) return stored;
+    } catch (e) {
+        console.warn(`loadSavedViews: Ignoring unreadable saved views for ${tableId}.`, e);
+    }
+    return { views: [], defaultView: null };
+}
+
+/**
+ * Writes a table's saved views to localStorage.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} savedViews - `{ views, defaultView }`.
+ */
+function storeSavedViews(tableId, savedViews) {
+    localStorage.setItem(`dtSavedViews_${tableId}`, JSON.stringify(savedViews));
+}
+
+/**
+ * Encodes a named view for sharing (base64 of its JSON, URL-safe).
+ * @param {object} view - `{ name, state }`.
+ * @returns {string} Encoded view.
+ */
+function encodeSharedView(view) {
+    return btoa(unescape(encodeURIComponent(JSON.stringify(view))))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a view produced by encodeSharedView.
+ * @param {string} encoded - Encoded view.
+ * @returns {object|null} `{ name, state }`, or null if it cannot be decoded.
+ */
+function decodeSharedView(encoded) {
+    try {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(decodeURIComponent(escape(atob(base64))));
+    } catch (e) {
+        console.warn('decodeSharedView: Invalid shared view.', e);
+        return null;
+    }
+}
+
+/**
+ * Returns the view to start a table with: a shared view in the URL (`?dtView={tableId}:{encoded}`),
+ * then the table's own query string parameters (see readTableStateFromUrl), then the user's default saved view.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object|null} View state, or null to use the table config as-is.
+ */
+function getStartupViewState(tableId) {
+    const shared = new URLSearchParams(window.location.search).getAll('dtView')
+        .filter(value => value.startsWith(`${tableId}:`))
+        .map(value => decodeSharedView(value.slice(tableId.length + 1)))
+        .find(Boolean);
+    if (shared && shared.state) return shared.state;
+
+    const urlState = readTableStateFromUrl(tableId);
+    if (urlState) return urlState;
+
+    const savedViews = loadSavedViews(tableId);
+    const defaultView = savedViews.views.find(view => view.name === savedViews.defaultView);
+    return defaultView ? defaultView.state : null;
+}
+
+/**
+ * Adds the saved views selector and its menu (save, set default, share link, export/import JSON, delete)
+ * to the left of a table's toolbar. Skipped when `config.savedViews` is false.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function initializeSavedViews(tableId) {
+    const instance = dataTableManager[tableId];
+    if (instance.originalConfig.savedViews === false) return;
+
+    const $toolbar = getTableToolbar(tableId);
+    if ($toolbar.find('.table-saved-views').length) {
+        renderSavedViewOptions(tableId);
+        return;
+    }
+
+    const $views = $(`
+        <div class="table-saved-views d-flex align-items-center gap-2 me-auto">
+            <select class="form-select form-select-sm saved-view-select" aria-label="Saved views" style="width: auto;"></select>
+            <div class="dropdown">
+                <button type="button" class="btn btn-sm btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">
+                    <i class="bi bi-bookmark me-1"></i>Views
+                </button>
+                <ul class="dropdown-menu">
+                    <li><button type="button" class="dropdown-item" data-view-action="save"><i class="bi bi-bookmark-plus me-2"></i>Save current view...</button></li>
+                    <li><button type="button" class="dropdown-item" data-view-action="default"><i class="bi bi-star me-2"></i>Set selected as default</button></li>
+                    <li><button type="button" class="dropdown-item" data-view-action="clear-default"><i class="bi bi-star-half me-2"></i>Clear default</button></li>
+                    <li><hr class="dropdown-divider"></li>
+                    <li><button type="button" class="dropdown-item" data-view-action="share"><i class="bi bi-link-45deg me-2"></i>Copy share link</button></li>
+                    <li><button type="button" class="dropdown-item" data-view-action="export"><i class="bi bi-filetype-json me-2"></i>Export views (JSON)</button></li>
+                    <li><button type="button" class="dropdown-item" data-view-action="import"><i class="bi bi-upload me-2"></i>Import views (JSON)...</button></li>
+                    <li><hr class="dropdown-divider"></li>
+                    <li><button type="button" class="dropdown-item text-danger" data-view-action="delete"><i class="bi bi-trash me-2"></i>Delete selected view</button></li>
+                </ul>
+            </div>
+            <input type="file" class="saved-view-import d-none" accept="application/json,.json">
+        </div>`);
+
+    $views
+        .on('change', '.saved-view-select', function () {
+            const view = loadSavedViews(tableId).views.find(v => v.name === $(this).val());
+            if (view) applyTableViewState(tableId, view.state);
+        })
+        .on('click', '[data-view-action]', function () {
+            handleSavedViewAction(tableId, $(this).data('view-action'), $views);
+        })
+        .on('change', '.saved-view-import', function () {
+            const file = this.files[0];
+            this.value = '';
+            if (file) importSavedViews(tableId, file);
+        });
+
+    $toolbar.prepend($views);
+    renderSavedViewOptions(tableId);
+}
+
+/**
+ * Refreshes the options of the saved views selector, marking the default view with a star.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} [selectedName] - View to select.
+ */
+function renderSavedViewOptions(tableId, selectedName) {
+    const $select = $(`#${tableId}-toolbar .saved-view-select`);
+    const savedViews = loadSavedViews(tableId);
+    const current = selectedName !== undefined ? selectedName : $select.val();
+    let optionsHtml = '<option value="">Saved views...</option>';
+    savedViews.views.forEach(view => {
+        const star = view.name === savedViews.defaultView ? ' ★' : '';
+        optionsHtml += `<option value="${escapeHtml(view.name)}">${escapeHtml(view.name)}${star}</option>`;
+    });
+    $select.html(optionsHtml).val(savedViews.views.some(v => v.name === current) ? current : '');
+}
+
+/**
+ * Handles a saved views menu action.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} action - 'save', 'default', 'clear-default', 'share', 'export', 'import' or 'delete'.
+ * @param {jQuery} $views - The saved views control.
+ */
+function handleSavedViewAction(tableId, action, $views) {
+    const savedViews = loadSavedViews(tableId);
+    const selectedName = $views.find('.saved-view-select').val();
+    const selectedView = savedViews.views.find(view => view.name === selectedName);
+
+    switch (action) {
+        case 'save': {
+            const name = (prompt('Name this view:', selectedName || '') || '').trim();
+            if (!name) return;
+            const existing = savedViews.views.find(view => view.name === name);
+            if (existing && !confirm(`Replace the saved view "${name}"?`)) return;
+            const state = getTableViewState(tableId);
+            if (existing) {
+                existing.state = state;
+            } else {
+                savedViews.views.push({ name: name, state: state });
+            }
+            storeSavedViews(tableId, savedViews);
+            renderSavedViewOptions(tableId, name);
+            break;
+        }
+        case 'default':
+            if (!selectedView) {
+                alert('Select a saved view first.');
+                return;
+            }
+            savedViews.defaultView = selectedView.name;
+            storeSavedViews(tableId, savedViews);
+            renderSavedViewOptions(tableId);
+            break;
+        case 'clear-default':
+            savedViews.defaultView = null;
+            storeSavedViews(tableId, savedViews);
+            renderSavedViewOptions(tableId);
+            break;
+        case 'share': {
+            const view = selectedView || { name: 'Shared view', state: getTableViewState(tableId) };
+            const url = new URL(window.location.href);
+            url.searchParams.append('dtView', `${tableId}:${encodeSharedView(view)}`);
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(url.toString())
+                    .then(() => alert('Link copied to the clipboard.'))
+                    .catch(() => prompt('Copy this link:', url.toString()));
+            } else {
+                prompt('Copy this link:', url.toString());
+            }
+            break;
+        }
+        case 'export': {
+            const views = selectedView ? [selectedView] : savedViews.views;
+            if (views.length === 0) {
+                alert('There are no saved views to export.');
+                return;
+            }
+            const json = JSON.stringify({ tableId: tableId, views: views }, null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), `${tableId}-views.json`);
+            break;
+        }
+        case 'import':
+            $views.find('.saved-view-import').trigger('click');
+            break;
+        case 'delete':
+            if (!selectedView || !confirm(`Delete the saved view "${selectedView.name}"?`)) return;
+            savedViews.views = savedViews.views.filter(view => view !== selectedView);
+            if (savedViews.defaultView === selectedView.name) savedViews.defaultView = null;
+            storeSavedViews(tableId, savedViews);
+            renderSavedViewOptions(tableId, '');
+            break;
+        default:
+            console.warn(`handleSavedViewAction: Unknown action '${action}'.`);
+    }
+}
+
+/**
+ * Imports views from a JSON file produced by the "Export views" action, replacing same-named views.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {File} file - The selected JSON file.
+ */
+function importSavedViews(tableId, file) {
+    const reader = new FileReader();
+    reader.onload = function () {
+        let imported;
+        try {
+            imported = JSON.parse(reader.result);
+        } catch (e) {
+            alert('The selected file is not valid JSON.');
+            return;
+        }
+        if (!imported || !Array.isArray(imported.views)) {
+            alert('The selected file does not contain saved views.');
+            return;
+        }
+        if (imported.tableId && imported.tableId !== tableId && !confirm(`These views were exported from "${imported.tableId}". Import them anyway?`)) {
+            return;
+        }
+        const savedViews = loadSavedViews(tableId);
+        imported.views.filter(view => view && view.name && view.state).forEach(view => {
+            savedViews.views = savedViews.views.filter(existing => existing.name !== view.name);
+            savedViews.views.push({ name: view.name, state: view.state });
+        });
+        storeSavedViews(tableId, savedViews);
+        renderSavedViewOptions(tableId);
+        console.log(`Imported ${imported.views.length} saved views into ${tableId}.`);
+    };
+    reader.readAsText(file);
+}
+
+/***URL State */
+
+/**
+ * Reserved query string suffixes for table state; any other `{tableId}.{key}` parameter is a filter.
+ */
+const URL_STATE_KEYS = { search: '_q', sort: '_sort', page: '_page', length: '_len', view: '_view' };
+
+/**
+ * Builds the query string parameters describing a table's current state.
+ * Defaults (first page, configured page length and order, no search, table mode) are omitted.
+ * Filters use the column key, with `.from`/`.to` suffixes for ranges, e.g.
+ * `?apInvoicesTable.status=Overdue&apInvoicesTable.invoiceDate.from=2024-01-01&apInvoicesTable._sort=amount:desc`.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {Array<Array<string>>} `[name, value]` pairs.
+ */
+function buildTableUrlParams(tableId) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+    const state = captureTableViewState(tableId);
+    const prefix = `${tableId}.`;
+    const params = [];
+
+    (config.filters || []).forEach(filter => {
+        if (filter.input && $(filter.input).val()) params.push([prefix + filter.column, $(filter.input).val()]);
+        if (filter.from && $(filter.from).val()) params.push([`${prefix}${filter.column}.from`, $(filter.from).val()]);
+        if (filter.to && $(filter.to).val()) params.push([`${prefix}${filter.column}.to`, $(filter.to).val()]);
+    });
+
+    if (state.search) params.push([prefix + URL_STATE_KEYS.search, state.search]);
+
+    const toSort = order => order.map(([key, dir]) => (dir === 'desc' ? `${key}:desc` : key)).join(',');
+    const sort = toSort(state.order);
+    const defaultSort = toSort(getDefaultOrderKeys(config));
+    if (sort !== defaultSort) params.push([prefix + URL_STATE_KEYS.sort, sort]);
+
+    const page = Math.floor(state.start / state.length) + 1;
+    if (page > 1) params.push([prefix + URL_STATE_KEYS.page, String(page)]);
+    if (state.length !== (config.pageLength || 10)) params.push([prefix + URL_STATE_KEYS.length, String(state.length)]);
+
+    const mode = getTableViewMode(tableId);
+    if (mode !== 'table') params.push([prefix + URL_STATE_KEYS.view, mode]);
+
+    return params;
+}
+
+/**
+ * Reads a table's state from the query string (the format written by buildTableUrlParams).
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} [queryString=window.location.search] - Query string to read.
+ * @returns {object|null} View state for primeTableViewState, or null when the URL has no parameters for this table.
+ */
+function readTableStateFromUrl(tableId, queryString = window.location.search) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+    const prefix = `${tableId}.`;
+    const params = new URLSearchParams(queryString);
+    const get = key => params.get(prefix + key);
+
+    if (!Array.from(params.keys()).some(key => key.startsWith(prefix))) return null;
+
+    const length = parseInt(get(URL_STATE_KEYS.length), 10) || config.pageLength || 10;
+    const page = parseInt(get(URL_STATE_KEYS.page), 10) || 1;
+    const sort = get(URL_STATE_KEYS.sort);
+
+    return {
+        filters: (config.filters || []).map(filter => ({
+            column: filter.column,
+            value: get(filter.column) || '',
+            from: get(`${filter.column}.from`) || '',
+            to: get(`${filter.column}.to`) || ''
+        })),
+        search: get(URL_STATE_KEYS.search) || '',
+        order: sort === null
+            ? getDefaultOrderKeys(config)
+            : sort.split(',').filter(Boolean).map(part => {
+                const [key, dir] = part.split(':');
+                return [key, dir === 'desc' ? 'desc' : 'asc'];
+            }),
+        start: (page - 1) * length,
+        length: length,
+        mode: get(URL_STATE_KEYS.view) || 'table'
+    };
+}
+
+/**
+ * Writes a table's current state into the query string so refreshes and shared links keep it.
+ * Each change adds a history entry (rapid successive changes, such as typing, update the same entry)
+ * with the same `{ path }` state shape loadPageContent uses, so back/forward step through table states.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function syncTableStateToUrl(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table || instance.originalConfig.urlState === false || instance.suppressUrlSync) return;
+    if ($(`#${tableId}`).length === 0) return;
+
+    const url = new URL(window.location.href);
+    const prefix = `${tableId}.`;
+    Array.from(url.searchParams.keys())
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => url.searchParams.delete(key));
+    // A shared view link is consumed once its state is reflected in readable parameters
+    const otherSharedViews = url.searchParams.getAll('dtView').filter(value => !value.startsWith(`${tableId}:`));
+    url.searchParams.delete('dtView');
+    otherSharedViews.forEach(value => url.searchParams.append('dtView', value));
+    buildTableUrlParams(tableId).forEach(([key, value]) => url.searchParams.append(key, value));
+
+    const newUrl = url.pathname + url.search + url.hash;
+    const currentUrl = window.location.pathname + window.location.search + window.location.hash;
+    if (newUrl === currentUrl) return;
+
+    const now = Date.now();
+    if (!instance.urlSynced || now - (syncTableStateToUrl.lastPush || 0) < 1000) {
+        history.replaceState({ path: newUrl }, '', newUrl);
+    } else {
+        history.pushState({ path: newUrl }, '', newUrl);
+    }
+    syncTableStateToUrl.lastPush = now;
+    instance.urlSynced = true;
+}
+
+/**
+ * Switches a table to the given view mode using the regular toggles.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} mode - 'table', 'card', 'chart' or 'pivot'.
+ */
+function setTableViewMode(tableId, mode) {
+    const instance = dataTableManager[tableId];
+    if (!instance) return;
+    if ((mode === 'pivot') !== !!instance.isPivotView) togglePivotView(tableId);
+    if (mode === 'pivot') return;
+    if (mode === 'chart') {
+        if (!instance.isChartView) toggleChartView(tableId);
+        return;
+    }
+    if (instance.isChartView) toggleChartView(tableId);
+    if ((mode === 'card') !== instance.isCardView) toggleTableView(tableId);
+}
+
+/**
+ * Restores every table on the current page from the query string, e.g. after back/forward.
+ * Filters, search, order and paging are applied to the live tables without re-initializing them.
+ * @returns {boolean} True when the page has tables that were restored, false when the URL belongs to another page.
+ */
+function restoreTablesFromUrl() {
+    const tableIds = Object.keys(dataTableManager).filter(id =>
+        dataTableManager[id].table &&
+        dataTableManager[id].originalConfig.urlState !== false &&
+        dataTableManager[id].pagePath === window.location.pathname &&
+        $(`#${id}`).length > 0);
+    if (tableIds.length === 0) return false;
+
+    tableIds.forEach(tableId => {
+        const instance = dataTableManager[tableId];
+        const config = instance.originalConfig;
+        const state = readTableStateFromUrl(tableId) || {
+            filters: [],
+            search: '',
+            order: getDefaultOrderKeys(config),
+            start: 0,
+            length: config.pageLength || 10,
+            mode: 'table'
+        };
+
+        instance.suppressUrlSync = true;
+        try {
+            setTableFilterInputs(tableId, state.filters);
+            const api = instance.table;
+            api.search(state.search)
+                .order(orderKeysToIndexes(instance.columns, state.order))
+                .page.len(state.length);
+            api.draw();
+            api.page(Math.floor(state.start / state.length)).draw('page');
+            setTableViewMode(tableId, state.mode);
+        } finally {
+            instance.suppressUrlSync = false;
+        }
+    });
+    return true;
+}
+
+/***Table Export */
+
+/**
+ * Default export formats offered by the export menu.
+ */
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', icon: 'bi-filetype-csv' },
+    xlsx: { label: 'Excel (XLSX)', icon: 'bi-file-earmark-excel' },
+    pdf: { label: 'PDF', icon: 'bi-file-earmark-pdf' }
+};
+
+/**
+ * Returns the columns to export: the visible data columns in their on-screen order.
+ * Columns without a data key (e.g. Actions) or marked `exportable: false` are skipped.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {Array<object>} Column definitions from the table config.
+ */
+function getExportColumns(tableId) {
+    const instance = dataTableManager[tableId];
+    const api = instance.table;
+    const columns = instance.columns;
+    // Check visibility through the API: jQuery's :visible fails while the table is hidden (card view)
+    return api.columns().indexes().toArray()
+        .filter(index => api.column(index).visible())
+        .map(index => columns[index])
+        .filter(col => col && typeof col.data === 'string' && col.exportable !== false);
+}
+
+/**
+ * Resolves the raw export value of a cell, bypassing the column's display renderer.
+ * A column may supply `exportValue(value, rowData)` to customise it.
+ * @param {object} col - Column definition.
+ * @param {object} rowData - The row's data object.
+ * @returns {*} The value to write to the export file.
+ */
+function getExportValue(col, rowData) {
+    const value = getRowValue(rowData, col.data);
+    if (typeof col.exportValue === 'function') return col.exportValue(value, rowData);
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Collects the rows to export, honouring the current filters and sort order.
+ * Server-side tables are re-queried with the last request's parameters and no paging.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} scope - 'all' for every row matching the current filters, 'selected' for the selected rows only.
+ * @returns {Promise<Array<object>>} Row data objects.
+ */
+function getExportRows(tableId, scope) {
+    const instance = dataTableManager[tableId];
+    const api = instance.table;
+
+    if (scope === 'selected') {
+        return Promise.resolve(getSelectedRows(tableId));
+    }
+    if (!api.init().serverSide) {
+        return Promise.resolve(getMatchingRows(tableId));
+    }
+
+    const config = instance.originalConfig;
+    const params = { ...api.ajax.params(), start: 0, length: -1 };
+    return new Promise((resolve, reject) => {
+        $.ajax({
+            url: config.ajaxUrl,
+            method: config.ajaxMethod || 'GET',
+            data: params,
+            success: function (response) {
+                const dataSrc = config.dataSrc || '';
+                resolve(dataSrc ? getRowValue(response, dataSrc) || [] : response);
+            },
+            error: function (xhr, status, error) {
+                reject(error || status);
+            }
+        });
+    });
+}
+
+/**
+ * Returns the data of the rows currently selected in a table.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {Array<object>} Row data objects.
+ */
+function getSelectedRows(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table || instance.selectedRowIds.size === 0) return [];
+    const loaded = new Map(instance.table.rows().data().toArray()
+        .map(rowData => [getRowId(instance.originalConfig, rowData), rowData]));
+    // Rows selected on other server-side pages are no longer loaded; use the data kept when they were selected
+    return Array.from(instance.selectedRowIds)
+        .map(rowId => loaded.get(rowId) || instance.selectedRowData.get(rowId))
+        .filter(Boolean);
+}
+
+/**
+ * Returns the data key identifying rows: `config.rowId`, falling back to the first data column.
+ * @param {object} config - The table config.
+ * @returns {string|null} Data key.
+ */
+function getRowIdKey(config) {
+    if (config.rowId) return config.rowId;
+    const firstDataColumn = config.columns.find(col => typeof col.data === 'string');
+    return firstDataColumn ? firstDataColumn.data : null;
+}
+
+/**
+ * Returns the identifier of a row: the `config.rowId` data key, falling back to the first data column.
+ * @param {object} config - The table config.
+ * @param {object} rowData - The row's data object.
+ * @returns {string} Row identifier (stringified so it can be used as a Set/Map key).
+ */
+function getRowId(config, rowData) {
+    const key = getRowIdKey(config);
+    return String(key ? getRowValue(rowData, key) : '');
+}
+
+/**
+ * Triggers a browser download of the given content.
+ * @param {Blob} blob - File content.
+ * @param {string} fileName - Name of the downloaded file.
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Serializes a header row and data rows as CSV (RFC 4180 quoting).
+ * @param {Array<string>} headers - Column titles.
+ * @param {Array<Array>} body - Row values.
+ * @returns {string} CSV text.
+ */
+function toCsv(headers, body) {
+    const quote = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...body].map(row => row.map(quote).join(',')).join('\r\n');
+}
+
+/**
+ * Exports a table's current view (filters, sort order, visible columns) to CSV, XLSX or PDF.
+ * XLSX uses SheetJS (`XLSX`) and PDF uses jsPDF with the AutoTable plugin, both loaded by the layout.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} format - 'csv', 'xlsx' or 'pdf'.
+ * @param {string} [scope='all'] - 'all' or 'selected'.
+ * @returns {Promise<void>}
+ */
+function exportTable(tableId, format, scope = 'all') {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table) {
+        console.error(`exportTable: DataTable instance not found for ID: ${tableId}`);
+        return Promise.resolve();
+    }
+
+    const exportOptions = instance.originalConfig.export || {};
+    const columns = getExportColumns(tableId);
+    const headers = columns.map(col => col.title || col.data);
+    const fileBase = `${exportOptions.fileName || tableId}_${new Date().toISOString().slice(0, 10)}`;
+
+    return getExportRows(tableId, scope).then(rows => {
+        if (rows.length === 0) {
+            alert('There are no rows to export.');
+            return;
+        }
+        const body = rows.map(rowData => columns.map(col => getExportValue(col, rowData)));
+        console.log(`Exporting ${rows.length} rows of ${tableId} as ${format}.`);
+
+        if (format === 'csv') {
+            // Prefix a BOM so Excel opens UTF-8 CSV files correctly
+            downloadBlob(new Blob(['\uFEFF' + toCsv(headers, body)], { type: 'text/csv;charset=utf-8;' }), `${fileBase}.csv`);
+        } else if (format === 'xlsx') {
+            if (typeof XLSX === 'undefined') {
+                console.error('exportTable: SheetJS (XLSX) is not loaded.');
+                alert('Excel export is not available right now. Please try CSV instead.');
+                return;
+            }
+            const worksheet = XLSX.utils.aoa_to_sheet([headers, ...body]);
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, worksheet, (exportOptions.title || tableId).slice(0, 31));
+            XLSX.writeFile(workbook, `${fileBase}.xlsx`);
+        } else if (format === 'pdf') {
+            if (!window.jspdf || !window.jspdf.jsPDF) {
+                console.error('exportTable: jsPDF is not loaded.');
+                alert('PDF export is not available right now. Please try CSV instead.');
+                return;
+            }
+            const doc = new window.jspdf.jsPDF({ orientation: columns.length > 5 ? 'landscape' : 'portrait' });
+            const companyName = exportOptions.companyName || getFormatSettings().companyName;
+            let top = 16;
+            if (companyName) {
+                doc.setFontSize(16);
+                doc.text(String(companyName), 14, top);
+                top += 8;
+            }
+            doc.setFontSize(12);
+            doc.text(exportOptions.title || tableId, 14, top);
+            doc.setFontSize(9);
+            doc.text(`Generated ${formatDate(new Date(), 'dateTime')} - ${rows.length} rows`, 14, top + 6);
+            doc.autoTable({
+                head: [headers],
+                body: body,
+                startY: top + 12,
+                styles: { fontSize: 8 },
+                headStyles: { fillColor: [17, 96, 177] }
+            });
+            doc.save(`${fileBase}.pdf`);
+        } else {
+            console.error(`exportTable: Unsupported export format '${format}'.`);
+        }
+    }).catch(error => {
+        console.error(`exportTable: Failed to export ${tableId}:`, error);
+        alert('Export failed. Please try again.');
+    });
+}
+
+/**
+ * Adds the Export dropdown to a table's toolbar unless `config.export` is false.
+ * The "Selected rows" entries are only enabled while rows are selected.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function initializeExportMenu(tableId) {
+    const instance = dataTableManager[tableId];
+    const exportOptions = instance.originalConfig.export;
+    if (exportOptions === false) return;
+
+    const $toolbar = getTableToolbar(tableId);
+    if ($toolbar.find('.table-export').length) return;
+
+    const formats = (exportOptions && exportOptions.formats) || Object.keys(EXPORT_FORMATS);
+    const itemsFor = scope => formats.map(format => `
+        <li><button type="button" class="dropdown-item" data-export-format="${format}" data-export-scope="${scope}">
+            <i class="bi ${EXPORT_FORMATS[format].icon} me-2"></i>${EXPORT_FORMATS[format].label}
+        </button></li>`).join('');
+
+    const $menu = $(`
+        <div class="dropdown table-export">
+            <button type="button" class="btn btn-sm btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">
+                <i class="bi bi-download me-1"></i>Export
+            </button>
+            <ul class="dropdown-menu dropdown-menu-end">
+                <li><h6 class="dropdown-header">All rows (current view)</h6></li>
+                ${itemsFor('all')}
+                <li><hr class="dropdown-divider"></li>
+                <li><h6 class="dropdown-header">Selected rows</h6></li>
+                ${itemsFor('selected')}
+            </ul>
+        </div>`);
+
+    $menu.on('show.bs.dropdown', function () {
+        $menu.find('[data-export-scope="selected"]').prop('disabled', instance.selectedRowIds.size === 0);
+    });
+    $menu.on('click', '[data-export-format]', function () {
+        exportTable(tableId, $(this).data('export-format'), $(this).data('export-scope'));
+    });
+    $toolbar.append($menu);
+}
+
+/***Inline Editing */
+
+/**
+ * Finds a row of a table by its identifier (see getRowId).
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier.
+ * @returns {object|null} DataTables row API, or null when the row is not loaded.
+ */
+function findTableRow(tableId, rowId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table) return null;
+    const config = instance.originalConfig;
+    const row = instance.table.row((index, rowData) => getRowId(config, rowData) === String(rowId));
+    return row.any() ? row : null;
+}
+
+/**
+ * Sets a (possibly dotted) data key on a row object, creating intermediate objects as needed.
+ * @param {object} rowData - The row's data object.
+ * @param {string} key - Column data key, e.g. 'status' or 'vendor.name'.
+ * @param {*} value - The new value.
+ */
+function setRowValue(rowData, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((obj, part) => {
+        if (obj[part] === null || typeof obj[part] !== 'object') obj[part] = {};
+        return obj[part];
+    }, rowData);
+    target[last] = value;
+}
+
+/**
+ * Returns the URL of a row's API resource, which receives the PATCH requests of inline edits.
+ * Uses `config.editUrl` (a string with an `{id}` placeholder, or `(rowData) => url`), defaulting to `{ajaxUrl}/{id}`.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} rowData - The row's data object.
+ * @returns {string} Resource URL.
+ */
+function getRowResourceUrl(tableId, rowData) {
+    const config = dataTableManager[tableId].originalConfig;
+    const rowId = encodeURIComponent(getRowId(config, rowData));
+    if (typeof config.editUrl === 'function') return config.editUrl(rowData);
+    if (config.editUrl) return config.editUrl.replace('{id}', rowId);
+    return `${config.ajaxUrl}/${rowId}`;
+}
+
+/**
+ * Returns the options of a select editor as `[{ value, label }]`.
+ * @param {object} editable - The column's `editable` definition.
+ * @param {object} rowData - The row's data object.
+ * @returns {Array<object>} Options.
+ */
+function getEditorOptions(editable, rowData) {
+    const options = typeof editable.options === 'function' ? editable.options(rowData) : (editable.options || []);
+    return options.map(option => (typeof option === 'object' ? option : { value: option, label: option }));
+}
+
+/**
+ * Builds the input used to edit a value: text, number, date or select, per `editable.type`.
+ * @param {object} column - Column definition with an `editable` property.
+ * @param {object} rowData - The row's data object.
+ * @returns {string} Editor HTML.
+ */
+function buildCellEditor(column, rowData) {
+    const editable = column.editable;
+    const value = getRowValue(rowData, column.data);
+    const label = escapeHtml(`Edit ${column.title || column.data}`);
+    const inputClass = 'cell-editor form-control form-control-sm';
+
+    switch (editable.type) {
+        case 'select': {
+            const optionsHtml = getEditorOptions(editable, rowData)
+                .map(option => `<option value="${escapeHtml(option.value)}"${String(option.value) === String(value) ? ' selected' : ''}>${escapeHtml(option.label)}</option>`)
+                .join('');
+            return `<select class="cell-editor form-select form-select-sm" aria-label="${label}">${optionsHtml}</select>`;
+        }
+        case 'number':
+            return `<input type="number" step="${editable.step || 'any'}" class="${inputClass}" value="${escapeHtml(value)}" aria-label="${label}">`;
+        case 'date':
+            // Date inputs need yyyy-mm-dd; API dates may carry a time part
+            return `<input type="date" class="${inputClass}" value="${escapeHtml(value ? String(value).slice(0, 10) : '')}" aria-label="${label}">`;
+        default:
+            return `<input type="text" class="${inputClass}" value="${escapeHtml(value)}" aria-label="${label}">`;
+    }
+}
+
+/**
+ * Reads and validates the value of an open editor.
+ * Numbers must parse; `editable.validate(value, rowData)` may then return false or an error message to reject the value.
+ * @param {object} column - Column definition with an `editable` property.
+ * @param {string} rawValue - The editor's value.
+ * @param {object} rowData - The row's data object.
+ * @returns {object} `{ value }` when valid, `{ error }` otherwise.
+ */
+function parseEditorValue(column, rawValue, rowData) {
+    const editable = column.editable;
+    let value = rawValue;
+    if (editable.type === 'number') {
+        value = rawValue === '' ? null : Number(rawValue);
+        if (value !== null && isNaN(value)) return { error: 'Please enter a number.' };
+    } else if (editable.type === 'date' && rawValue === '') {
+        value = null;
+    }
+
+    if (typeof editable.validate === 'function') {
+        const result = editable.validate(value, rowData);
+        if (result === false) return { error: `Invalid ${column.title || column.data}.` };
+        if (typeof result === 'string') return { error: result };
+    }
+    return { value: value };
+}
+
+/**
+ * Redraws a row after its data changed: re-renders its table cells, or the cards when in card view.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} row - DataTables row API.
+ */
+function refreshEditedRow(tableId, row) {
+    row.invalidate('data');
+    if (dataTableManager[tableId].isCardView) {
+        renderCards(tableId);
+    }
+}
+
+/**
+ * Opens an inline editor for one value of a row, inside a table cell or a card field.
+ * Enter (or picking a select option, or leaving the input) saves; Escape cancels.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ * @param {string} columnKey - Data key of the editable column.
+ * @param {jQuery} $target - The element whose content is replaced by the editor.
+ */
+function startInlineEdit(tableId, rowId, columnKey, $target) {
+    const instance = dataTableManager[tableId];
+    const column = instance.columns.find(col => col.data === columnKey && col.editable);
+    const row = findTableRow(tableId, rowId);
+    if (!column || !row || $target.find('.cell-editor').length > 0) return;
+
+    const rowData = row.data();
+    const originalHtml = $target.html();
+    $target.html(`${buildCellEditor(column, rowData)}<div class="cell-editor-error text-xs text-red-600 mt-1" role="alert"></div>`);
+    const $editor = $target.find('.cell-editor').trigger('focus');
+    let finished = false;
+
+    const close = () => {
+        const hadFocus = $editor.is(':focus');
+        finished = true;
+        $target.html(originalHtml);
+        if (hadFocus) restoreGridFocus(tableId); // Keyboard users go back to the grid cell
+    };
+    const commit = () => {
+        if (finished) return;
+        const result = parseEditorValue(column, $editor.val(), rowData);
+        if (result.error) {
+            $editor.addClass('is-invalid').attr('aria-invalid', 'true');
+            $target.find('.cell-editor-error').text(result.error);
+            return;
+        }
+        if (String(result.value ?? '') === String(getRowValue(rowData, columnKey) ?? '')) {
+            close();
+            return;
+        }
+        const hadFocus = $editor.is(':focus');
+        finished = true;
+        saveInlineEdit(tableId, rowId, columnKey, result.value);
+        if (hadFocus) restoreGridFocus(tableId);
+    };
+
+    $editor
+        .on('click', e => e.stopPropagation())
+        .on('keydown', function (e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                commit();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            }
+        })
+        .on('change', function () {
+            if (column.editable.type === 'select') commit();
+        })
+        .on('blur', function () {
+            // Leaving an invalid value open would block the rest of the table, so blur cancels it
+            if ($editor.hasClass('is-invalid')) close(); else commit();
+        });
+}
+
+/**
+ * Saves an edited value: the row is updated immediately, then a PATCH with `{ [columnKey]: value }`
+ * is sent to the row's resource (see getRowResourceUrl). If the server returns the updated entity it is
+ * merged into the row; on failure the previous value is restored.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ * @param {string} columnKey - Data key of the edited column.
+ * @param {*} value - The new value.
+ * @returns {Promise<boolean>} Resolves to true when saved, false when rolled back.
+ */
+function saveInlineEdit(tableId, rowId, columnKey, value) {
+    const row = findTableRow(tableId, rowId);
+    if (!row) return Promise.resolve(false);
+
+    const rowData = row.data();
+    const previousValue = getRowValue(rowData, columnKey);
+    setRowValue(rowData, columnKey, value);
+    refreshEditedRow(tableId, row);
+
+    return new Promise(resolve => {
+        $.ajax({
+            url: getRowResourceUrl(tableId, rowData),
+            method: 'PATCH',
+            contentType: 'application/json',
+            data: JSON.stringify({ [columnKey]: value })
+        }).done(function (response) {
+            if (response && typeof response === 'object' && !Array.isArray(response)) {
+                Object.assign(rowData, response);
+                refreshEditedRow(tableId, row);
+            }
+            console.log(`saveInlineEdit: Saved ${columnKey} of row ${rowId} in ${tableId}.`);
+            resolve(true);
+        }).fail(function (xhr, status, error) {
+            console.error(`saveInlineEdit: Saving ${columnKey} of row ${rowId} in ${tableId} failed:`, status, error, xhr);
+            setRowValue(rowData, columnKey, previousValue);
+            refreshEditedRow(tableId, row);
+            alert(`The change could not be saved. ${getAjaxErrorMessage(xhr, 'Please try again.')}`);
+            resolve(false);
+        });
+    });
+}
+
+/**
+ * Binds click-to-edit on the editable cells of a table (columns with an `editable` definition).
+ * Card view fields are bound by renderCards.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function bindInlineEditing(tableId) {
+    const instance = dataTableManager[tableId];
+    $(`#${tableId}`).off('.inlineEdit').on('click.inlineEdit', 'tbody td.editable-cell', function () {
+        const cell = instance.table.cell(this);
+        if (!cell.any()) return;
+        const column = instance.columns[cell.index().column];
+        const rowId = getRowId(instance.originalConfig, instance.table.row(cell.index().row).data());
+        startInlineEdit(tableId, rowId, column.data, $(this));
+    });
+}
+
+/***Row Selection & Bulk Actions */
+
+/**
+ * Builds the checkbox column prepended to tables with `config.selectable`.
+ * The header checkbox selects the current page (see buildTableHeaderCell).
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} Column definition.
+ */
+function buildSelectionColumn(tableId) {
+    return {
+        data: null,
+        name: '_select',
+        selectColumn: true,
+        orderable: false,
+        searchable: false,
+        exportable: false,
+        className: 'select-cell w-8',
+        render: function (data, type, row) {
+            if (type !== 'display') return '';
+            const instance = dataTableManager[tableId];
+            const rowId = escapeHtml(getRowId(instance.originalConfig, row));
+            const checked = instance.selectedRowIds.has(getRowId(instance.originalConfig, row)) ? ' checked' : '';
+            return `<input type="checkbox" class="form-check-input row-select" data-row-id="${rowId}" aria-label="Select row ${rowId}"${checked}>`;
+        }
+    };
+}
+
+/**
+ * Returns the header cell HTML for a column; the selection column gets the select-page checkbox.
+ * @param {object} col - Column definition.
+ * @returns {string} `<th>` HTML.
+ */
+function buildTableHeaderCell(col) {
+    if (col.selectColumn) {
+        return '<th class="select-cell w-8 px-4 py-2"><input type="checkbox" class="form-check-input select-page-toggle" aria-label="Select all rows on this page"></th>';
+    }
+    if (col.expandColumn) {
+        return '<th class="expand-cell w-8 px-4 py-2"><span class="visually-hidden">Details</span></th>';
+    }
+    return `<th class="px-4 py-2 text-sm font-semibold text-gray-700 uppercase tracking-wider">${col.title || ''}</th>`;
+}
+
+/**
+ * Selects or deselects one row. The row data is kept so selections on other pages
+ * (or server-side rows no longer loaded) can still be acted on.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} rowData - The row's data object.
+ * @param {boolean} selected - Whether the row should be selected.
+ */
+function setRowSelected(tableId, rowData, selected) {
+    const instance = dataTableManager[tableId];
+    const rowId = getRowId(instance.originalConfig, rowData);
+    if (selected) {
+        instance.selectedRowIds.add(rowId);
+        instance.selectedRowData.set(rowId, rowData);
+    } else {
+        instance.selectedRowIds.delete(rowId);
+        instance.selectedRowData.delete(rowId);
+    }
+}
+
+/**
+ * Selects or deselects every row on the current page.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {boolean} selected - Whether the rows should be selected.
+ */
+function selectPageRows(tableId, selected) {
+    const instance = dataTableManager[tableId];
+    instance.table.rows(getShownRowIndexes(tableId)).data().toArray()
+        .forEach(rowData => setRowSelected(tableId, rowData, selected));
+    updateSelectionUi(tableId);
+}
+
+/**
+ * Selects every row matching the current filters and search, across all pages.
+ * Server-side tables re-query the endpoint for the full result (see getExportRows).
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {Promise<void>}
+ */
+function selectAllMatchingRows(tableId) {
+    return getExportRows(tableId, 'all')
+        .then(rows => {
+            rows.forEach(rowData => setRowSelected(tableId, rowData, true));
+            updateSelectionUi(tableId);
+        })
+        .catch(error => {
+            console.error(`selectAllMatchingRows: Could not load the matching rows of ${tableId}:`, error);
+            alert('Could not select all matching rows. Please try again.');
+        });
+}
+
+/**
+ * Clears the selection of a table.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function clearRowSelection(tableId) {
+    const instance = dataTableManager[tableId];
+    instance.selectedRowIds.clear();
+    instance.selectedRowData.clear();
+    updateSelectionUi(tableId);
+}
+
+/**
+ * Brings checkboxes (table and cards), row highlighting and the bulk-action bar in line with the selection.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function updateSelectionUi(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table || !instance.originalConfig.selectable) return;
+
+    const selected = instance.selectedRowIds;
+    const $scopes = $(`#${tableId}`).add(getCardsContainer(tableId));
+    $scopes.find('.row-select').each(function () {
+        const isSelected = selected.has(String($(this).data('row-id')));
+        $(this).prop('checked', isSelected);
+        // Cards are list items, which have no selected state; their checkbox conveys it
+        $(this).closest('tr, .card-view-item').toggleClass('row-selected bg-blue-50', isSelected).filter('tr').attr('aria-selected', String(isSelected));
+    });
+
+    const config = instance.originalConfig;
+    const pageIds = instance.table.rows(getShownRowIndexes(tableId)).data().toArray().map(rowData => getRowId(config, rowData));
+    const selectedOnPage = pageIds.filter(id => selected.has(id)).length;
+    $scopes.find('.select-page-toggle')
+        .add(`#${tableId}-bulk-actions .select-page-toggle`)
+        .prop('checked', pageIds.length > 0 && selectedOnPage === pageIds.length)
+        .prop('indeterminate', selectedOnPage > 0 && selectedOnPage < pageIds.length);
+
+    const $bar = $(`#${tableId}-bulk-actions`);
+    const matching = getMatchingRowCount(tableId);
+    let summary = selected.size === 0 ? 'No rows selected' : `${selected.size} row${selected.size === 1 ? '' : 's'} selected`;
+    if (selected.size > 0 && selectedOnPage === pageIds.length && selected.size < matching) {
+        summary += ` <button type="button" class="btn btn-link btn-sm p-0 align-baseline select-all-matching">Select all ${matching} matching rows</button>`;
+    }
+    if (selected.size > 0) {
+        summary += ' <button type="button" class="btn btn-link btn-sm p-0 align-baseline text-secondary select-clear">Clear selection</button>';
+    }
+    $bar.find('.bulk-selection-summary').html(summary);
+    $bar.find('.bulk-action-btn').prop('disabled', selected.size === 0);
+}
+
+/**
+ * Binds the row and page checkboxes of a table and adds its bulk-action bar (for `config.bulkActions`).
+ * Card checkboxes are bound by renderCards.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function initializeRowSelection(tableId) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+    if (!config.selectable) return;
+
+    $(`#${tableId}`).off('.rowSelect')
+        .on('change.rowSelect', '.row-select', function () {
+            toggleRowSelectionById(tableId, String($(this).data('row-id')), this.checked);
+        })
+        .on('change.rowSelect', '.select-page-toggle', function () {
+            selectPageRows(tableId, this.checked);
+        });
+
+    if ($(`#${tableId}-bulk-actions`).length === 0) {
+        const actionsHtml = (config.bulkActions || []).map((action, index) => !hasPermission(action.permission) ? '' : `
+            <button type="button" class="bulk-action-btn btn btn-sm ${action.className || 'btn-outline-primary'}" data-action-index="${index}" disabled>
+                ${action.icon ? `<i class="bi ${action.icon} me-1"></i>` : ''}${escapeHtml(action.label)}
+            </button>`).join('');
+        const $bar = $(`
+            <div id="${tableId}-bulk-actions" class="table-bulk-actions flex flex-wrap items-center justify-between gap-2 mb-3 p-2 rounded-lg border" role="toolbar" aria-label="Bulk actions">
+                <div class="flex items-center gap-2">
+                    <input type="checkbox" class="form-check-input select-page-toggle mt-0" aria-label="Select all rows on this page">
+                    <span class="bulk-selection-summary text-sm text-gray-700" aria-live="polite"></span>
+                </div>
+                <div class="flex flex-wrap gap-2">${actionsHtml}</div>
+            </div>`);
+        $(`#${tableId}`).closest('.dataTables_wrapper').before($bar);
+    }
+
+    $(`#${tableId}-bulk-actions`).off('.rowSelect')
+        .on('change.rowSelect', '.select-page-toggle', function () {
+            selectPageRows(tableId, this.checked);
+        })
+        .on('click.rowSelect', '.select-all-matching', function () {
+            selectAllMatchingRows(tableId);
+        })
+        .on('click.rowSelect', '.select-clear', function () {
+            clearRowSelection(tableId);
+        })
+        .on('click.rowSelect', '.bulk-action-btn', function () {
+            runBulkAction(tableId, config.bulkActions[$(this).data('action-index')]);
+        });
+
+    updateSelectionUi(tableId);
+}
+
+/**
+ * Selects or deselects a loaded row by its identifier.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ * @param {boolean} selected - Whether the row should be selected.
+ */
+function toggleRowSelectionById(tableId, rowId, selected) {
+    const row = findTableRow(tableId, rowId);
+    if (!row) return;
+    setRowSelected(tableId, row.data(), selected);
+    updateSelectionUi(tableId);
+}
+
+/**
+ * Returns the message of a failed AJAX request: the API's `message`/`title`, else the HTTP status text.
+ * @param {object} xhr - jqXHR of the failed request.
+ * @param {string} [fallback='Request failed.'] - Message used when the response has none.
+ * @returns {string} Error message.
+ */
+function getAjaxErrorMessage(xhr, fallback = 'Request failed.') {
+    const body = xhr && xhr.responseJSON;
+    if (body && (body.message || body.title)) return body.message || body.title;
+    if (xhr && xhr.status) return `${xhr.status} ${xhr.statusText || ''}`.trim();
+    return fallback;
+}
+
+/**
+ * Returns the shared bulk-action dialog, creating it on first use.
+ * @returns {jQuery} The dialog element.
+ */
+function getBulkActionDialog() {
+    let $dialog = $('#bulkActionDialog');
+    if ($dialog.length === 0) {
+        $dialog = $(`
+            <div id="bulkActionDialog" class="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 hidden" role="dialog" aria-modal="true" aria-labelledby="bulkActionDialogTitle">
+                <div class="bg-white rounded-lg shadow-xl w-11/12 md:w-1/2 lg:w-1/3 flex flex-col p-6 glass-effect border">
+                    <h3 id="bulkActionDialogTitle" class="text-xl font-bold text-primary pb-3 border-b border-gray-200 mb-4"></h3>
+                    <div class="bulk-dialog-body text-gray-700 space-y-3 overflow-y-auto max-h-[60vh]"></div>
+                    <div class="bulk-dialog-footer flex justify-end gap-2 mt-4"></div>
+                </div>
+            </div>`);
+        $('body').append($dialog);
+    }
+    return $dialog;
+}
+
+/**
+ * Asks for confirmation of a bulk action (and its input value, if the action has one).
+ * @param {object} action - Bulk action definition.
+ * @param {number} count - Number of selected rows.
+ * @returns {Promise<object|null>} `{ inputValue }` when confirmed, null when cancelled.
+ */
+function confirmBulkAction(action, count) {
+    const $dialog = getBulkActionDialog();
+    const rowsText = `${count} row${count === 1 ? '' : 's'}`;
+    const message = typeof action.confirm === 'function'
+        ? action.confirm(count)
+        : (action.confirm || `${action.label} ${rowsText}?`).replace('{count}', count);
+
+    let inputHtml = '';
+    if (action.input) {
+        const label = escapeHtml(action.input.label || 'Value');
+        const field = action.input.type === 'select'
+            ? `<select id="bulkActionInput" class="form-select">${getEditorOptions(action.input, {})
+                .map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('')}</select>`
+            : `<input id="bulkActionInput" type="${action.input.type || 'text'}" class="form-control">`;
+        inputHtml = `<div><label for="bulkActionInput" class="block text-sm font-medium mb-1">${label}</label>${field}</div>`;
+    }
+
+    $dialog.find('#bulkActionDialogTitle').text(action.label);
+    $dialog.find('.bulk-dialog-body').html(`<p>${escapeHtml(message)}</p>${inputHtml}`);
+    $dialog.find('.bulk-dialog-footer').html(`
+        <button type="button" class="btn btn-outline-secondary bulk-dialog-cancel">Cancel</button>
+        <button type="button" class="btn ${action.confirmClassName || 'btn-primary'} bulk-dialog-confirm">${escapeHtml(action.label)} ${rowsText}</button>`);
+    $dialog.removeClass('hidden');
+    $dialog.find('.bulk-dialog-confirm').trigger('focus');
+
+    return new Promise(resolve => {
+        const finish = result => {
+            $dialog.off('.bulkDialog');
+            if (!result) $dialog.addClass('hidden');
+            resolve(result);
+        };
+        $dialog.off('.bulkDialog')
+            .on('click.bulkDialog', '.bulk-dialog-cancel', () => finish(null))
+            .on('keydown.bulkDialog', e => { if (e.key === 'Escape') finish(null); })
+            .on('click.bulkDialog', '.bulk-dialog-confirm', () => finish({ inputValue: $dialog.find('#bulkActionInput').val() }));
+    });
+}
+
+/**
+ * Resolves the URL of a bulk or row action for one row: `action.url` with its `{id}` placeholder filled in,
+ * or `action.url(rowData)`; the row resource (see getRowResourceUrl) when the action has no URL.
+ * DELETE actions are never sent to a guessed URL: they throw unless they name their `url`.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} action - Bulk or row action definition.
+ * @param {object} rowData - The row's data object.
+ * @returns {string} Action URL.
+ */
+function getActionUrl(tableId, action, rowData) {
+    if (typeof action.url === 'function') return action.url(rowData);
+    if (!action.url) {
+        if ((action.method || '').toUpperCase() === 'DELETE') {
+            console.error(`getActionUrl: ${tableId} action "${action.label}" is a DELETE without a url.`);
+            throw new Error(`${action.label} is not configured for this table.`);
+        }
+        return getRowResourceUrl(tableId, rowData);
+    }
+    const rowId = encodeURIComponent(getRowId(dataTableManager[tableId].originalConfig, rowData));
+    return action.url.replace('{id}', rowId);
+}
+
+/**
+ * Sends one row of a bulk (or row) action: `action.handler(rowData, inputValue)` when given (must return a promise),
+ * otherwise an AJAX request to the action URL (see getActionUrl) with `action.data`
+ * (object or `(rowData, inputValue) => object`) as the JSON body.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} action - Bulk action definition.
+ * @param {object} rowData - The row's data object.
+ * @param {string} inputValue - Value entered in the confirmation dialog, if any.
+ * @returns {Promise<*>} Resolves with the response, rejects with an error message.
+ */
+function sendBulkActionRequest(tableId, action, rowData, inputValue) {
+    if (typeof action.handler === 'function') {
+        return Promise.resolve(action.handler(rowData, inputValue));
+    }
+    const url = getActionUrl(tableId, action, rowData);
+    const body = typeof action.data === 'function' ? action.data(rowData, inputValue) : action.data;
+
+    return new Promise((resolve, reject) => {
+        $.ajax({
+            url: url,
+            method: action.method || 'PATCH',
+            contentType: 'application/json',
+            data: body === undefined ? undefined : JSON.stringify(body)
+        })
+            .done(response => resolve(response))
+            .fail(xhr => reject(getAjaxErrorMessage(xhr)));
+    });
+}
+
+/**
+ * Runs a bulk action on the selected rows after confirmation, one request per row with a progress bar,
+ * then shows how many rows succeeded and which failed (and why). Succeeded rows are updated
+ * (the response entity, or the sent data, is merged in) or removed for DELETE/`removeRows` actions,
+ * and deselected; failed rows stay selected so the action can be retried.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} action - Bulk action definition from `config.bulkActions`.
+ * @returns {Promise<void>}
+ */
+async function runBulkAction(tableId, action) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+    const rows = getSelectedRows(tableId);
+    if (rows.length === 0) return;
+
+    const confirmation = await confirmBulkAction(action, rows.length);
+    if (!confirmation) return;
+
+    const $dialog = getBulkActionDialog();
+    const $body = $dialog.find('.bulk-dialog-body');
+    $dialog.find('.bulk-dialog-footer').empty();
+    $body.html(`
+        <p class="bulk-progress-text" aria-live="polite">Processing 0 of ${rows.length}...</p>
+        <div class="progress" role="progressbar" aria-label="${escapeHtml(action.label)} progress" aria-valuemin="0" aria-valuemax="${rows.length}" aria-valuenow="0">
+            <div class="progress-bar" style="width: 0%"></div>
+        </div>`);
+
+    const removeRows = action.removeRows || (action.method || '').toUpperCase() === 'DELETE';
+    const failures = [];
+    let succeeded = 0;
+
+    for (let i = 0; i < rows.length; i++) {
+        const rowData = rows[i];
+        const rowId = getRowId(config, rowData);
+        try {
+            const response = await sendBulkActionRequest(tableId, action, rowData, confirmation.inputValue);
+            succeeded++;
+            setRowSelected(tableId, rowData, false);
+            const row = findTableRow(tableId, rowId);
+            if (row && removeRows) {
+                row.remove();
+            } else if (row) {
+                const sent = typeof action.data === 'function' ? action.data(rowData, confirmation.inputValue) : action.data;
+                Object.assign(rowData, response && typeof response === 'object' && !Array.isArray(response) ? response : (sent || {}));
+                row.invalidate('data');
+            }
+        } catch (error) {
+            failures.push({ rowId: rowId, message: typeof error === 'string' ? error : (error && error.message) || 'Request failed.' });
+        }
+        $body.find('.bulk-progress-text').text(`Processing ${i + 1} of ${rows.length}...`);
+        $body.find('.progress').attr('aria-valuenow', i + 1);
+        $body.find('.progress-bar').css('width', `${Math.round(((i + 1) / rows.length) * 100)}%`);
+    }
+
+    console.log(`runBulkAction: ${action.label} on ${tableId}: ${succeeded} succeeded, ${failures.length} failed.`);
+
+    if (instance.table.init().serverSide) {
+        instance.table.ajax.reload(null, false);
+    } else {
+        instance.table.draw(false);
+    }
+    updateSelectionUi(tableId);
+
+    const failuresHtml = failures.length === 0 ? '' : `
+        <p class="font-semibold text-red-600">${failures.length === 1 ? '1 row failed and remains' : `${failures.length} rows failed and remain`} selected:</p>
+        <ul class="list-disc ps-5 text-sm">
+            ${failures.map(f => `<li><span class="font-medium">${escapeHtml(f.rowId)}</span>: ${escapeHtml(f.message)}</li>`).join('')}
+        </ul>`;
+    $body.html(`
+        <p class="${failures.length ? 'text-gray-700' : 'text-green-700'}" aria-live="polite">${escapeHtml(action.label)}: ${succeeded} of ${rows.length} row${rows.length === 1 ? '' : 's'} succeeded.</p>
+        ${failuresHtml}`);
+    $dialog.find('.bulk-dialog-footer').html('<button type="button" class="btn btn-primary bulk-dialog-close">Close</button>');
+    $dialog.find('.bulk-dialog-close').trigger('focus').on('click', () => $dialog.addClass('hidden'));
+}
+
+/***Row Actions */
+
+// Per-row actions declared with `config.actions`. They render the same way in the Actions column and in cards,
+// and anything other than a plain link is confirmed in the shared dialog and sent as a real DELETE/POST/... request.
+
+/**
+ * Button colours for row actions without a `className`, by HTTP method.
+ */
+const ROW_ACTION_CLASSES = {
+    GET: 'text-yellow-700 bg-yellow-100 hover:bg-yellow-200 focus:ring-yellow-500',
+    DELETE: 'text-red-700 bg-red-100 hover:bg-red-200 focus:ring-red-500',
+    default: 'text-blue-700 bg-blue-100 hover:bg-blue-200 focus:ring-blue-500'
+};
+
+/**
+ * Returns the current user's permissions, published by the server as a comma- or space-separated
+ * `data-permissions` attribute on `<body>`. Hiding actions is a convenience only: the API must still
+ * authorize every request.
+ * @returns {Array<string>|null} Permission names, or null when the page publishes none (nothing is hidden).
+ */
+function getUserPermissions() {
+    const attribute = $('body').attr('data-permissions');
+    if (attribute === undefined) return null;
+    return attribute.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Checks a permission against getUserPermissions. A granted `*` matches everything and `invoices.*`
+ * matches every `invoices.` permission.
+ * @param {string} [permission] - Required permission; actions without one are always allowed.
+ * @returns {boolean}
+ */
+function hasPermission(permission) {
+    if (!permission) return true;
+    const permissions = getUserPermissions();
+    if (permissions === null) return true;
+    return permissions.some(granted => granted === '*' || granted === permission
+        || (granted.endsWith('.*') && permission.startsWith(granted.slice(0, -1))));
+}
+
+/**
+ * Returns the HTTP method of a row action (GET when omitted).
+ * @param {object} action - Row action definition.
+ * @returns {string} Upper-case method.
+ */
+function getRowActionMethod(action) {
+    return (action.method || 'GET').toUpperCase();
+}
+
+/**
+ * Returns true for row actions that simply navigate: GET actions without a handler.
+ * @param {object} action - Row action definition.
+ * @returns {boolean}
+ */
+function isRowActionLink(action) {
+    return typeof action.handler !== 'function' && getRowActionMethod(action) === 'GET';
+}
+
+/**
+ * Returns true when a row action applies to a row: the user holds its `permission` and its `visible` predicate passes.
+ * @param {object} action - Row action definition.
+ * @param {object} rowData - The row's data object.
+ * @returns {boolean}
+ */
+function isRowActionAvailable(action, rowData) {
+    if (!hasPermission(action.permission)) return false;
+    return typeof action.visible !== 'function' || !!action.visible(rowData);
+}
+
+/**
+ * Resolves a row action property that may be a value or a function of the row.
+ * @param {*} value - Property value, or `(rowData) => value`.
+ * @param {object} rowData - The row's data object.
+ * @returns {*} The resolved value.
+ */
+function resolveRowActionValue(value, rowData) {
+    return typeof value === 'function' ? value(rowData) : value;
+}
+
+/**
+ * Renders the available actions of a row. Used by the Actions column and appended to every card;
+ * custom card templates may call it to place the actions themselves.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} rowData - The row's data object.
+ * @returns {string} Actions HTML ('' when no action applies to the row).
+ */
+function renderRowActions(tableId, rowData) {
+    const config = dataTableManager[tableId].originalConfig;
+    const rowId = escapeHtml(getRowId(config, rowData));
+    const buttonsHtml = (config.actions || []).map((action, index) => {
+        if (!isRowActionAvailable(action, rowData)) return '';
+        const label = escapeHtml(resolveRowActionValue(action.label, rowData));
+        const colors = resolveRowActionValue(action.className, rowData)
+            || ROW_ACTION_CLASSES[getRowActionMethod(action)] || ROW_ACTION_CLASSES.default;
+        const classes = `row-action inline-flex items-center px-3 py-1 border border-transparent text-sm font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 transition-colors duration-200 ${colors}`;
+        const iconHtml = action.icon ? `<i class="bi ${action.icon} me-1" aria-hidden="true"></i>` : '';
+        if (isRowActionLink(action) && !action.confirm) {
+            return `<a href="${escapeHtml(getActionUrl(tableId, action, rowData))}" class="${classes}">${iconHtml}${label}</a>`;
+        }
+        return `<button type="button" class="${classes}" data-action-index="${index}" data-row-id="${rowId}">${iconHtml}${label}</button>`;
+    }).join('');
+    return buttonsHtml ? `<div class="row-actions flex flex-wrap gap-2">${buttonsHtml}</div>` : '';
+}
+
+/**
+ * Builds the Actions column appended to tables with `config.actions`.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} Column definition.
+ */
+function buildActionsColumn(tableId) {
+    return {
+        data: null,
+        name: '_actions',
+        title: 'Actions',
+        actionsColumn: true,
+        orderable: false,
+        searchable: false,
+        exportable: false,
+        className: 'actions-cell',
+        render: function (data, type, row) {
+            return type === 'display' ? renderRowActions(tableId, row) : '';
+        }
+    };
+}
+
+/**
+ * Binds the row action buttons of the table view. Card buttons are bound by renderCards.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function bindRowActions(tableId) {
+    $(`#${tableId}`).off('.rowActions').on('click.rowActions', '.row-action[data-action-index]', function () {
+        runRowAction(tableId, String($(this).data('row-id')), $(this).data('action-index'));
+    });
+}
+
+/**
+ * Asks for confirmation of a row action in the shared action dialog.
+ * `{field}` placeholders in the confirmation text are filled from the row.
+ * @param {object} action - Row action definition.
+ * @param {object} rowData - The row's data object.
+ * @returns {Promise<boolean>} True when confirmed (the dialog stays open until the request completes).
+ */
+function confirmRowAction(action, rowData) {
+    const $dialog = getBulkActionDialog();
+    const label = resolveRowActionValue(action.label, rowData);
+    const message = String(resolveRowActionValue(action.confirm, rowData))
+        .replace(/\{(\w+)\}/g, (match, key) => (rowData[key] === undefined || rowData[key] === null ? match : rowData[key]));
+    const confirmClass = action.confirmClassName || (getRowActionMethod(action) === 'DELETE' ? 'btn-danger' : 'btn-primary');
+
+    $dialog.find('#bulkActionDialogTitle').text(label);
+    $dialog.find('.bulk-dialog-body').html(`<p>${escapeHtml(message)}</p>`);
+    $dialog.find('.bulk-dialog-footer').html(`
+        <button type="button" class="btn btn-outline-secondary bulk-dialog-cancel">Cancel</button>
+        <button type="button" class="btn ${confirmClass} bulk-dialog-confirm">${escapeHtml(label)}</button>`);
+    $dialog.removeClass('hidden');
+    $dialog.find('.bulk-dialog-confirm').trigger('focus');
+
+    return new Promise(resolve => {
+        const finish = confirmed => {
+            $dialog.off('.bulkDialog');
+            if (!confirmed) $dialog.addClass('hidden');
+            resolve(confirmed);
+        };
+        $dialog.off('.bulkDialog')
+            .on('click.bulkDialog', '.bulk-dialog-cancel', () => finish(false))
+            .on('keydown.bulkDialog', e => { if (e.key === 'Escape') finish(false); })
+            .on('click.bulkDialog', '.bulk-dialog-confirm', () => finish(true));
+    });
+}
+
+/**
+ * Runs a row action: confirms it when it has `confirm`, then navigates (links) or sends the request
+ * (see sendBulkActionRequest). On success the row is removed (DELETE or `removeRow`) or the response entity
+ * (else the sent data) is merged into it and redrawn; server-side tables reload the page instead.
+ * Failures are shown in the action dialog.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ * @param {number} actionIndex - Index of the action in `config.actions`.
+ * @returns {Promise<void>}
+ */
+async function runRowAction(tableId, rowId, actionIndex) {
+    const instance = dataTableManager[tableId];
+    const action = (instance.originalConfig.actions || [])[actionIndex];
+    const row = findTableRow(tableId, rowId);
+    if (!action || !row) {
+        console.error(`runRowAction: Action ${actionIndex} or row ${rowId} not found in ${tableId}.`);
+        return;
+    }
+    const rowData = row.data();
+    const label = resolveRowActionValue(action.label, rowData);
+    // The row may have changed since its buttons were rendered
+    if (!isRowActionAvailable(action, rowData)) {
+        console.warn(`runRowAction: ${label} is not available for row ${rowId} of ${tableId}.`);
+        return;
+    }
+
+    if (action.confirm && !(await confirmRowAction(action, rowData))) return;
+
+    if (isRowActionLink(action)) {
+        window.location.href = getActionUrl(tableId, action, rowData);
+        return;
+    }
+
+    const $dialog = getBulkActionDialog();
+    // Keep the confirmation open, but inert, until the request completes
+    if (action.confirm) $dialog.find('.bulk-dialog-footer button').prop('disabled', true);
+
+    try {
+        const response = await sendBulkActionRequest(tableId, action, rowData);
+        console.log(`runRowAction: ${label} on row ${rowId} of ${tableId} succeeded.`);
+        $dialog.addClass('hidden');
+
+        const removeRow = action.removeRow !== undefined ? action.removeRow : getRowActionMethod(action) === 'DELETE';
+        const sent = typeof action.data === 'function' ? action.data(rowData) : action.data;
+        const changes = response && typeof response === 'object' && !Array.isArray(response) ? response : sent;
+        if (removeRow) {
+            setRowSelected(tableId, rowData, false);
+            instance.expandedRowIds.delete(rowId);
+            row.remove();
+        } else if (changes) {
+            Object.assign(rowData, changes);
+            row.invalidate('data');
+        } else {
+            return; // e.g. a handler that only opened a dialog: nothing to refresh
+        }
+
+        if (instance.table.init().serverSide) {
+            instance.table.ajax.reload(null, false);
+        } else {
+            instance.table.draw(false);
+        }
+        updateSelectionUi(tableId);
+    } catch (error) {
+        const message = typeof error === 'string' ? error : (error && error.message) || 'Request failed.';
+        console.error(`runRowAction: ${label} on row ${rowId} of ${tableId} failed:`, message);
+        $dialog.find('#bulkActionDialogTitle').text(label);
+        $dialog.find('.bulk-dialog-body').html(`<p class="text-red-600" role="alert">${escapeHtml(message)}</p>`);
+        $dialog.find('.bulk-dialog-footer').html('<button type="button" class="btn btn-primary bulk-dialog-close">Close</button>');
+        $dialog.removeClass('hidden');
+        $dialog.find('.bulk-dialog-close').trigger('focus').on('click', () => $dialog.addClass('hidden'));
+    }
+}
+
+/***Child Rows */
+
+/**
+ * Builds the expand/collapse column prepended to tables with `config.childRow`.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} Column definition.
+ */
+function buildExpandColumn(tableId) {
+    return {
+        data: null,
+        name: '_expand',
+        expandColumn: true,
+        orderable: false,
+        searchable: false,
+        exportable: false,
+        className: 'expand-cell w-8',
+        render: function (data, type, row) {
+            if (type !== 'display') return '';
+            const instance = dataTableManager[tableId];
+            const rowId = getRowId(instance.originalConfig, row);
+            const expanded = instance.expandedRowIds.has(rowId);
+            return `<button type="button" class="child-row-toggle btn btn-sm btn-link p-0" data-row-id="${escapeHtml(rowId)}" aria-expanded="${expanded}" aria-label="Show details of row ${escapeHtml(rowId)}">
+                        <i class="bi bi-chevron-${expanded ? 'down' : 'right'}"></i>
+                    </button>`;
+        }
+    };
+}
+
+/**
+ * Returns true for the columns LoadDataTable adds itself (selection, expand and row action controls),
+ * which are not part of the configured column layout.
+ * @param {object} col - Column definition.
+ * @returns {boolean}
+ */
+function isControlColumn(col) {
+    return !!(col.selectColumn || col.expandColumn || col.actionsColumn);
+}
+
+/**
+ * Returns the sections of a table's child row: `config.childRow.sections`, or the childRow definition itself.
+ * @param {object} config - The table config.
+ * @returns {Array<object>} Section definitions.
+ */
+function getChildRowSections(config) {
+    const childRow = config.childRow || {};
+    return childRow.sections || [childRow];
+}
+
+/**
+ * Renders a list of related records as a compact table.
+ * @param {Array<object>} rows - Related records.
+ * @param {Array<object>} columns - `{ data, title, render }` or `{ data, title, type }` definitions (render gets `(value, 'display', record)`).
+ * @returns {string} Table HTML.
+ */
+function renderChildTable(rows, childColumns) {
+    const columns = childColumns.map(applyColumnType);
+    const headHtml = columns.map(col => `<th class="px-3 py-1 text-xs font-semibold uppercase text-gray-600">${escapeHtml(col.title || col.data)}</th>`).join('');
+    const bodyHtml = rows.map(record => `<tr>${columns.map(col => {
+        const value = getRowValue(record, col.data);
+        const display = typeof col.render === 'function' ? col.render(value, 'display', record) : escapeHtml(value);
+        return `<td class="px-3 py-1 text-sm">${display}</td>`;
+    }).join('')}</tr>`).join('');
+    return `<table class="child-row-table w-full text-left border-collapse"><thead><tr>${headHtml}</tr></thead><tbody>${bodyHtml}</tbody></table>`;
+}
+
+/**
+ * Fetches and renders one child row section: `url` (`{id}` placeholder or `(rowData) => url`) is fetched
+ * and its records (at `dataSrc`, default the response itself) rendered with `render(records, rowData)`
+ * or as a mini-table of `columns`. Sections without a `url` render from the row itself.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} section - Section definition.
+ * @param {object} rowData - The parent row's data object.
+ * @returns {Promise<string>} Section HTML.
+ */
+function loadChildRowSection(tableId, section, rowData) {
+    const config = dataTableManager[tableId].originalConfig;
+    const rowId = encodeURIComponent(getRowId(config, rowData));
+    const render = records => {
+        let bodyHtml;
+        if (typeof section.render === 'function') {
+            bodyHtml = section.render(records, rowData);
+        } else if (!records || records.length === 0) {
+            bodyHtml = `<p class="text-sm text-gray-500">${escapeHtml(section.emptyText || 'No related records.')}</p>`;
+        } else {
+            bodyHtml = renderChildTable(records, section.columns || []);
+        }
+        return `<div class="child-row-section mb-3">${section.title ? `<h4 class="text-sm font-semibold text-gray-700 mb-1">${escapeHtml(section.title)}</h4>` : ''}${bodyHtml}</div>`;
+    };
+
+    if (!section.url) return Promise.resolve(render(rowData));
+
+    const url = typeof section.url === 'function' ? section.url(rowData) : section.url.replace('{id}', rowId);
+    return new Promise((resolve, reject) => {
+        $.ajax({ url: url, method: 'GET' })
+            .done(response => resolve(render(section.dataSrc ? getRowValue(response, section.dataSrc) || [] : response)))
+            .fail(xhr => reject(getAjaxErrorMessage(xhr)));
+    });
+}
+
+/**
+ * Returns the child row HTML of a row, fetching it on first use. Successful results are cached per row.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} rowData - The parent row's data object.
+ * @returns {Promise<string>} Child row HTML (an error message if a section failed to load).
+ */
+function loadChildRowContent(tableId, rowData) {
+    const instance = dataTableManager[tableId];
+    const rowId = getRowId(instance.originalConfig, rowData);
+    if (instance.childRowCache.has(rowId)) return instance.childRowCache.get(rowId);
+
+    const request = Promise.all(getChildRowSections(instance.originalConfig).map(section => loadChildRowSection(tableId, section, rowData)))
+        .then(sections => `<div class="child-row-content p-3">${sections.join('')}</div>`)
+        .catch(error => {
+            console.error(`loadChildRowContent: Could not load details of row ${rowId} in ${tableId}:`, error);
+            instance.childRowCache.delete(rowId); // Allow a retry on the next expand
+            return `<div class="child-row-content p-3 text-sm text-red-600">Could not load details. ${escapeHtml(error)}</div>`;
+        });
+    instance.childRowCache.set(rowId, request);
+    return request;
+}
+
+/**
+ * Returns the card of a row in card view.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ * @returns {jQuery} The `.card-view-item` wrapper (empty when the row has no card on this page).
+ */
+function findCardItem(tableId, rowId) {
+    return getCardsContainer(tableId).find('.card-view-item').filter(function () {
+        return String($(this).data('row-id')) === rowId;
+    });
+}
+
+/**
+ * Shows the child row of a loaded row, in the table (DataTables child row) or in its card.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ */
+function showChildRow(tableId, rowId) {
+    const instance = dataTableManager[tableId];
+    const row = findTableRow(tableId, rowId);
+    if (!row) return;
+
+    const $card = findCardItem(tableId, rowId);
+    const $cardContent = $card.find('.card-child-content');
+    const loadingHtml = '<div class="child-row-content p-3 text-sm text-gray-500">Loading details...</div>';
+
+    if (instance.isCardView && $cardContent.length) {
+        $cardContent.html(loadingHtml).prop('hidden', false);
+        $card.find('.card-child-toggle').attr('aria-expanded', 'true').find('i').attr('class', 'bi bi-chevron-down');
+    } else if (!instance.isCardView) {
+        if (!row.child.isShown()) row.child(loadingHtml, 'child-row').show();
+        $(row.node()).find('.child-row-toggle').attr('aria-expanded', 'true').find('i').attr('class', 'bi bi-chevron-down');
+    }
+
+    loadChildRowContent(tableId, row.data()).then(html => {
+        // The row may have been collapsed (or the view switched) while loading
+        if (!instance.expandedRowIds.has(rowId)) return;
+        if (instance.isCardView) {
+            findCardItem(tableId, rowId).find('.card-child-content').html(html);
+        } else if (row.child.isShown()) {
+            row.child(html, 'child-row').show();
+        }
+    });
+}
+
+/**
+ * Hides the child row of a row in the table and in its card.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ */
+function hideChildRow(tableId, rowId) {
+    const row = findTableRow(tableId, rowId);
+    if (row) {
+        row.child.hide();
+        $(row.node()).find('.child-row-toggle').attr('aria-expanded', 'false').find('i').attr('class', 'bi bi-chevron-right');
+    }
+    const $card = findCardItem(tableId, rowId);
+    $card.find('.card-child-content').prop('hidden', true).empty();
+    $card.find('.card-child-toggle').attr('aria-expanded', 'false').find('i').attr('class', 'bi bi-chevron-right');
+}
+
+/**
+ * Expands or collapses a row's child row. The expanded state is kept per row ID, so it survives
+ * redraws, paging, server-side reloads and switching between table and card view.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ * @param {boolean} [expand] - Force expanded (true) or collapsed (false); toggles when omitted.
+ */
+function toggleChildRow(tableId, rowId, expand) {
+    const instance = dataTableManager[tableId];
+    const shouldExpand = expand === undefined ? !instance.expandedRowIds.has(rowId) : expand;
+    if (shouldExpand) {
+        instance.expandedRowIds.add(rowId);
+        showChildRow(tableId, rowId);
+    } else {
+        instance.expandedRowIds.delete(rowId);
+        hideChildRow(tableId, rowId);
+    }
+}
+
+/**
+ * Re-opens the child rows of expanded rows on the current page (table rows or cards).
+ * Called after every draw and card render.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function restoreExpandedRows(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table || !instance.originalConfig.childRow) return;
+    const config = instance.originalConfig;
+    instance.table.rows({ page: 'current' }).data().toArray().forEach(rowData => {
+        const rowId = getRowId(config, rowData);
+        if (instance.expandedRowIds.has(rowId)) showChildRow(tableId, rowId);
+    });
+}
+
+/**
+ * Builds the collapsible details section appended to a card for tables with `config.childRow`.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ * @returns {string} Section HTML.
+ */
+function buildCardChildSection(tableId, rowId) {
+    const label = escapeHtml(dataTableManager[tableId].originalConfig.childRow.label || 'Details');
+    const contentId = `${tableId}-child-${escapeHtml(rowId)}`;
+    return `
+        <div class="card-child-row border-t border-gray-200 mt-2 pt-2">
+            <button type="button" class="card-child-toggle btn btn-sm btn-link p-0" aria-expanded="false" aria-controls="${contentId}">
+                <i class="bi bi-chevron-right"></i> ${label}
+            </button>
+            <div id="${contentId}" class="card-child-content" hidden></div>
+        </div>`;
+}
+
+/**
+ * Binds the expand buttons of a table's rows. Card toggles are bound by renderCards.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function bindChildRows(tableId) {
+    if (!dataTableManager[tableId].originalConfig.childRow) return;
+    $(`#${tableId}`).off('.childRow').on('click.childRow', '.child-row-toggle', function (e) {
+        e.stopPropagation();
+        toggleChildRow(tableId, String($(this).data('row-id')));
+    });
+}
+
+/***Keyboard Navigation */
+
+// Tables are ARIA grids and card views lists of articles, each with a single tab stop (a roving tabindex): arrow keys
+// move the focused cell or card, and shortcuts act on its row. Keys pressed inside a cell's own controls keep their usual meaning.
+
+/**
+ * Adds the keyboard help text a table's grid refers to, and binds the table's cell navigation.
+ * Card cells are bound by renderCards.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function initializeKeyboardNavigation(tableId) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+    const $table = $(`#${tableId}`);
+
+    if ($(`#${tableId}-grid-help`).length === 0) {
+        const hints = ['Arrow keys move between cells', 'Page Up and Page Down change page', '/ searches'];
+        if (config.childRow || (config.actions || []).some(isRowActionLink)) hints.push('Enter opens the row');
+        if (config.columns.some(col => col.editable)) hints.push('E edits');
+        if (config.selectable) hints.push('Space selects');
+        $table.closest('.dataTables_wrapper').before(`<p id="${tableId}-grid-help" class="visually-hidden">${hints.join(', ')}.</p>`);
+    }
+
+    $table.off('.gridNav')
+        .on('keydown.gridNav', 'tbody > tr > td[role="gridcell"]', e => handleGridKeydown(tableId, e))
+        .on('focusin.gridNav', 'tbody > tr > td[role="gridcell"]', e => setGridFocus(tableId, e.currentTarget))
+        .on('focusout.gridNav', e => trackGridFocusOut(tableId, e));
+
+    // Shared by every table on the page; bound once
+    $(document).off('.tableShortcuts')
+        .on('keydown.tableShortcuts', handleSearchShortcut)
+        .on('mousedown.tableShortcuts', function (e) {
+            Object.keys(dataTableManager).forEach(id => {
+                if (!getGridScopes(id).has(e.target).length) dataTableManager[id].gridFocus.active = false;
+            });
+        });
+}
+
+/**
+ * Returns the elements a table's grid can live in: the table and its card container.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {jQuery} The table and card container.
+ */
+function getGridScopes(tableId) {
+    return $(`#${tableId}`).add(getCardsContainer(tableId));
+}
+
+/**
+ * Returns the navigable rows of the current view: the table rows of the current page, or its cards.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {Array<object>} `{ rowId, element, cells }` per row; a card has a single cell.
+ */
+function getGridRows(tableId) {
+    const instance = dataTableManager[tableId];
+    if (instance.isCardView) {
+        return getCardsContainer(tableId).find('.card-view-item').not('.refresh-ghost').get().map(item => ({
+            rowId: String($(item).data('row-id')),
+            element: item,
+            cells: $(item).children('.card-view-cell').get()
+        }));
+    }
+    const config = instance.originalConfig;
+    return instance.table.rows(getShownRowIndexes(tableId)).nodes().toArray().filter(Boolean).map(tr => ({
+        rowId: getRowId(config, instance.table.row(tr).data()),
+        element: tr,
+        // Columns collapsed by the Responsive extension are skipped
+        cells: $(tr).children('td').get().filter(td => td.style.display !== 'none')
+    }));
+}
+
+/**
+ * Applies the ARIA grid roles, row positions and selection state to the current view (or, in card view, each card's
+ * position in the list), makes the focused cell (or the first one) the tab stop, and puts the focus back on it if a
+ * redraw took it away. Called after every table draw and card render.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function updateGridAccessibility(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table) return;
+    const config = instance.originalConfig;
+    const info = instance.table.page.info();
+    const rows = getGridRows(tableId);
+
+    if (instance.isCardView) {
+        // The list and article roles come with the cards (see renderCards); positions count all pages
+        getCardsContainer(tableId).find('.card-view-grid').attr('aria-describedby', `${tableId}-grid-help`);
+        rows.forEach((row, index) => {
+            $(row.element).attr({ 'aria-posinset': info.start + index + 1, 'aria-setsize': info.recordsDisplay });
+        });
+    } else {
+        const $grid = $(`#${tableId}`);
+        const $headerRows = $grid.children('thead').children('tr');
+        const headerRows = $headerRows.length;
+        $headerRows.each((index, tr) => $(tr).attr({ role: 'row', 'aria-rowindex': index + 1 }).children('th').attr('role', 'columnheader'));
+        const describedBy = ($grid.attr('aria-describedby') || '').split(' ').filter(id => id && id !== `${tableId}-grid-help`);
+        $grid.attr({
+            role: 'grid',
+            'aria-rowcount': info.recordsDisplay + headerRows,
+            'aria-multiselectable': config.selectable ? 'true' : null,
+            'aria-describedby': describedBy.concat(`${tableId}-grid-help`).join(' ')
+        });
+        rows.forEach((row, index) => {
+            $(row.element).attr({
+                role: 'row',
+                'aria-rowindex': info.start + index + headerRows + 1,
+                'aria-selected': config.selectable ? String(instance.selectedRowIds.has(row.rowId)) : null
+            });
+            $(row.cells).attr({ role: 'gridcell', tabindex: -1 });
+        });
+    }
+
+    const focus = instance.gridFocus;
+    let rowIndex = rows.findIndex(row => row.rowId === focus.rowId);
+    if (rowIndex < 0) rowIndex = Math.min(focus.rowIndex, rows.length - 1);
+    if (rowIndex < 0) return;
+    const cells = rows[rowIndex].cells;
+    const cell = cells[Math.min(focus.column, cells.length - 1)];
+    if (!cell) return;
+    $(cell).attr('tabindex', 0);
+    // The redraw removed the focused element; keep keyboard users where they were
+    if (focus.active && (!document.activeElement || document.activeElement === document.body)) {
+        cell.focus();
+    }
+}
+
+/**
+ * Makes a cell the grid's tab stop and records it as the focus position (on focus, click or keyboard move).
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {HTMLElement} cell - The focused grid cell.
+ */
+function setGridFocus(tableId, cell) {
+    const instance = dataTableManager[tableId];
+    const rows = getGridRows(tableId);
+    const rowIndex = rows.findIndex(row => row.cells.includes(cell));
+    if (rowIndex < 0) return;
+    getGridScopes(tableId).find('[role="gridcell"][tabindex="0"], .card-view-cell[tabindex="0"]').not(cell).attr('tabindex', -1);
+    $(cell).attr('tabindex', 0);
+    instance.gridFocus = { rowId: rows[rowIndex].rowId, rowIndex: rowIndex, column: rows[rowIndex].cells.indexOf(cell), active: true };
+}
+
+/**
+ * Notes that the focus left a table's grid for another element, so redraws no longer bring it back.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {Event} e - The focusout event.
+ */
+function trackGridFocusOut(tableId, e) {
+    if (e.relatedTarget && !getGridScopes(tableId).has(e.relatedTarget).length) {
+        dataTableManager[tableId].gridFocus.active = false;
+    }
+}
+
+/**
+ * Focuses a grid cell by position, clamped to the current view.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {number} rowIndex - Row (or card) index on the current page.
+ * @param {number} [column=0] - Cell index in the row.
+ */
+function moveGridFocus(tableId, rowIndex, column = 0) {
+    const rows = getGridRows(tableId);
+    if (rows.length === 0) return;
+    const cells = rows[Math.max(0, Math.min(rowIndex, rows.length - 1))].cells;
+    const cell = cells[Math.max(0, Math.min(column, cells.length - 1))];
+    if (!cell) return;
+    setGridFocus(tableId, cell);
+    cell.focus();
+}
+
+/**
+ * Puts the focus back on a table's focused cell (after an inline edit closes, for example).
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function restoreGridFocus(tableId) {
+    const $cell = getGridScopes(tableId).find('[role="gridcell"][tabindex="0"], .card-view-cell[tabindex="0"]').first();
+    if ($cell.length) $cell.trigger('focus');
+}
+
+/**
+ * Returns the number of cards per row of the card grid, for moving up and down.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {number} Cards per row (at least 1).
+ */
+function getCardGridColumnCount(tableId) {
+    const grid = getCardsContainer(tableId).find('.card-view-grid')[0];
+    const template = grid ? window.getComputedStyle(grid).gridTemplateColumns : '';
+    return Math.max(1, (template || '').split(' ').filter(Boolean).length);
+}
+
+/**
+ * Keyboard handler of grid cells: arrows, Home/End (with Ctrl: first/last row) and Page Up/Down move the focus;
+ * Enter opens the row (see openGridRow), E edits it, Space selects it.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {Event} e - The keydown event; `currentTarget` is the grid cell.
+ */
+function handleGridKeydown(tableId, e) {
+    const cell = e.currentTarget;
+    if (e.isDefaultPrevented() || e.altKey || e.metaKey) return;
+    if (e.target !== cell) {
+        // Escape leaves a cell's controls for the cell itself
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            cell.focus();
+        }
+        return;
+    }
+
+    const instance = dataTableManager[tableId];
+    const api = instance.table;
+    const rows = getGridRows(tableId);
+    const rowIndex = rows.findIndex(row => row.cells.includes(cell));
+    if (rowIndex < 0) return;
+    const row = rows[rowIndex];
+    const column = row.cells.indexOf(cell);
+    const step = instance.isCardView ? getCardGridColumnCount(tableId) : 1;
+    const info = api.page.info();
+    let handled = true;
+
+    switch (e.key) {
+        case 'ArrowDown':
+            moveGridFocus(tableId, rowIndex + step, column);
+            break;
+        case 'ArrowUp':
+            moveGridFocus(tableId, rowIndex - step, column);
+            break;
+        case 'ArrowRight':
+            if (instance.isCardView) moveGridFocus(tableId, rowIndex + 1); else moveGridFocus(tableId, rowIndex, column + 1);
+            break;
+        case 'ArrowLeft':
+            if (instance.isCardView) moveGridFocus(tableId, rowIndex - 1); else moveGridFocus(tableId, rowIndex, column - 1);
+            break;
+        case 'Home':
+            if (e.ctrlKey || instance.isCardView) moveGridFocus(tableId, 0, 0); else moveGridFocus(tableId, rowIndex, 0);
+            break;
+        case 'End':
+            if (e.ctrlKey || instance.isCardView) moveGridFocus(tableId, rows.length - 1, row.cells.length - 1); else moveGridFocus(tableId, rowIndex, row.cells.length - 1);
+            break;
+        case 'PageDown':
+        case 'PageUp': {
+            const page = e.key === 'PageDown' ? info.page + 1 : info.page - 1;
+            if (page < 0 || page >= info.pages) break;
+            // The same position on the new page gets the focus after the redraw (see updateGridAccessibility)
+            instance.gridFocus = { rowId: null, rowIndex: rowIndex, column: column, active: true };
+            api.page(page).draw('page');
+            break;
+        }
+        case 'Enter':
+            handled = openGridRow(tableId, row.rowId);
+            break;
+        case ' ':
+            if (!instance.originalConfig.selectable) {
+                handled = false;
+                break;
+            }
+            toggleRowSelectionById(tableId, row.rowId, !instance.selectedRowIds.has(row.rowId));
+            break;
+        case 'e':
+        case 'E':
+            handled = !e.ctrlKey && editGridRow(tableId, row.rowId, cell);
+            break;
+        default:
+            handled = false;
+    }
+    if (handled) e.preventDefault();
+}
+
+/**
+ * Opens a row from the keyboard: toggles its details (`config.childRow`), or follows its first link action.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ * @returns {boolean} Whether the row had something to open.
+ */
+function openGridRow(tableId, rowId) {
+    const config = dataTableManager[tableId].originalConfig;
+    if (config.childRow) {
+        toggleChildRow(tableId, rowId);
+        return true;
+    }
+    const row = findTableRow(tableId, rowId);
+    const actionIndex = (config.actions || []).findIndex(action => isRowActionLink(action) && row && isRowActionAvailable(action, row.data()));
+    if (actionIndex < 0) return false;
+    runRowAction(tableId, rowId, actionIndex);
+    return true;
+}
+
+/**
+ * Starts an inline edit from the keyboard: of the focused cell when it is editable, else of the row's first
+ * editable value.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ * @param {HTMLElement} cell - The focused grid cell.
+ * @returns {boolean} Whether an editor was opened.
+ */
+function editGridRow(tableId, rowId, cell) {
+    const instance = dataTableManager[tableId];
+    if (instance.isCardView) {
+        const $field = $(cell).find('[data-edit-column]').first();
+        if (!$field.length) return false;
+        startInlineEdit(tableId, rowId, $field.data('edit-column'), $field);
+        return true;
+    }
+    const $cell = $(cell).hasClass('editable-cell') ? $(cell) : $(cell).closest('tr').children('td.editable-cell').first();
+    if (!$cell.length) return false;
+    const column = instance.columns[instance.table.cell($cell[0]).index().column];
+    startInlineEdit(tableId, rowId, column.data, $cell);
+    return true;
+}
+
+/**
+ * Opens the inline editor of a row's first editable value, in its table row or its card. Edit row actions
+ * can use it as their handler: `{ label: 'Edit', handler: rowData => editTableRow(tableId, rowData.id) }`.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} rowId - Row identifier (see getRowId).
+ * @returns {boolean} Whether an editor was opened.
+ */
+function editTableRow(tableId, rowId) {
+    const instance = dataTableManager[tableId];
+    const row = instance && findTableRow(tableId, String(rowId));
+    if (!row) {
+        console.warn(`editTableRow: Row ${rowId} not found in ${tableId}.`);
+        return false;
+    }
+    const element = instance.isCardView ? findCardItem(tableId, String(rowId))[0] : $(row.node()).children('td')[0];
+    return element ? editGridRow(tableId, String(rowId), element) : false;
+}
+
+/**
+ * Focuses the search box of a table: the DataTables search, or the card search in card view.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {boolean} Whether a search box was found.
+ */
+function focusTableSearch(tableId) {
+    const instance = dataTableManager[tableId];
+    const $input = instance.isCardView ? getCardsContainer(tableId).find('.card-search') : $(`#${tableId}_filter input`);
+    if (!$input.length) return false;
+    $input.trigger('focus');
+    $input[0].select();
+    return true;
+}
+
+/**
+ * `/` shortcut: focuses the search box of the table the focus is in, or else of the first table shown on the page.
+ * @param {Event} e - The keydown event.
+ */
+function handleSearchShortcut(e) {
+    if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || e.isDefaultPrevented()) return;
+    if ($(e.target).is('input, textarea, select, [contenteditable="true"]')) return; // Typing a slash
+    const tableIds = Object.keys(dataTableManager).filter(id => dataTableManager[id].table && document.getElementById(id));
+    const tableId = tableIds.find(id => getGridScopes(id).has(e.target).length)
+        || tableIds.find(id => {
+            const instance = dataTableManager[id];
+            const $view = instance.isCardView ? getCardsContainer(id) : $(`#${id}`).closest('.dataTables_wrapper');
+            return !instance.isChartView && !instance.isPivotView && $view.css('display') !== 'none';
+        });
+    if (tableId && focusTableSearch(tableId)) e.preventDefault();
+}
+
+/***Aggregates */
+
+/**
+ * Footer rows shown for tables with aggregate columns, in display order.
+ */
+const AGGREGATE_SCOPES = {
+    page: 'This page',
+    filtered: 'Filtered',
+    all: 'All rows'
+};
+
+/**
+ * Labels of the supported aggregate functions.
+ */
+const AGGREGATE_LABELS = { sum: 'Sum', avg: 'Avg', min: 'Min', max: 'Max', count: 'Count' };
+
+/**
+ * Returns the aggregate functions of a column (`aggregate: true` means sum).
+ * @param {object} col - Column definition.
+ * @returns {Array<string>} Function names, empty for columns without aggregates.
+ */
+function getColumnAggregates(col) {
+    if (!col.aggregate) return [];
+    if (col.aggregate === true) return ['sum'];
+    return Array.isArray(col.aggregate) ? col.aggregate : [col.aggregate];
+}
+
+/**
+ * Computes an aggregate over column values. Non-numeric values are ignored except by count.
+ * @param {Array<*>} values - Column values.
+ * @param {string} fn - 'sum', 'avg', 'min', 'max' or 'count'.
+ * @returns {number|null} Result (null when there are no numeric values).
+ */
+function computeAggregate(values, fn) {
+    if (fn === 'count') return values.length;
+    const numbers = values.map(value => parseFloat(value)).filter(value => !isNaN(value));
+    if (numbers.length === 0) return fn === 'sum' ? 0 : null;
+    switch (fn) {
+        case 'sum': return numbers.reduce((total, value) => total + value, 0);
+        case 'avg': return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+        case 'min': return Math.min(...numbers);
+        case 'max': return Math.max(...numbers);
+        default:
+            console.warn(`computeAggregate: Unknown aggregate "${fn}".`);
+            return null;
+    }
+}
+
+/**
+ * Formats an aggregate result with the column's own display renderer (counts stay plain numbers).
+ * A column may supply `aggregateFormat(value, fn)` instead.
+ * @param {object} col - Column definition.
+ * @param {number|null} value - Aggregate result.
+ * @param {string} fn - Aggregate function name.
+ * @returns {string} Display HTML.
+ */
+function formatAggregateValue(col, value, fn) {
+    if (value === null || value === undefined) return '&mdash;';
+    if (typeof col.aggregateFormat === 'function') return col.aggregateFormat(value, fn);
+    if (fn === 'count') return formatNumber(value);
+    if (typeof col.render === 'function') return col.render(value, 'display', {});
+    if (col.render && typeof col.render.display === 'function') return col.render.display(value, 'display', {});
+    return formatNumber(value, { maximumFractionDigits: 2 });
+}
+
+/**
+ * Returns the rows of a table in an aggregate scope: the current page, the rows matching
+ * the search and filters, or all rows. Rows of collapsed groups count (see getMatchingRows).
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} scope - 'page', 'filtered' or 'all'.
+ * @returns {Array<object>} Row data objects.
+ */
+function getAggregateRows(tableId, scope) {
+    if (scope === 'all') return dataTableManager[tableId].table.rows().data().toArray();
+    return getMatchingRows(tableId, scope === 'page');
+}
+
+/**
+ * Computes the aggregates of every aggregate column of a table for one scope.
+ * Server-side tables only hold the current page; for the other scopes they use the `aggregates`
+ * object of the AJAX response (`{ filtered: { amount: { sum } }, all: { ... } }`) when the endpoint provides it.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} scope - 'page', 'filtered' or 'all'.
+ * @returns {object|null} `{ [columnKey]: { [fn]: value } }`, or null when the scope is not available.
+ */
+function getTableAggregates(tableId, scope) {
+    const instance = dataTableManager[tableId];
+    const api = instance.table;
+    const columns = instance.columns.filter(col => getColumnAggregates(col).length > 0);
+
+    if (api.init().serverSide && scope !== 'page') {
+        const json = api.ajax.json();
+        return (json && json.aggregates && json.aggregates[scope]) || null;
+    }
+
+    const rows = getAggregateRows(tableId, scope);
+    const result = {};
+    columns.forEach(col => {
+        const values = rows.map(rowData => getRowValue(rowData, col.data));
+        result[col.data] = {};
+        getColumnAggregates(col).forEach(fn => {
+            result[col.data][fn] = computeAggregate(values, fn);
+        });
+    });
+    return result;
+}
+
+/**
+ * Formats the aggregates of one column as label/value lines.
+ * @param {object} col - Column definition.
+ * @param {object} values - `{ [fn]: value }` for the column.
+ * @returns {string} HTML.
+ */
+function buildAggregateLines(col, values) {
+    return getColumnAggregates(col).map(fn => `
+        <div class="aggregate-line whitespace-nowrap">
+            <span class="text-xs text-gray-500">${AGGREGATE_LABELS[fn] || fn}</span>
+            <span class="font-semibold">${formatAggregateValue(col, values ? values[fn] : null, fn)}</span>
+        </div>`).join('');
+}
+
+/**
+ * Returns the label of an aggregate scope. Server-side tables only hold the current page, so their page row says so.
+ * @param {object} config - The table config.
+ * @param {string} scope - 'page', 'filtered' or 'all'.
+ * @returns {string} Label.
+ */
+function getAggregateScopeLabel(config, scope) {
+    return scope === 'page' && config.serverSide ? 'Page totals' : AGGREGATE_SCOPES[scope];
+}
+
+/**
+ * Builds the `<tfoot>` for tables with aggregate columns: one row per scope (`config.footerScopes`),
+ * labelled in the first data column without aggregates (else the first data column; never the checkbox,
+ * expand or actions column). Cells carry their scope and column so they survive column hiding.
+ * @param {object} config - The table config.
+ * @param {Array<object>} columns - Column definitions in table order.
+ * @returns {string} `<tfoot>` HTML ('' when no column has aggregates).
+ */
+function buildAggregateFooter(config, columns) {
+    if (!columns.some(col => getColumnAggregates(col).length > 0)) return '';
+    const scopes = config.footerScopes || Object.keys(AGGREGATE_SCOPES);
+    const dataColumns = columns.filter(col => !isControlColumn(col));
+    const labelColumn = dataColumns.find(col => getColumnAggregates(col).length === 0) || dataColumns[0];
+    const rowsHtml = scopes.map(scope => `
+        <tr class="aggregate-row" data-aggregate-scope="${scope}">
+            ${columns.map(col => `<th class="px-4 py-2 text-sm text-left align-top" data-aggregate-column="${escapeHtml(getColumnKey(col))}">${col === labelColumn ? `<span class="text-xs font-semibold uppercase text-gray-600">${getAggregateScopeLabel(config, scope)}</span>` : ''}${getColumnAggregates(col).length > 0 ? '<div class="aggregate-values"></div>' : ''}</th>`).join('')}
+        </tr>`).join('');
+    return `<tfoot>${rowsHtml}</tfoot>`;
+}
+
+/**
+ * Recomputes the footer aggregates after a draw (so every search, filter and page change updates them).
+ * The filtered row is hidden while no search or filter is active, since it would repeat the all-rows totals.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function updateAggregateFooter(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table) return;
+    const $footer = $(`#${tableId} tfoot`);
+    if ($footer.length === 0) return;
+
+    const unfiltered = getMatchingRowCount(tableId) === instance.table.page.info().recordsTotal;
+    $footer.find('.aggregate-row').each(function () {
+        const scope = $(this).data('aggregate-scope');
+        const aggregates = getTableAggregates(tableId, scope);
+        $(this).toggle(!!aggregates && !(scope === 'filtered' && unfiltered));
+        instance.columns.forEach(col => {
+            if (getColumnAggregates(col).length === 0) return;
+            $(this).find(`[data-aggregate-column="${getColumnKey(col)}"] .aggregate-values`).html(buildAggregateLines(col, aggregates && aggregates[col.data]));
+        });
+    });
+}
+
+/**
+ * Builds the totals shown under the cards in card view, where the table footer is hidden.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {string} Summary HTML ('' when no column has aggregates).
+ */
+function buildCardAggregateSummary(tableId) {
+    const instance = dataTableManager[tableId];
+    const columns = instance.columns.filter(col => getColumnAggregates(col).length > 0 && col.visible !== false);
+    if (columns.length === 0) return '';
+
+    const unfiltered = getMatchingRowCount(tableId) === instance.table.page.info().recordsTotal;
+    const scopes = (instance.originalConfig.footerScopes || Object.keys(AGGREGATE_SCOPES))
+        .filter(scope => !(scope === 'filtered' && unfiltered));
+    const rowsHtml = scopes.map(scope => {
+        const aggregates = getTableAggregates(tableId, scope);
+        if (!aggregates) return '';
+        return `
+            <div class="flex flex-wrap items-start gap-6">
+                <span class="text-xs font-semibold uppercase text-gray-600 w-24">${getAggregateScopeLabel(instance.originalConfig, scope)}</span>
+                ${columns.map(col => `<div><div class="text-xs text-gray-500">${escapeHtml(col.title || col.data)}</div>${buildAggregateLines(col, aggregates[col.data])}</div>`).join('')}
+            </div>`;
+    }).join('');
+    return `<div class="card-view-summary col-span-full mt-4 p-4 rounded-xl border space-y-2">${rowsHtml}</div>`;
+}
+
+/**
+ * Adds subtotal rows to a RowGroup configuration: unless the page supplies its own `endRender`,
+ * each group ends with a row of the aggregate columns' totals for that group.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} rowGroup - RowGroup configuration from the table config.
+ * @returns {object} RowGroup configuration for DataTables.
+ */
+function withGroupSubtotals(tableId, rowGroup) {
+    if (!rowGroup || rowGroup.endRender !== undefined) return rowGroup;
+    return {
+        ...rowGroup,
+        endRender: function (rows, group, level) {
+            const instance = dataTableManager[tableId];
+            const columns = instance.columns;
+            if (!columns.some(col => getColumnAggregates(col).length > 0)) return null;
+            const groupRows = getGroupRows(instance, rows).data().toArray();
+            // Nested subtotals disappear with their collapsed parent group
+            if (level > 0 && instance.groupBy.length && isGroupCollapsed(instance, groupRows[0], level, false)) return undefined;
+            const visibleIndexes = rows.columns().indexes().toArray().filter(index => rows.column(index).visible());
+            const $row = $('<tr class="group-subtotal"></tr>');
+            visibleIndexes.forEach((index, position) => {
+                const col = columns[index];
+                let cellHtml = '';
+                if (getColumnAggregates(col).length > 0) {
+                    const values = groupRows.map(rowData => getRowValue(rowData, col.data));
+                    const result = {};
+                    getColumnAggregates(col).forEach(fn => { result[fn] = computeAggregate(values, fn); });
+                    cellHtml = buildAggregateLines(col, result);
+                } else if (position === 0) {
+                    cellHtml = `<span class="text-xs font-semibold uppercase text-gray-600">Subtotal: ${escapeHtml(group)} (${groupRows.length})</span>`;
+                }
+                $row.append(`<td class="px-4 py-2 text-sm">${cellHtml}</td>`);
+            });
+            return $row;
+        }
+    };
+}
+
+/**
+ * Keeps page elements (such as KPI cards) in sync with a table: each entry of `config.summaries`
+ * writes an aggregate of the table's rows into its element after every draw.
+ * Entries are `{ selector, column, value, aggregate, scope, filter, format }`; `aggregate` defaults to 'sum',
+ * `scope` to 'filtered', `value(rowData)` derives the aggregated value instead of reading `column` (null skips the row),
+ * `filter(rowData)` narrows the rows and `format(value)` renders the result (default: the column's display renderer).
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function updateTableSummaries(tableId) {
+    const instance = dataTableManager[tableId];
+    const summaries = instance && instance.table && instance.originalConfig.summaries;
+    if (!summaries) return;
+
+    summaries.forEach(summary => {
+        const fn = summary.aggregate || 'sum';
+        let rows = getAggregateRows(tableId, summary.scope || 'filtered');
+        if (typeof summary.filter === 'function') rows = rows.filter(summary.filter);
+        const values = rows.map(rowData => (typeof summary.value === 'function' ? summary.value(rowData) : getRowValue(rowData, summary.column)));
+        const value = computeAggregate(values, fn);
+        const col = instance.columns.find(c => c.data === summary.column) || {};
+        $(summary.selector).html(typeof summary.format === 'function' ? summary.format(value) : formatAggregateValue(col, value, fn));
+    });
+}
+
+/***Grouping & Pivot */
+
+/**
+ * Maximum number of nested group levels offered by the Group by control.
+ */
+const MAX_GROUP_LEVELS = 3;
+
+/**
+ * Returns the key of the group a row belongs to at a level, including its parent groups,
+ * so equal values under different parents are distinct groups.
+ * @param {object} instance - The dataTableManager entry for the table.
+ * @param {object} rowData - The row's data object.
+ * @param {number} level - Group level (0 = outermost).
+ * @returns {string} Group key.
+ */
+function getGroupKey(instance, rowData, level) {
+    return instance.groupBy.slice(0, level + 1)
+        .map(key => String(getRowValue(rowData, key) ?? ''))
+        .join('\u203a');
+}
+
+/**
+ * Returns true when a row's group at `level`, or one of its parent groups, is collapsed.
+ * @param {object} instance - The dataTableManager entry for the table.
+ * @param {object} rowData - A row of the group.
+ * @param {number} level - Group level.
+ * @param {boolean} includeSelf - Also check the group at `level` itself (not only its parents).
+ * @returns {boolean}
+ */
+function isGroupCollapsed(instance, rowData, level, includeSelf) {
+    const last = includeSelf ? level : level - 1;
+    for (let l = 0; l <= last; l++) {
+        if (instance.collapsedGroups.has(getGroupKey(instance, rowData, l))) return true;
+    }
+    return false;
+}
+
+/**
+ * Returns true when collapsed groups are filtered out of a table's draws. Card view shows every row,
+ * including the chart view opened from it.
+ * @param {object} instance - The dataTableManager entry for the table.
+ * @returns {boolean}
+ */
+function isGroupCollapseActive(instance) {
+    return instance.groupBy.length > 0 && instance.collapsedGroups.size > 0
+        && !instance.isCardView && !(instance.isChartView && instance.cardViewBeforeChart);
+}
+
+// Collapsed groups are filtered out of the draw, except for the first row of each: RowGroup draws the group's
+// header (and subtotal) around that row, and removeCollapsedGroupAnchors then takes the row itself out.
+// The data indexes of the rows filtered out are kept in `collapsedRows` (see getGroupRows and getMatchingRows).
+if ($.fn.dataTable) {
+    $.fn.dataTable.ext.search.push(function (settings, searchData, dataIndex, rowData, counter) {
+        const instance = dataTableManager[settings.nTable.id];
+        if (!instance || settings.oFeatures.bServerSide) return true;
+        if (counter === 0) instance.collapsedRows.clear();
+        if (!isGroupCollapseActive(instance)) return true;
+        const level = instance.groupBy.findIndex((key, l) => instance.collapsedGroups.has(getGroupKey(instance, rowData, l)));
+        if (level === -1) return true;
+        const groupKey = getGroupKey(instance, rowData, level);
+        const collapsed = instance.collapsedRows.get(groupKey);
+        if (!collapsed) {
+            instance.collapsedRows.set(groupKey, { anchor: dataIndex, rows: [] });
+            return true;
+        }
+        collapsed.rows.push(dataIndex);
+        return false;
+    });
+}
+
+/**
+ * Returns the data indexes of the rows left in the draw for collapsed groups (see the group collapse hook).
+ * @param {object} instance - The dataTableManager entry for the table.
+ * @returns {Set<number>} Data indexes.
+ */
+function getCollapsedGroupAnchors(instance) {
+    return new Set([...instance.collapsedRows.values()].map(collapsed => collapsed.anchor));
+}
+
+/**
+ * Takes the rows left in the draw for collapsed groups, and their child rows, out of the table once RowGroup
+ * has drawn the group headers around them. Runs after every draw.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function removeCollapsedGroupAnchors(tableId) {
+    const instance = dataTableManager[tableId];
+    getCollapsedGroupAnchors(instance).forEach(index => {
+        const row = instance.table.row(index);
+        $(row.node()).detach();
+        if (row.child.isShown()) row.child().detach();
+    });
+}
+
+/**
+ * Returns the data indexes of the rows shown on the current page: the rows left in the draw for
+ * collapsed groups are not.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {Array<number>} Data indexes in display order.
+ */
+function getShownRowIndexes(tableId) {
+    const instance = dataTableManager[tableId];
+    const anchors = getCollapsedGroupAnchors(instance);
+    return instance.table.rows({ page: 'current' }).indexes().toArray().filter(index => !anchors.has(index));
+}
+
+/**
+ * Returns the rows of a group drawn by RowGroup, with the rows filtered out under it because it, or one of
+ * its nested groups, is collapsed.
+ * @param {object} instance - The dataTableManager entry for the table.
+ * @param {object} rows - DataTables API of the group's drawn rows.
+ * @returns {object} DataTables API of all the group's rows.
+ */
+function getGroupRows(instance, rows) {
+    const drawn = rows.indexes().toArray();
+    const indexes = new Set(drawn);
+    const hidden = [];
+    instance.collapsedRows.forEach(collapsed => {
+        if (indexes.has(collapsed.anchor)) hidden.push(...collapsed.rows);
+    });
+    return hidden.length ? instance.table.rows(drawn.concat(hidden)) : rows;
+}
+
+/**
+ * Returns the rows matching a table's search and filters in display order, including the rows of collapsed
+ * groups, which are only filtered out of the draw. Exports, charts, pivots and totals use these.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {boolean} [currentPage=false] - Only the rows of the current page.
+ * @returns {Array<object>} Row data objects.
+ */
+function getMatchingRows(tableId, currentPage) {
+    const instance = dataTableManager[tableId];
+    const api = instance.table;
+    const selector = { search: 'applied', order: 'applied', page: currentPage ? 'current' : 'all' };
+    const data = api.rows(selector).data().toArray();
+    if (instance.collapsedRows.size === 0) return data;
+
+    const hidden = new Map([...instance.collapsedRows.values()].map(collapsed => [collapsed.anchor, collapsed.rows]));
+    const rows = [];
+    api.rows(selector).indexes().toArray().forEach((index, position) => {
+        rows.push(data[position]);
+        if (hidden.has(index)) rows.push(...api.rows(hidden.get(index)).data().toArray());
+    });
+    return rows;
+}
+
+/**
+ * Returns the number of rows matching a table's search and filters, including the rows of collapsed groups.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {number} Row count.
+ */
+function getMatchingRowCount(tableId) {
+    const instance = dataTableManager[tableId];
+    let count = instance.table.page.info().recordsDisplay;
+    instance.collapsedRows.forEach(collapsed => { count += collapsed.rows.length; });
+    return count;
+}
+
+/**
+ * RowGroup `startRender` for runtime grouping: a collapsible header row with the column name, value,
+ * row count and the group's aggregates. A page's `rowGroup.startRender(rows, group, level)` supplies the label
+ * (and count) instead. The rows of collapsed groups are filtered out of the draw (see the group collapse hook)
+ * but still counted; nested groups of a collapsed group get no header.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} rows - DataTables API of the group's drawn rows.
+ * @param {*} group - The group value.
+ * @param {number} level - Group level.
+ * @returns {jQuery|undefined} Header row.
+ */
+function renderGroupHeader(tableId, rows, group, level) {
+    const instance = dataTableManager[tableId];
+    const allRows = getGroupRows(instance, rows);
+    const groupRows = allRows.data().toArray();
+    const firstRow = groupRows[0];
+    const key = getGroupKey(instance, firstRow, level);
+    const collapsed = instance.collapsedGroups.has(key);
+    // Not null, which RowGroup would draw as its empty group label
+    if (isGroupCollapsed(instance, firstRow, level, false)) return undefined;
+
+    const columnKey = instance.groupBy[level];
+    const column = instance.columns.find(col => col.data === columnKey) || {};
+    const customStart = instance.originalConfig.rowGroup && instance.originalConfig.rowGroup.startRender;
+    const label = typeof customStart === 'function'
+        ? customStart(allRows, group, level)
+        : `<span class="text-gray-500">${escapeHtml(column.title || columnKey)}:</span> <strong>${escapeHtml(group ?? '(blank)')}</strong> <span class="text-sm text-gray-500">(${groupRows.length})</span>`;
+
+    const aggregatesHtml = instance.columns
+        .filter(col => getColumnAggregates(col).length > 0)
+        .map(col => {
+            const values = groupRows.map(rowData => getRowValue(rowData, col.data));
+            const fn = getColumnAggregates(col)[0];
+            return `<span class="ms-3 text-sm text-gray-600">${escapeHtml(col.title || col.data)} ${AGGREGATE_LABELS[fn] || fn}: ${formatAggregateValue(col, computeAggregate(values, fn), fn)}</span>`;
+        }).join('');
+
+    const colspan = rows.columns().indexes().toArray().filter(index => rows.column(index).visible()).length;
+    const $row = $(`
+        <tr>
+            <td colspan="${colspan}" style="padding-left: ${1 + level * 1.5}rem;">
+                <button type="button" class="group-toggle btn btn-sm btn-link p-0 me-1" data-group-key="${escapeHtml(key)}" aria-expanded="${!collapsed}" aria-label="${collapsed ? 'Expand' : 'Collapse'} group ${escapeHtml(group)}">
+                    <i class="bi bi-chevron-${collapsed ? 'right' : 'down'}"></i>
+                </button>
+                ${label}${aggregatesHtml}
+            </td>
+        </tr>`);
+    return $row;
+}
+
+/**
+ * Builds the RowGroup options of a table: the runtime grouping from the Group by control
+ * (seeded from `config.groupBy` or `config.rowGroup.dataSrc`), with collapsible headers and subtotals.
+ * With `config.groupBy: false` a fixed `config.rowGroup` is passed through (with subtotals) instead.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object|undefined} RowGroup options (undefined when the RowGroup extension is not loaded).
+ */
+function buildRowGroupOptions(tableId) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+    if (!$.fn.dataTable.RowGroup) {
+        if (config.rowGroup || instance.groupBy.length) {
+            console.warn(`buildRowGroupOptions: The DataTables RowGroup extension is not loaded; ${tableId} will not be grouped.`);
+        }
+        return undefined;
+    }
+    if (config.groupBy === false) return withGroupSubtotals(tableId, config.rowGroup);
+
+    return withGroupSubtotals(tableId, {
+        ...(config.rowGroup || {}),
+        dataSrc: instance.groupBy.length ? instance.groupBy : 0,
+        enable: instance.groupBy.length > 0,
+        startRender: (rows, group, level) => renderGroupHeader(tableId, rows, group, level)
+    });
+}
+
+/**
+ * Returns the DataTables fixed ordering that keeps rows of the same group together.
+ * @param {object} instance - The dataTableManager entry for the table.
+ * @returns {Array<Array>} `[[columnIndex, 'asc']]` per group level.
+ */
+function getGroupOrder(instance) {
+    return orderKeysToIndexes(instance.columns, instance.groupBy.map(key => [key, 'asc']));
+}
+
+/**
+ * Groups a table by the given columns (outermost first) without rebuilding it; an empty list removes the grouping.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {Array<string>} keys - Column data keys.
+ */
+function setTableGroupBy(tableId, keys) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table || !$.fn.dataTable.RowGroup) return;
+    const api = instance.table;
+
+    instance.groupBy = keys.filter(Boolean).slice(0, MAX_GROUP_LEVELS);
+    instance.collapsedGroups.clear();
+    api.order.fixed({ pre: getGroupOrder(instance) });
+    if (instance.groupBy.length) {
+        api.rowGroup().dataSrc(instance.groupBy);
+        api.rowGroup().enable();
+    } else {
+        api.rowGroup().disable();
+    }
+    api.draw(false);
+    renderGroupByControl(tableId);
+}
+
+/**
+ * Collapses or expands every group of the current grouping.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {boolean} collapse - True to collapse all groups, false to expand all.
+ */
+function setAllGroupsCollapsed(tableId, collapse) {
+    const instance = dataTableManager[tableId];
+    instance.collapsedGroups.clear();
+    if (collapse) {
+        getMatchingRows(tableId).forEach(rowData => {
+            instance.groupBy.forEach((key, level) => instance.collapsedGroups.add(getGroupKey(instance, rowData, level)));
+        });
+    }
+    instance.table.draw(false);
+}
+
+/**
+ * Returns the columns a table can be grouped or pivoted by: titled data columns.
+ * @param {object} instance - The dataTableManager entry for the table.
+ * @returns {Array<object>} Column definitions.
+ */
+function getGroupableColumns(instance) {
+    return instance.columns.filter(col => typeof col.data === 'string' && col.title && !isControlColumn(col));
+}
+
+/**
+ * Renders the Group by dropdown of a table: one select per level (a new level appears once the previous is set),
+ * expand/collapse all, and the pivot toggle.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function renderGroupByControl(tableId) {
+    const instance = dataTableManager[tableId];
+    const $control = getTableToolbar(tableId).find('.table-group-by');
+    const columns = getGroupableColumns(instance);
+    const levels = Math.min(instance.groupBy.length + 1, MAX_GROUP_LEVELS);
+
+    let selectsHtml = '';
+    for (let level = 0; level < levels; level++) {
+        const current = instance.groupBy[level] || '';
+        const optionsHtml = columns
+            .filter(col => col.data === current || !instance.groupBy.includes(col.data))
+            .map(col => `<option value="${escapeHtml(col.data)}"${col.data === current ? ' selected' : ''}>${escapeHtml(col.title)}</option>`)
+            .join('');
+        selectsHtml += `
+            <label class="d-block px-3 py-1">
+                <span class="text-xs text-gray-500">${level === 0 ? 'Group by' : 'Then by'}</span>
+                <select class="form-select form-select-sm group-by-level" data-level="${level}"><option value="">(none)</option>${optionsHtml}</select>
+            </label>`;
+    }
+
+    $control.find('.group-by-menu').html(`
+        ${$.fn.dataTable.RowGroup ? selectsHtml : ''}
+        ${instance.groupBy.length ? `
+            <div class="d-flex gap-2 px-3 py-1">
+                <button type="button" class="btn btn-sm btn-outline-secondary group-expand-all">Expand all</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary group-collapse-all">Collapse all</button>
+            </div>` : ''}
+        ${instance.originalConfig.pivot !== false ? `
+            <hr class="dropdown-divider">
+            <button type="button" class="dropdown-item pivot-toggle"><i class="bi bi-grid-3x3 me-2"></i>${instance.isPivotView ? 'Close pivot' : 'Pivot table...'}</button>` : ''}`);
+    $control.find('.dropdown-toggle .group-by-count').text(instance.groupBy.length ? ` (${instance.groupBy.length})` : '');
+}
+
+/**
+ * Adds the Group by dropdown to a table's toolbar and binds group collapsing in the table.
+ * Skipped when both `config.groupBy` and `config.pivot` are false.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function initializeGroupBy(tableId) {
+    const instance = dataTableManager[tableId];
+    const config = instance.originalConfig;
+    if (config.groupBy === false && config.pivot === false) return;
+
+    // After RowGroup has drawn the group headers; a search with no rows left never reaches the group collapse hook
+    instance.table.off('.groupCollapse')
+        .on('draw.groupCollapse', () => removeCollapsedGroupAnchors(tableId))
+        .on('search.groupCollapse', (e, settings) => { if (settings.aiDisplay.length === 0) instance.collapsedRows.clear(); });
+
+    $(`#${tableId}`).off('.groupBy').on('click.groupBy', '.group-toggle', function () {
+        const key = String($(this).data('group-key'));
+        if (instance.collapsedGroups.has(key)) {
+            instance.collapsedGroups.delete(key);
+        } else {
+            instance.collapsedGroups.add(key);
+        }
+        instance.table.draw(false);
+    });
+
+    const $toolbar = getTableToolbar(tableId);
+    if ($toolbar.find('.table-group-by').length === 0) {
+        const $control = $(`
+            <div class="dropdown table-group-by">
+                <button type="button" class="btn btn-sm btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" data-bs-auto-close="outside" aria-expanded="false">
+                    <i class="bi bi-collection me-1"></i>Group<span class="group-by-count"></span>
+                </button>
+                <div class="dropdown-menu dropdown-menu-end group-by-menu" style="min-width: 15rem;"></div>
+            </div>`);
+        $control
+            .on('change', '.group-by-level', function () {
+                const level = $(this).data('level');
+                const keys = instance.groupBy.slice(0, level);
+                if ($(this).val()) keys.push($(this).val());
+                setTableGroupBy(tableId, keys);
+            })
+            .on('click', '.group-expand-all', () => setAllGroupsCollapsed(tableId, false))
+            .on('click', '.group-collapse-all', () => setAllGroupsCollapsed(tableId, true))
+            .on('click', '.pivot-toggle', () => togglePivotView(tableId));
+        $toolbar.find('.table-export').before($control);
+        if (!$control.parent().length) $toolbar.append($control);
+    }
+    renderGroupByControl(tableId);
+}
+
+/** Date buckets offered for grouping, pivots and charts; fiscal buckets follow the fiscal year setting (see getFiscalPeriod). */
+const DATE_BUCKET_LABELS = {
+    day: 'By day',
+    week: 'By week',
+    month: 'By month',
+    quarter: 'By quarter',
+    fiscalQuarter: 'By fiscal quarter',
+    year: 'By year',
+    fiscalYear: 'By fiscal year'
+};
+
+/**
+ * Returns the bucket label of a date for grouping by period.
+ * @param {*} value - Date value (anything `new Date()` accepts).
+ * @param {string} bucket - A DATE_BUCKET_LABELS key, e.g. 'month' or 'fiscalQuarter'.
+ * @returns {string} Sortable label, e.g. '2024-06', '2024-Q2', '2024-W23', 'FY2025-Q1' ('' for missing or invalid dates).
+ */
+function getDateBucket(value, bucket) {
+    if (value === null || value === undefined || value === '') return '';
+    const date = new Date(value);
+    if (isNaN(date)) return '';
+    if (bucket === 'fiscalQuarter' || bucket === 'fiscalYear') {
+        const fiscal = getFiscalPeriod(date);
+        return bucket === 'fiscalYear' ? `FY${fiscal.year}` : `FY${fiscal.year}-Q${fiscal.quarter}`;
+    }
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    switch (bucket) {
+        case 'day': return `${year}-${month}-${String(date.getDate()).padStart(2, '0')}`;
+        case 'week': {
+            // ISO 8601 week: the week containing the year's first Thursday is week 1
+            const thursday = new Date(Date.UTC(year, date.getMonth(), date.getDate()));
+            thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+            const weekYear = thursday.getUTCFullYear();
+            const week = Math.ceil(((thursday - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+            return `${weekYear}-W${String(week).padStart(2, '0')}`;
+        }
+        case 'quarter': return `${year}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+        case 'year': return String(year);
+        default: return `${year}-${month}`;
+    }
+}
+
+/**
+ * Returns the pivot settings of a table, from the user's choices or `config.pivot` defaults.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} `{ rows, columns, columnBucket, measure, aggregate }`.
+ */
+function getPivotSettings(tableId) {
+    const instance = dataTableManager[tableId];
+    const defaults = typeof instance.originalConfig.pivot === 'object' ? instance.originalConfig.pivot : {};
+    const columns = getGroupableColumns(instance);
+    const numeric = columns.find(col => getColumnAggregates(col).length > 0);
+    instance.pivotSettings = instance.pivotSettings || {
+        rows: defaults.rows || (columns[1] || columns[0] || {}).data,
+        columns: defaults.columns || '',
+        columnBucket: defaults.columnBucket || '',
+        measure: defaults.measure || (numeric ? numeric.data : ''),
+        aggregate: defaults.aggregate || (numeric || defaults.measure ? 'sum' : 'count')
+    };
+    return instance.pivotSettings;
+}
+
+/**
+ * Crosses the table's filtered rows by two dimensions: pivot rows × pivot columns → aggregate(measure).
+ * Dimensions may be bucketed dates (see getDateBucket). Server-side tables pivot the loaded page only.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} `{ rowKeys, columnKeys, cells: { [row]: { [column]: value } }, rowTotals, columnTotals, total }`.
+ */
+function computePivot(tableId) {
+    const instance = dataTableManager[tableId];
+    const settings = getPivotSettings(tableId);
+    const rows = getMatchingRows(tableId);
+    const dimension = (rowData, key, bucket) => {
+        if (!key) return 'Total';
+        const value = getRowValue(rowData, key);
+        return bucket ? getDateBucket(value, bucket) : String(value ?? '');
+    };
+
+    const values = {}; // row -> column -> measure values
+    const rowValues = {};
+    const columnValues = {};
+    const all = [];
+    rows.forEach(rowData => {
+        const rowKey = dimension(rowData, settings.rows, '');
+        const columnKey = dimension(rowData, settings.columns, settings.columnBucket);
+        const measure = settings.measure ? getRowValue(rowData, settings.measure) : 1;
+        values[rowKey] = values[rowKey] || {};
+        (values[rowKey][columnKey] = values[rowKey][columnKey] || []).push(measure);
+        (rowValues[rowKey] = rowValues[rowKey] || []).push(measure);
+        (columnValues[columnKey] = columnValues[columnKey] || []).push(measure);
+        all.push(measure);
+    });
+
+    const sortKeys = keys => keys.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const rowKeys = sortKeys(Object.keys(values));
+    const columnKeys = sortKeys(Object.keys(columnValues));
+    const cells = {};
+    rowKeys.forEach(rowKey => {
+        cells[rowKey] = {};
+        Object.keys(values[rowKey]).forEach(columnKey => {
+            cells[rowKey][columnKey] = computeAggregate(values[rowKey][columnKey], settings.aggregate);
+        });
+    });
+    const totals = source => Object.fromEntries(Object.keys(source).map(key => [key, computeAggregate(source[key], settings.aggregate)]));
+
+    return {
+        rowKeys: rowKeys,
+        columnKeys: columnKeys,
+        cells: cells,
+        rowTotals: totals(rowValues),
+        columnTotals: totals(columnValues),
+        total: computeAggregate(all, settings.aggregate)
+    };
+}
+
+/**
+ * Renders the pivot view of a table: the dimension/measure pickers and the pivot table with totals.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function renderPivot(tableId) {
+    const instance = dataTableManager[tableId];
+    let $container = $(`#${tableId}-pivot-container`);
+    if ($container.length === 0) {
+        $container = $(`<div id="${tableId}-pivot-container" class="table-pivot mt-2"></div>`);
+        $(`#${tableId}`).closest('.dataTables_wrapper').after($container);
+    }
+
+    const settings = getPivotSettings(tableId);
+    const columns = getGroupableColumns(instance);
+    const measureColumn = columns.find(col => col.data === settings.measure) || {};
+    const options = (selected, list, blank) => (blank ? `<option value="">${blank}</option>` : '') + list
+        .map(item => `<option value="${escapeHtml(item.value)}"${item.value === selected ? ' selected' : ''}>${escapeHtml(item.label)}</option>`).join('');
+    const columnItems = columns.map(col => ({ value: col.data, label: col.title }));
+    const bucketItems = Object.keys(DATE_BUCKET_LABELS).map(bucket => ({ value: bucket, label: DATE_BUCKET_LABELS[bucket] }));
+    const aggregateItems = Object.keys(AGGREGATE_LABELS).map(fn => ({ value: fn, label: AGGREGATE_LABELS[fn] }));
+
+    const pivot = computePivot(tableId);
+    const format = value => (value === undefined ? '' : formatAggregateValue(measureColumn, value, settings.aggregate));
+    const headerHtml = pivot.columnKeys.map(key => `<th class="px-3 py-2 text-right">${escapeHtml(key || '(blank)')}</th>`).join('');
+    const bodyHtml = pivot.rowKeys.map(rowKey => `
+        <tr>
+            <th scope="row" class="px-3 py-2 text-left">${escapeHtml(rowKey || '(blank)')}</th>
+            ${pivot.columnKeys.map(columnKey => `<td class="px-3 py-2 text-right">${format(pivot.cells[rowKey][columnKey])}</td>`).join('')}
+            <td class="px-3 py-2 text-right font-semibold">${format(pivot.rowTotals[rowKey])}</td>
+        </tr>`).join('');
+
+    $container.html(`
+        <div class="pivot-controls flex flex-wrap items-end gap-3 mb-3">
+            <label><span class="d-block text-xs text-gray-500">Rows</span><select class="form-select form-select-sm" data-pivot-setting="rows">${options(settings.rows, columnItems)}</select></label>
+            <label><span class="d-block text-xs text-gray-500">Columns</span><select class="form-select form-select-sm" data-pivot-setting="columns">${options(settings.columns, columnItems, '(none)')}</select></label>
+            <label><span class="d-block text-xs text-gray-500">Column dates</span><select class="form-select form-select-sm" data-pivot-setting="columnBucket">${options(settings.columnBucket, bucketItems, 'As is')}</select></label>
+            <label><span class="d-block text-xs text-gray-500">Measure</span><select class="form-select form-select-sm" data-pivot-setting="measure">${options(settings.measure, columnItems, '(rows)')}</select></label>
+            <label><span class="d-block text-xs text-gray-500">Aggregate</span><select class="form-select form-select-sm" data-pivot-setting="aggregate">${options(settings.aggregate, aggregateItems)}</select></label>
+            <button type="button" class="btn btn-sm btn-outline-secondary pivot-close ms-auto">Back to table</button>
+        </div>
+        <div class="overflow-x-auto">
+            <table class="pivot-table w-full text-sm border-collapse">
+                <thead><tr><th class="px-3 py-2 text-left">${escapeHtml((columns.find(col => col.data === settings.rows) || {}).title || '')}</th>${headerHtml}<th class="px-3 py-2 text-right">Total</th></tr></thead>
+                <tbody>${bodyHtml || `<tr><td colspan="${pivot.columnKeys.length + 2}" class="text-center text-gray-500 py-4">No rows to pivot.</td></tr>`}</tbody>
+                <tfoot><tr class="font-semibold"><th scope="row" class="px-3 py-2 text-left">Total</th>${pivot.columnKeys.map(key => `<td class="px-3 py-2 text-right">${format(pivot.columnTotals[key])}</td>`).join('')}<td class="px-3 py-2 text-right">${format(pivot.total)}</td></tr></tfoot>
+            </table>
+        </div>`).show();
+
+    $container.off('.pivot')
+        .on('change.pivot', '[data-pivot-setting]', function () {
+            settings[$(this).data('pivot-setting')] = $(this).val();
+            renderPivot(tableId);
+        })
+        .on('click.pivot', '.pivot-close', () => togglePivotView(tableId));
+}
+
+/**
+ * Switches a table into or out of pivot view. The pivot follows the table's filters and search,
+ * and is re-rendered on every draw while open.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function togglePivotView(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table) return;
+    if (instance.isChartView) toggleChartView(tableId);
+
+    instance.isPivotView = !instance.isPivotView;
+    if (instance.isPivotView) {
+        $(`#${tableId}`).closest('.dataTables_wrapper').hide();
+        getCardsContainer(tableId).hide();
+        renderPivot(tableId);
+    } else {
+        $(`#${tableId}-pivot-container`).off('.pivot').empty().hide();
+        if (instance.isCardView) {
+            renderCards(tableId);
+        } else {
+            $(`#${tableId}`).closest('.dataTables_wrapper').show();
+        }
+    }
+    renderGroupByControl(tableId);
+    syncTableStateToUrl(tableId);
+    announceTableView(tableId);
+    console.log(`Toggled ${tableId} pivot view ${instance.isPivotView ? 'on' : 'off'}.`);
+}
+
+/***Chart Builder */
+
+/** Chart types offered by the chart builder, mapped to Chart.js types. */
+const CHART_BUILDER_TYPES = {
+    bar: { label: 'Bar', type: 'bar' },
+    line: { label: 'Line', type: 'line' },
+    pie: { label: 'Pie', type: 'pie' },
+    doughnut: { label: 'Doughnut', type: 'doughnut' },
+    stacked: { label: 'Stacked bar', type: 'bar', stacked: true },
+    scatter: { label: 'Scatter', type: 'scatter' }
+};
+
+/** Aggregations offered for chart builder measures. */
+const CHART_BUILDER_AGGREGATES = ['sum', 'avg', 'count'];
+
+/**
+ * Returns whether a table offers a chart view: it has a `chartConfig`, or the chart builder is not disabled.
+ * @param {object} config - The table's LoadDataTable configuration.
+ * @returns {boolean} True when the chart view is available.
+ */
+function hasChartView(config) {
+    return !!config.chartConfig || config.chartBuilder !== false;
+}
+
+/**
+ * Returns the columns the chart builder offers as measures: aggregate columns first, then other columns
+ * holding numbers (except the row ID).
+ * @param {object} instance - The dataTableManager entry for the table.
+ * @returns {Array<object>} Column definitions.
+ */
+function getChartMeasureColumns(instance) {
+    const sample = instance.table ? instance.table.rows().data().toArray().slice(0, 20) : [];
+    const columns = getGroupableColumns(instance);
+    const aggregated = columns.filter(col => getColumnAggregates(col).length > 0);
+    return aggregated.concat(columns.filter(col => !aggregated.includes(col) && col.data !== getRowIdKey(instance.originalConfig) &&
+        sample.some(rowData => typeof getRowValue(rowData, col.data) === 'number')));
+}
+
+/**
+ * Returns the chart builder settings of a table: the user's choices, or defaults charting the first
+ * measure column by the first other column that is not the row ID.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} `{ type, x, bucket, measures: [{ column, aggregate }], series }`.
+ */
+function getChartBuilderSettings(tableId) {
+    const instance = dataTableManager[tableId];
+    if (instance.chartBuilder) return instance.chartBuilder;
+    const columns = getGroupableColumns(instance);
+    const measure = getChartMeasureColumns(instance)[0];
+    const dimension = columns.find(col => col !== measure && col.data !== getRowIdKey(instance.originalConfig)) || columns[0] || {};
+    return {
+        type: 'bar',
+        x: dimension.data || '',
+        bucket: '',
+        measures: [measure ? { column: measure.data, aggregate: 'sum' } : { column: '', aggregate: 'count' }],
+        series: ''
+    };
+}
+
+/**
+ * Returns what a table's chart is drawn with: the page's `chartConfig`, or the chart builder settings
+ * once the user customized the chart (or when the page has no `chartConfig`).
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {object} `{ type, processData: (rows, columns) => chartData, options, drillDown, valueFormat }`.
+ */
+function getEffectiveChartConfig(tableId) {
+    const instance = dataTableManager[tableId];
+    const chartConfig = instance.originalConfig.chartConfig;
+    if (chartConfig && !instance.chartBuilder) {
+        return { type: chartConfig.type, processData: chartConfig.processData, options: chartConfig.options || {}, drillDown: chartConfig.drillDown, valueFormat: chartConfig.valueFormat };
+    }
+    const settings = getChartBuilderSettings(tableId);
+    return {
+        drillDown: 'builder',
+        type: (CHART_BUILDER_TYPES[settings.type] || CHART_BUILDER_TYPES.bar).type,
+        processData: rows => buildChartBuilderData(tableId, rows, settings),
+        options: buildChartBuilderOptions(tableId, settings)
+    };
+}
+
+/**
+ * Builds Chart.js data from rows with chart builder settings. Rows are grouped by the X dimension
+ * (bucketed when it is a date, see getDateBucket) and each measure becomes a dataset, per series value
+ * when a series split is set. Scatter charts plot one point per row: X against the first measure's column.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {Array<object>} rows - Row data.
+ * @param {object} settings - Chart builder settings (see getChartBuilderSettings).
+ * @returns {object} Chart.js `{ labels, datasets }`.
+ */
+function buildChartBuilderData(tableId, rows, settings) {
+    const columns = getGroupableColumns(dataTableManager[tableId]);
+    const title = key => (columns.find(col => col.data === key) || {}).title || key;
+    const measures = settings.measures.length ? settings.measures : [{ column: '', aggregate: 'count' }];
+    const seriesOf = rowData => (settings.series ? String(getRowValue(rowData, settings.series) ?? '') : '');
+    const sortKeys = keys => keys.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    if (settings.type === 'scatter') {
+        const measure = measures[0];
+        const points = {}; // series -> points
+        rows.forEach(rowData => {
+            const x = toChartNumber(getRowValue(rowData, settings.x));
+            const y = parseFloat(getRowValue(rowData, measure.column));
+            if (x === null || isNaN(y)) return;
+            (points[seriesOf(rowData)] = points[seriesOf(rowData)] || []).push({ x: x, y: y, rowId: getRowId(dataTableManager[tableId].originalConfig, rowData) });
+        });
+        return {
+            datasets: sortKeys(Object.keys(points)).map(series => ({
+                label: series || title(measure.column),
+                data: points[series]
+            }))
+        };
+    }
+
+    const values = {}; // label -> series -> rows
+    const seriesKeys = new Set();
+    rows.forEach(rowData => {
+        const raw = getRowValue(rowData, settings.x);
+        const label = settings.bucket ? getDateBucket(raw, settings.bucket) : String(raw ?? '');
+        const series = seriesOf(rowData);
+        seriesKeys.add(series);
+        values[label] = values[label] || {};
+        (values[label][series] = values[label][series] || []).push(rowData);
+    });
+
+    const labels = sortKeys(Object.keys(values));
+    const datasets = [];
+    sortKeys([...seriesKeys]).forEach(series => {
+        measures.forEach(measure => {
+            const aggregate = measure.column ? measure.aggregate : 'count';
+            const measureLabel = measure.column ? `${AGGREGATE_LABELS[aggregate]} of ${title(measure.column)}` : 'Count';
+            datasets.push({
+                label: series ? `${series} – ${measureLabel}` : measureLabel,
+                series: settings.series ? series : undefined, // For drill-down
+                data: labels.map(label => computeAggregate(
+                    (values[label][series] || []).map(rowData => (measure.column ? getRowValue(rowData, measure.column) : 1)), aggregate)),
+                fill: false
+            });
+        });
+    });
+    return { labels: labels.map(label => label || '(blank)'), datasets: datasets };
+}
+
+/**
+ * Converts an X value to a number for scatter charts; dates become timestamps.
+ * @param {*} value - Cell value.
+ * @returns {number|null} Number, or null when the value is neither a number nor a date.
+ */
+function toChartNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    if (!isNaN(number)) return number;
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+}
+
+/**
+ * Builds Chart.js options for chart builder settings: title, axis titles from column titles,
+ * stacking, and tooltips formatted like the measure's column.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} settings - Chart builder settings (see getChartBuilderSettings).
+ * @returns {object} Chart.js options.
+ */
+function buildChartBuilderOptions(tableId, settings) {
+    const columns = getGroupableColumns(dataTableManager[tableId]);
+    const columnOf = key => columns.find(col => col.data === key) || {};
+    const typeInfo = CHART_BUILDER_TYPES[settings.type] || CHART_BUILDER_TYPES.bar;
+    const measures = settings.measures.length ? settings.measures : [{ column: '', aggregate: 'count' }];
+    const measureTitle = measures.map(measure => (measure.column ? columnOf(measure.column).title : 'Rows')).join(', ');
+    const xTitle = `${columnOf(settings.x).title || ''}${settings.bucket ? ` (by ${settings.bucket})` : ''}`;
+    const formatValue = (value, datasetIndex) => {
+        // Datasets repeat the measures for each series value
+        const measure = measures[datasetIndex % measures.length];
+        const aggregate = measure.column ? measure.aggregate : 'count';
+        return $('<div>').html(formatAggregateValue(columnOf(measure.column), value, settings.type === 'scatter' ? 'sum' : aggregate)).text();
+    };
+
+    const options = {
+        plugins: {
+            legend: { position: 'top' },
+            title: { display: true, text: `${measureTitle} by ${xTitle}` },
+            tooltip: {
+                callbacks: {
+                    label: context => {
+                        const value = settings.type === 'scatter' ? context.parsed.y : context.parsed.y ?? context.parsed;
+                        const prefix = context.dataset.label ? `${context.dataset.label}: ` : '';
+                        return `${prefix}${formatValue(value, settings.type === 'scatter' ? 0 : context.datasetIndex)}`;
+                    }
+                }
+            }
+        }
+    };
+    if (typeInfo.type === 'pie' || typeInfo.type === 'doughnut') {
+        options.scales = {};
+        options.plugins.tooltip.callbacks.label = context => `${context.label}: ${formatValue(context.parsed, context.datasetIndex)}`;
+        return options;
+    }
+    const isDateScatter = settings.type === 'scatter' && /date/i.test(`${settings.x} ${columnOf(settings.x).title}`);
+    options.scales = {
+        x: {
+            stacked: !!typeInfo.stacked,
+            title: { display: true, text: xTitle },
+            ticks: isDateScatter ? { callback: value => formatDate(value) } : {}
+        },
+        y: {
+            stacked: !!typeInfo.stacked,
+            beginAtZero: true,
+            title: { display: true, text: measureTitle }
+        }
+    };
+    return options;
+}
+
+/**
+ * Renders the chart builder panel of a table's chart view: a "Customize chart" toggle and, when expanded,
+ * the chart type, X dimension, date bucket, measures and series pickers. Every change redraws the chart
+ * and is kept with the table's saved views. Resetting returns to the page's own chart.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function renderChartBuilder(tableId) {
+    const instance = dataTableManager[tableId];
+    const $builder = $(`#${tableId}-chart-container .chart-builder`);
+    if ($builder.length === 0) return;
+
+    const settings = getChartBuilderSettings(tableId);
+    const columns = getGroupableColumns(instance);
+    const options = (selected, list, blank) => (blank ? `<option value="">${blank}</option>` : '') + list
+        .map(item => `<option value="${escapeHtml(item.value)}"${item.value === selected ? ' selected' : ''}>${escapeHtml(item.label)}</option>`).join('');
+    const columnItems = columns.map(col => ({ value: col.data, label: col.title }));
+    const measureItems = getChartMeasureColumns(instance).map(col => ({ value: col.data, label: col.title }));
+    const typeItems = Object.keys(CHART_BUILDER_TYPES).map(type => ({ value: type, label: CHART_BUILDER_TYPES[type].label }));
+    const bucketItems = ['day', 'week', 'month', 'quarter', 'fiscalQuarter'].map(bucket => ({ value: bucket, label: DATE_BUCKET_LABELS[bucket] }));
+    const aggregateItems = CHART_BUILDER_AGGREGATES.map(fn => ({ value: fn, label: AGGREGATE_LABELS[fn] }));
+    const isPie = settings.type === 'pie' || settings.type === 'doughnut';
+
+    const measuresHtml = settings.measures.map((measure, index) => `
+        <div class="chart-builder-measure flex items-center gap-1" data-measure-index="${index}">
+            <select class="form-select form-select-sm" data-measure-setting="column" aria-label="Measure ${index + 1}">${options(measure.column, measureItems, '(rows)')}</select>
+            <select class="form-select form-select-sm" data-measure-setting="aggregate" aria-label="Aggregation ${index + 1}"${measure.column ? '' : ' disabled'}>${options(measure.column ? measure.aggregate : 'count', aggregateItems)}</select>
+            ${settings.measures.length > 1 ? `<button type="button" class="btn btn-sm btn-outline-secondary chart-builder-remove-measure" aria-label="Remove measure ${index + 1}">&times;</button>` : ''}
+        </div>`).join('');
+
+    $builder.html(`
+        <div class="flex items-center justify-end gap-2 mb-2">
+            ${instance.chartBuilder && instance.originalConfig.chartConfig ? '<button type="button" class="btn btn-sm btn-link chart-builder-reset">Reset to default chart</button>' : ''}
+            <button type="button" class="btn btn-sm btn-outline-secondary chart-builder-toggle" aria-expanded="${instance.chartBuilderOpen}" aria-controls="${tableId}-chart-builder-controls">Customize chart</button>
+        </div>
+        <div id="${tableId}-chart-builder-controls" class="chart-builder-controls flex flex-wrap items-end gap-3 mb-3"${instance.chartBuilderOpen ? '' : ' style="display:none;"'}>
+            <label><span class="d-block text-xs text-gray-500">Chart type</span><select class="form-select form-select-sm" data-chart-setting="type">${options(settings.type, typeItems)}</select></label>
+            <label><span class="d-block text-xs text-gray-500">${settings.type === 'scatter' ? 'X values' : 'X axis'}</span><select class="form-select form-select-sm" data-chart-setting="x">${options(settings.x, columnItems)}</select></label>
+            ${settings.type === 'scatter' ? '' : `<label><span class="d-block text-xs text-gray-500">X dates</span><select class="form-select form-select-sm" data-chart-setting="bucket">${options(settings.bucket, bucketItems, 'As is')}</select></label>`}
+            <div><span class="d-block text-xs text-gray-500">${settings.type === 'scatter' ? 'Y values' : 'Measures'}</span>
+                <div class="flex flex-wrap items-center gap-2">
+                    ${measuresHtml}
+                    ${isPie || settings.type === 'scatter' ? '' : '<button type="button" class="btn btn-sm btn-outline-primary chart-builder-add-measure">+ Measure</button>'}
+                </div>
+            </div>
+            <label><span class="d-block text-xs text-gray-500">Series</span><select class="form-select form-select-sm" data-chart-setting="series">${options(settings.series, columnItems.filter(item => item.value !== settings.x), '(none)')}</select></label>
+        </div>`);
+
+    // Any change starts from a copy of the settings shown, so the page's chart is never modified
+    const update = change => {
+        const next = JSON.parse(JSON.stringify(getChartBuilderSettings(tableId)));
+        change(next);
+        if (next.type === 'pie' || next.type === 'doughnut' || next.type === 'scatter') next.measures = next.measures.slice(0, 1);
+        instance.chartBuilder = next;
+        renderChart(tableId);
+    };
+
+    $builder.off('.chartBuilder')
+        .on('click.chartBuilder', '.chart-builder-toggle', function () {
+            instance.chartBuilderOpen = !instance.chartBuilderOpen;
+            $(this).attr('aria-expanded', instance.chartBuilderOpen);
+            $builder.find('.chart-builder-controls').toggle(instance.chartBuilderOpen);
+        })
+        .on('change.chartBuilder', '[data-chart-setting]', function () {
+            const setting = $(this).data('chart-setting');
+            const value = $(this).val();
+            update(next => { next[setting] = value; });
+        })
+        .on('change.chartBuilder', '[data-measure-setting]', function () {
+            const index = $(this).closest('[data-measure-index]').data('measure-index');
+            const setting = $(this).data('measure-setting');
+            const value = $(this).val();
+            update(next => { next.measures[index][setting] = value; });
+        })
+        .on('click.chartBuilder', '.chart-builder-add-measure', () => {
+            update(next => { next.measures.push({ column: (measureItems[0] || {}).value || '', aggregate: measureItems.length ? 'sum' : 'count' }); });
+        })
+        .on('click.chartBuilder', '.chart-builder-remove-measure', function () {
+            const index = $(this).closest('[data-measure-index]').data('measure-index');
+            update(next => { next.measures.splice(index, 1); });
+        })
+        .on('click.chartBuilder', '.chart-builder-reset', () => {
+            instance.chartBuilder = null;
+            renderChart(tableId);
+        });
+}
+
+/***Chart Drill-down */
+
+/**
+ * Returns the first and last day (`YYYY-MM-DD`) of a date bucket label produced by getDateBucket.
+ * @param {string} label - Bucket label, e.g. '2024-06', '2024-Q2', '2024-W23', 'FY2025-Q1'.
+ * @param {string} bucket - A DATE_BUCKET_LABELS key.
+ * @returns {object} `{ from, to }`.
+ */
+function getDateBucketRange(label, bucket) {
+    const iso = time => new Date(time).toISOString().slice(0, 10);
+    if (bucket === 'fiscalQuarter' || bucket === 'fiscalYear') {
+        // Fiscal year N ends in calendar year N, so it starts in N - 1 unless it follows the calendar year
+        const startMonth = (parseInt(getFormatSettings().fiscalYearStartMonth, 10) || 1) - 1;
+        const fiscalYear = parseInt(label.slice(2, 6), 10);
+        const startYear = startMonth === 0 ? fiscalYear : fiscalYear - 1;
+        const quarter = bucket === 'fiscalQuarter' ? parseInt(label.slice(label.indexOf('Q') + 1), 10) : 0;
+        const firstMonth = startMonth + (quarter ? (quarter - 1) * 3 : 0);
+        return { from: iso(Date.UTC(startYear, firstMonth, 1)), to: iso(Date.UTC(startYear, firstMonth + (quarter ? 3 : 12), 0)) };
+    }
+    const year = parseInt(label.slice(0, 4), 10);
+    const part = parseInt(label.slice(label.search(/[WQ]/) + 1 || 5), 10);
+    switch (bucket) {
+        case 'day': return { from: label, to: label };
+        case 'week': {
+            // ISO week 1 starts on the Monday on or before January 4th
+            const january4 = Date.UTC(year, 0, 4);
+            const monday = january4 - ((new Date(january4).getUTCDay() + 6) % 7) * 86400000 + (part - 1) * 7 * 86400000;
+            return { from: iso(monday), to: iso(monday + 6 * 86400000) };
+        }
+        case 'quarter': return { from: iso(Date.UTC(year, (part - 1) * 3, 1)), to: iso(Date.UTC(year, part * 3, 0)) };
+        case 'year': return { from: `${year}-01-01`, to: `${year}-12-31` };
+        default: return { from: iso(Date.UTC(year, part - 1, 1)), to: iso(Date.UTC(year, part, 0)) };
+    }
+}
+
+/**
+ * Builds a drill-down filter on one column: equality, or the date range of a bucket label.
+ * Drill-down filters use the same types as `config.filters`, so they apply client-side and are sent to server-side APIs alike.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {string} column - Column data key.
+ * @param {*} value - Value (or bucket label) of the chart point.
+ * @param {string} [bucket] - Date bucket of the value (see getDateBucket).
+ * @returns {object} Filter as returned by getTableFilterValues, marked `drill: true`.
+ */
+function buildDrillDownFilter(tableId, column, value, bucket) {
+    const col = dataTableManager[tableId].originalConfig.columns.find(c => c.data === column) || {};
+    const text = String(value ?? '');
+    if (bucket) {
+        const range = getDateBucketRange(text, bucket);
+        return { column: column, type: 'dateRange', label: col.title || column, from: range.from, to: range.to, text: text, drill: true };
+    }
+    return { column: column, type: 'equals', label: col.title || column, value: text, text: text, drill: true };
+}
+
+/**
+ * Returns the drill-down filters behind a clicked chart element. Chart builder charts drill by their X dimension
+ * (and series); page charts need a `drillDown: { column, bucket, value }` in their config, where `value(point)` maps
+ * `{ label, dataset, raw, index }` to the column value (default: the point's label).
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object} chart - Chart.js instance.
+ * @param {object} element - Clicked element (`{ datasetIndex, index }`).
+ * @param {object|string} drillDown - The chart's drillDown config, or 'builder' for chart builder charts.
+ * @returns {Array<object>} Filters (empty when the chart has no drill-down).
+ */
+function getChartDrillDownFilters(tableId, chart, element, drillDown) {
+    const dataset = chart.data.datasets[element.datasetIndex] || {};
+    const point = { label: (chart.data.labels || [])[element.index], dataset: dataset, raw: (dataset.data || [])[element.index], index: element.index };
+
+    if (drillDown === 'builder') {
+        const settings = getChartBuilderSettings(tableId);
+        if (settings.type === 'scatter') {
+            const rowIdKey = getRowIdKey(dataTableManager[tableId].originalConfig);
+            return point.raw && point.raw.rowId !== undefined ? [buildDrillDownFilter(tableId, rowIdKey, point.raw.rowId)] : [];
+        }
+        const filters = [buildDrillDownFilter(tableId, settings.x, point.label === '(blank)' ? '' : point.label, settings.bucket)];
+        if (settings.series && dataset.series !== undefined) filters.push(buildDrillDownFilter(tableId, settings.series, dataset.series));
+        return filters;
+    }
+    if (!drillDown || !drillDown.column) return [];
+    const value = typeof drillDown.value === 'function' ? drillDown.value(point) : point.label;
+    return value === undefined || value === null ? [] : [buildDrillDownFilter(tableId, drillDown.column, value, drillDown.bucket)];
+}
+
+/**
+ * Returns the Chart.js `onClick`/`onHover` options that make a chart drill down into its table.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {object|string} drillDown - Drill-down config (see getChartDrillDownFilters).
+ * @param {boolean} fromTableChart - True for the table's own chart view (stepping back up reopens it).
+ * @returns {object} Chart.js options.
+ */
+function getChartDrillDownOptions(tableId, drillDown, fromTableChart) {
+    return {
+        onClick: (event, elements, chart) => {
+            if (elements.length === 0) return;
+            const filters = getChartDrillDownFilters(tableId, chart, elements[0], drillDown);
+            if (filters.length) drillDownTable(tableId, filters, fromTableChart);
+        },
+        onHover: (event, elements) => {
+            if (event.native && event.native.target) event.native.target.style.cursor = elements.length ? 'pointer' : 'default';
+        }
+    };
+}
+
+/**
+ * Returns the filters of every drill-down level of a table.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @returns {Array<object>} Filters as returned by getTableFilterValues.
+ */
+function getDrillDownFilters(tableId) {
+    const instance = dataTableManager[tableId];
+    return instance && instance.drillPath ? instance.drillPath.flatMap(level => level.filters) : [];
+}
+
+/**
+ * Adds a drill-down level to a table and shows the matching rows in table (or card) mode.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {Array<object>} filters - Filters of the clicked chart point (see buildDrillDownFilter).
+ * @param {boolean} [fromTableChart=false] - True when drilling from the table's chart view.
+ */
+function drillDownTable(tableId, filters, fromTableChart) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table) return;
+
+    instance.drillPath.push({
+        label: filters.map(filter => `${filter.label}: ${filter.text || '(blank)'}`).join(', '),
+        filters: filters,
+        fromTableChart: !!fromTableChart
+    });
+    if (instance.isChartView || instance.isPivotView) {
+        const showCards = instance.isChartView ? instance.cardViewBeforeChart : instance.isCardView;
+        setTableViewMode(tableId, showCards ? 'card' : 'table');
+    }
+    instance.table.draw();
+    if (!fromTableChart) {
+        const wrapper = $(`#${tableId}-drill-breadcrumbs`)[0];
+        if (wrapper && wrapper.scrollIntoView) wrapper.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    console.log(`drillDownTable: ${tableId} drilled into ${instance.drillPath[instance.drillPath.length - 1].label}.`);
+}
+
+/**
+ * Steps a table back up to a drill-down level: 0 shows all rows again. When the removed level was drilled
+ * from the table's chart view, the chart is reopened at that level.
+ * @param {string} tableId - The ID of the HTML table element.
+ * @param {number} level - Number of drill-down levels to keep.
+ */
+function stepUpDrillDown(tableId, level) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table || level >= instance.drillPath.length) return;
+
+    const removed = instance.drillPath[level];
+    instance.drillPath = instance.drillPath.slice(0, level);
+    if (removed.fromTableChart && !instance.isChartView) {
+        toggleChartView(tableId);
+    }
+    instance.table.draw();
+}
+
+/**
+ * Renders the drill-down breadcrumbs of a table ("All rows › Department: 3 › ..."), hidden when not drilled down.
+ * Called on every draw.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function updateDrillBreadcrumbs(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || $(`#${tableId}`).length === 0) return;
+
+    let $breadcrumbs = $(`#${tableId}-drill-breadcrumbs`);
+    if (instance.drillPath.length === 0) {
+        $breadcrumbs.empty().hide();
+        return;
+    }
+    if ($breadcrumbs.length === 0) {
+        $breadcrumbs = $(`<nav id="${tableId}-drill-breadcrumbs" class="drill-breadcrumbs mb-3" aria-label="Drill-down"></nav>`);
+        const $badges = $(`#${tableId}-filter-badges`);
+        if ($badges.length) {
+            $badges.before($breadcrumbs);
+        } else {
+            $(`#${tableId}`).closest('.dataTables_wrapper').before($breadcrumbs);
+        }
+    }
+
+    const levels = [{ label: 'All rows' }].concat(instance.drillPath);
+    const itemsHtml = levels.map((level, index) => (index === levels.length - 1
+        ? `<li class="font-semibold text-gray-800" aria-current="page">${escapeHtml(level.label)}</li>`
+        : `<li><button type="button" class="drill-breadcrumb text-blue-600 hover:text-blue-800 underline" data-drill-level="${index}">${escapeHtml(level.label)}</button></li>
+           <li class="text-gray-400" aria-hidden="true">&rsaquo;</li>`)).join('');
+
+    $breadcrumbs.html(`<ol class="flex flex-wrap items-center gap-2 text-sm">${itemsHtml}</ol>`).show();
+    $breadcrumbs.off('.drillDown').on('click.drillDown', '.drill-breadcrumb', function () {
+        stepUpDrillDown(tableId, parseInt($(this).data('drill-level'), 10));
+    });
+}
+
+/**
+ * Draws a standalone Chart.js chart (e.g. a dashboard card) from a table's loaded rows, kept in sync on every
+ * table draw. Clicking a bar, slice or point drills the table down to the rows behind it (see drillDownTable).
+ * Call after LoadDataTable. Server-side tables only provide the current page.
+ * @param {string} canvasId - The ID of the canvas element.
+ * @param {string} tableId - The ID of the HTML table element the chart is drawn from.
+ * @param {object} chartConfig - `{ type, processData: (rows, columns) => chartData, options, drillDown, valueFormat }`
+ *   (see getChartDrillDownFilters). `valueFormat` (default 'number') formats the tooltips and the text summary.
+ * @returns {object|undefined} The Chart.js instance.
+ */
+function renderLinkedChart(canvasId, tableId, chartConfig) {
+    const instance = dataTableManager[tableId];
+    const canvas = document.getElementById(canvasId);
+    if (!instance || !canvas) {
+        console.warn(`renderLinkedChart: Table ${tableId} or canvas #${canvasId} not found.`);
+        return undefined;
+    }
+
+    const existing = instance.linkedCharts[canvasId];
+    if (existing) existing.chart.destroy();
+    const rows = instance.table ? instance.table.rows().data().toArray() : [];
+    const valueFormat = chartConfig.valueFormat || 'number';
+    const chart = new Chart(canvas.getContext('2d'), {
+        type: chartConfig.type,
+        data: chartConfig.processData(rows, instance.originalConfig.columns),
+        options: mergeChartOptions({
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                tooltip: { callbacks: { label: context => formatChartTooltipLabel(context, valueFormat) } },
+                chartSummary: { valueFormat: valueFormat }
+            },
+            ...(chartConfig.drillDown ? getChartDrillDownOptions(tableId, chartConfig.drillDown, false) : {})
+        }, chartConfig.options)
+    });
+    instance.linkedCharts[canvasId] = { chart: chart, config: chartConfig };
+    return chart;
+}
+
+/**
+ * Updates the standalone charts of a table (see renderLinkedChart) with its loaded rows. Called on every draw.
+ * @param {string} tableId - The ID of the HTML table element.
+ */
+function refreshLinkedCharts(tableId) {
+    const instance = dataTableManager[tableId];
+    if (!instance || !instance.table) return;
+    Object.keys(instance.linkedCharts).forEach(canvasId => {
+        const linked = instance.linkedCharts[canvasId];
+        if (!document.getElementById(canvasId)) {
+            linked.chart.destroy(); // Removed by AJAX navigation
+            delete instance.linkedCharts[canvasId];
+            return;
+        }
+        linked.chart.data = linked.config.processData(instance.table.rows().data().toArray(), instance.originalConfig.columns);
+        linked.chart.update();
+    });
+}
+
+/***Chart Toolbar */
+
+/** Actions of the toolbar added above every Chart.js chart (see chartToolbarPlugin). */
+const CHART_TOOLBAR_ACTIONS = {
+    png: { label: 'Download PNG', icon: 'bi-file-earmark-image' },
+    svg: { label: 'Download SVG', icon: 'bi-filetype-svg' },
+    copy: { label: 'Copy image to clipboard', icon: 'bi-clipboard' },
+    csv: { label: 'Download data (CSV)', icon: 'bi-filetype-csv' },
+    table: { label: 'View as table', icon: 'bi-table' }
+};
+
+/**
+ * Returns a chart's title: its Chart.js title, else the heading of the card it sits in, else its canvas ID.
+ * @param {object} chart - Chart.js instance.
+ * @returns {string} Title.
+ */
+function getChartTitle(chart) {
+    const title = chart.options.plugins && chart.options.plugins.title && chart.options.plugins.title.display !== false
+        ? chart.options.plugins.title.text : '';
+    if (title) return [].concat(title).join(' ');
+    const heading = $(chart.canvas).closest('.data-card').find('h1, h2, h3, h4').first().text().trim();
+    return heading || chart.canvas.id || 'chart';
+}
+
+/**
+ * Returns the base file name for a chart's downloads, e.g. 'invoice-status-distribution_2024-06-30'.
+ * @param {object} chart - Chart.js instance.
+ * @returns {string} File name without extension.
+ */
+function getChartFileBase(chart) {
+    const slug = getChartTitle(chart).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chart';
+    return `${slug}_${new Date().toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Draws a copy of a chart on an off-screen canvas for export: without animation, toolbar or summary,
+ * on an opaque background (the page's light or dark surface).
+ * @param {object} chart - Chart.js instance.
+ * @param {HTMLCanvasElement} canvas - Off-screen canvas sized like the chart.
+ * @param {number} scale - Pixel density of the copy.
+ * @param {object} [overrides] - Options merged (deeply) over the chart's own.
+ * @returns {object} The Chart.js copy; destroy it when done.
+ */
+function drawChartCopy(chart, canvas, scale, overrides = {}) {
+    const background = getChartTheme().background;
+    const options = $.extend(true, {}, chart.config.options, overrides);
+    return new Chart(canvas, {
+        type: chart.config.type,
+        data: $.extend(true, {}, chart.config.data),
+        options: {
+            ...options,
+            responsive: false,
+            animation: false,
+            devicePixelRatio: scale,
+            plugins: { ...options.plugins, chartToolbar: false, chartSummary: false }
+        },
+        plugins: [{
+            id: 'chartImageBackground',
+            beforeDraw: imageChart => {
+                imageChart.ctx.save();
+                imageChart.ctx.fillStyle = background;
+                imageChart.ctx.fillRect(0, 0, imageChart.width, imageChart.height);
+                imageChart.ctx.restore();
+            }
+        }]
+    });
+}
+
+/**
+ * Renders a chart again off-screen at a higher pixel density, so pasted images stay sharp and readable.
+ * @param {object} chart - Chart.js instance.
+ * @param {number} [scale=2] - Pixel density of the image.
+ * @returns {string} PNG data URL.
+ */
+function renderChartImage(chart, scale = 2) {
+    const $holder = $('<div aria-hidden="true" style="position:fixed;left:-10000px;top:0;"></div>').appendTo('body');
+    const canvas = $(`<canvas width="${chart.width}" height="${chart.height}"></canvas>`).appendTo($holder)[0];
+    const copy = drawChartCopy(chart, canvas, scale);
+    const url = copy.toBase64Image('image/png', 1);
+    copy.destroy();
+    $holder.remove();
+    return url;
+}
+
+/**
+ * Renders a chart as an SVG document: the chart is drawn again off-screen, the same way as renderChartImage,
+ * onto an SVG-emitting 2D context (see createSvgContext), so its bars, lines and text stay vectors.
+ * @param {object} chart - Chart.js instance.
+ * @returns {string} SVG markup.
+ */
+function renderChartSvg(chart) {
+    const $holder = $('<div aria-hidden="true" style="position:fixed;left:-10000px;top:0;"></div>').appendTo('body');
+    const canvas = $(`<canvas width="${chart.width}" height="${chart.height}"></canvas>`).appendTo($holder)[0];
+    const context = createSvgContext(canvas);
+    canvas.getContext = () => context; // Chart.js draws through whatever context its canvas hands out
+    // Lines with `segment` options are drawn through the context rather than a cached Path2D, which SVG cannot read
+    const copy = drawChartCopy(chart, canvas, 1, { datasets: { line: { segment: {} }, radar: { segment: {} } } });
+    const svg = context.toSvg(getChartTitle(chart)); // Before destroy(), which clears the canvas
+    copy.destroy();
+    $holder.remove();
+    return svg;
+}
+
+/** Canvas text baselines as SVG `dominant-baseline` values ('alphabetic' is the SVG default). */
+const SVG_TEXT_BASELINES = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', ideographic: 'ideographic', bottom: 'text-after-edge' };
+
+/**
+ * Creates a stand-in for a canvas 2D context that records what is drawn as SVG elements (see renderChartSvg).
+ * It covers the calls Chart.js makes: paths, arcs, rectangles, text, transforms, clipping, line dashes and
+ * save/restore. Gradients and patterns paint with their first color stop; images are skipped.
+ * @param {HTMLCanvasElement} canvas - The canvas the context stands in for; its size is the SVG size.
+ * @returns {object} The context; `toSvg(title)` returns the SVG markup of everything drawn since the last full clear.
+ */
+function createSvgContext(canvas) {
+    const TAU = Math.PI * 2;
+    const round = value => Math.round(value * 100) / 100;
+    const measurer = document.createElement('canvas').getContext('2d'); // Text metrics come from a real canvas
+    const savedProperties = ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'miterLimit', 'lineDashOffset',
+        'font', 'textAlign', 'textBaseline', 'globalAlpha', 'globalCompositeOperation', 'direction', 'imageSmoothingEnabled',
+        'shadowBlur', 'shadowColor', 'shadowOffsetX', 'shadowOffsetY'];
+    const stack = [];
+    const clipPaths = [];
+    let elements = [];
+    let state = { matrix: [1, 0, 0, 1, 0, 0], clipId: null, lineDash: [] };
+    let path = '';
+    let current = null; // Current point of the path (device coordinates), null before the first moveTo
+    let subpathStart = null;
+
+    const apply = (x, y) => {
+        const [a, b, c, d, e, f] = state.matrix;
+        return [a * x + c * y + e, b * x + d * y + f];
+    };
+    const scaleFactor = () => Math.sqrt(Math.abs(state.matrix[0] * state.matrix[3] - state.matrix[1] * state.matrix[2]));
+    const point = ([x, y]) => `${round(x)} ${round(y)}`;
+    const paint = style => escapeHtml(style && typeof style === 'object' ? style.color || 'none' : style || 'none');
+    const shared = () => `${context.globalAlpha < 1 ? ` opacity="${round(context.globalAlpha)}"` : ''}${state.clipId ? ` clip-path="url(#${state.clipId})"` : ''}`;
+    const strokeAttributes = () => {
+        const factor = scaleFactor();
+        const dash = state.lineDash.length
+            ? ` stroke-dasharray="${state.lineDash.map(value => round(value * factor)).join(' ')}" stroke-dashoffset="${round(context.lineDashOffset * factor)}"`
+            : '';
+        return `fill="none" stroke="${paint(context.strokeStyle)}" stroke-width="${round(context.lineWidth * factor)}" stroke-linecap="${context.lineCap}" stroke-linejoin="${context.lineJoin}"${dash}`;
+    };
+    const lineToPoint = target => {
+        if (current && point(current) === point(target)) return; // Arcs start where the path already is
+        path += `${current ? 'L' : 'M'}${point(target)}`;
+        if (!current) subpathStart = target;
+        current = target;
+    };
+    const gradient = () => ({ color: null, addColorStop(offset, color) { if (this.color === null) this.color = color; } });
+    // Draws a separate rectangle path without touching the current one (fillRect, strokeRect)
+    const withRectPath = (x, y, width, height, draw) => {
+        const saved = [path, current, subpathStart];
+        path = '';
+        current = null;
+        context.rect(x, y, width, height);
+        draw();
+        [path, current, subpathStart] = saved;
+    };
+    const drawText = (text, x, y, mode) => {
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[context.textAlign] || 'start';
+        const baseline = SVG_TEXT_BASELINES[context.textBaseline];
+        const paintAttributes = mode === 'fill' ? `fill="${paint(context.fillStyle)}"` : strokeAttributes();
+        elements.push(`<text x="${round(x)}" y="${round(y)}" transform="matrix(${state.matrix.map(round).join(' ')})" style="font: ${escapeHtml(context.font)}" text-anchor="${anchor}"${baseline ? ` dominant-baseline="${baseline}"` : ''} ${paintAttributes}${shared()}>${escapeHtml(String(text))}</text>`);
+    };
+
+    const context = {
+        canvas: canvas,
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        lineWidth: 1,
+        lineCap: 'butt',
+        lineJoin: 'miter',
+        miterLimit: 10,
+        lineDashOffset: 0,
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        globalAlpha: 1,
+        globalCompositeOperation: 'source-over',
+        direction: 'inherit',
+        imageSmoothingEnabled: true,
+        shadowBlur: 0,
+        shadowColor: 'rgba(0, 0, 0, 0)',
+        shadowOffsetX: 0,
+        shadowOffsetY: 0,
+
+        save() {
+            const properties = {};
+            savedProperties.forEach(name => { properties[name] = context[name]; });
+            stack.push({ properties: properties, matrix: state.matrix.slice(), clipId: state.clipId, lineDash: state.lineDash.slice() });
+        },
+        restore() {
+            const saved = stack.pop();
+            if (!saved) return;
+            Object.assign(context, saved.properties);
+            state = { matrix: saved.matrix, clipId: saved.clipId, lineDash: saved.lineDash };
+        },
+
+        transform(a, b, c, d, e, f) {
+            const [ma, mb, mc, md, me, mf] = state.matrix;
+            state.matrix = [ma * a + mc * b, mb * a + md * b, ma * c + mc * d, mb * c + md * d, ma * e + mc * f + me, mb * e + md * f + mf];
+        },
+        setTransform(a, b, c, d, e, f) {
+            state.matrix = a !== null && typeof a === 'object' ? [a.a, a.b, a.c, a.d, a.e, a.f] : [a, b, c, d, e, f];
+        },
+        resetTransform() {
+            state.matrix = [1, 0, 0, 1, 0, 0];
+        },
+        getTransform() {
+            const [a, b, c, d, e, f] = state.matrix;
+            return { a, b, c, d, e, f };
+        },
+        translate(x, y) {
+            context.transform(1, 0, 0, 1, x, y);
+        },
+        scale(x, y) {
+            context.transform(x, 0, 0, y, 0, 0);
+        },
+        rotate(angle) {
+            context.transform(Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0);
+        },
+
+        beginPath() {
+            path = '';
+            current = null;
+            subpathStart = null;
+        },
+        moveTo(x, y) {
+            current = subpathStart = apply(x, y);
+            path += `M${point(current)}`;
+        },
+        lineTo(x, y) {
+            lineToPoint(apply(x, y));
+        },
+        closePath() {
+            if (!current) return;
+            path += 'Z';
+            current = subpathStart;
+        },
+        rect(x, y, width, height) {
+            context.moveTo(x, y);
+            context.lineTo(x + width, y);
+            context.lineTo(x + width, y + height);
+            context.lineTo(x, y + height);
+            context.closePath();
+        },
+        quadraticCurveTo(cpx, cpy, x, y) {
+            if (!current) context.moveTo(cpx, cpy);
+            current = apply(x, y);
+            path += `Q${point(apply(cpx, cpy))} ${point(current)}`;
+        },
+        bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+            if (!current) context.moveTo(cp1x, cp1y);
+            current = apply(x, y);
+            path += `C${point(apply(cp1x, cp1y))} ${point(apply(cp2x, cp2y))} ${point(current)}`;
+        },
+        arc(x, y, radius, startAngle, endAngle, counterclockwise) {
+            context.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+        },
+        ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise) {
+            const on = angle => apply(
+                x + radiusX * Math.cos(angle) * Math.cos(rotation) - radiusY * Math.sin(angle) * Math.sin(rotation),
+                y + radiusX * Math.cos(angle) * Math.sin(rotation) + radiusY * Math.sin(angle) * Math.cos(rotation));
+            const direction = counterclockwise ? -1 : 1;
+            const delta = (endAngle - startAngle) * direction;
+            const sweep = delta >= TAU ? TAU : ((delta % TAU) + TAU) % TAU;
+            lineToPoint(on(startAngle));
+            if (sweep === 0) return;
+            // SVG arcs cannot close on themselves, so a full turn takes two
+            const parts = sweep === TAU ? 2 : 1;
+            const factor = scaleFactor();
+            const degrees = round((rotation + Math.atan2(state.matrix[1], state.matrix[0])) * 180 / Math.PI);
+            for (let i = 1; i <= parts; i++) {
+                current = on(startAngle + direction * sweep * i / parts);
+                path += `A${round(radiusX * factor)} ${round(radiusY * factor)} ${degrees} ${sweep / parts > Math.PI ? 1 : 0} ${counterclockwise ? 0 : 1} ${point(current)}`;
+            }
+        },
+
+        fill(fillRule) {
+            if (!path) return;
+            elements.push(`<path d="${path}" fill="${paint(context.fillStyle)}"${fillRule === 'evenodd' ? ' fill-rule="evenodd"' : ''}${shared()}/>`);
+        },
+        stroke() {
+            if (!path) return;
+            elements.push(`<path d="${path}" ${strokeAttributes()}${shared()}/>`);
+        },
+        clip(fillRule) {
+            const id = `chart-clip-${clipPaths.length + 1}`;
+            clipPaths.push(`<clipPath id="${id}"${state.clipId ? ` clip-path="url(#${state.clipId})"` : ''}><path d="${path || 'M0 0'}"${fillRule === 'evenodd' ? ' clip-rule="evenodd"' : ''}/></clipPath>`);
+            state.clipId = id;
+        },
+        fillRect(x, y, width, height) {
+            withRectPath(x, y, width, height, () => context.fill());
+        },
+        strokeRect(x, y, width, height) {
+            withRectPath(x, y, width, height, () => context.stroke());
+        },
+        clearRect(x, y, width, height) {
+            // Chart.js clears the whole canvas before each draw; partial clears have no SVG equivalent
+            const [left, top] = apply(x, y);
+            const [right, bottom] = apply(x + width, y + height);
+            if (left <= 0 && top <= 0 && right >= canvas.width && bottom >= canvas.height) elements = [];
+        },
+
+        fillText(text, x, y) {
+            drawText(text, x, y, 'fill');
+        },
+        strokeText(text, x, y) {
+            drawText(text, x, y, 'stroke');
+        },
+        measureText(text) {
+            if (measurer && typeof measurer.measureText === 'function') {
+                measurer.font = context.font;
+                return measurer.measureText(text);
+            }
+            const size = parseFloat((context.font.match(/([\d.]+)px/) || [])[1]) || 10;
+            return { width: String(text).length * size * 0.55, actualBoundingBoxAscent: size * 0.8, actualBoundingBoxDescent: size * 0.2 };
+        },
+
+        setLineDash(segments) {
+            state.lineDash = (segments || []).slice();
+        },
+        getLineDash() {
+            return state.lineDash.slice();
+        },
+        createLinearGradient: gradient,
+        createRadialGradient: gradient,
+        createConicGradient: gradient,
+        createPattern: () => ({ color: null }),
+        drawImage() {},
+        isPointInPath: () => false,
+        isPointInStroke: () => false,
+
+        toSvg(title) {
+            return `<svg xmlns="http://www.w3.org/2000/svg" width="${canvas.width}" height="${canvas.height}" viewBox="0 0 ${canvas.width} ${canvas.height}">
+<title>${escapeHtml(title || '')}</title>
+<defs>${clipPaths.join('')}</defs>
+${elements.join('\n')}
+</svg>`;
+        }
+    };
+    return context;
+}
+
+/**
+ * Converts a data URL to a Blob.
+ * @param {string} url - Data URL.
+ * @returns {Blob} Binary content.
+ */
+function dataUrlToBlob(url) {
+    const [header, data] = url.split(',');
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: header.slice(5).split(';')[0] });
+}
+
+/**
+ * Returns the plotted data of a chart as rows: one row per label with a column per dataset,
+ * or one row per point (series, x, y) for charts without labels such as scatter charts.
+ * @param {object} chart - Chart.js instance.
+ * @returns {object} `{ headers, body }`.
+ */
+function getChartDataRows(chart) {
+    const labels = chart.data.labels || [];
+    const datasets = chart.data.datasets || [];
+    const seriesName = (dataset, index) => dataset.label || `Series ${index + 1}`;
+    const valueOf = value => (value !== null && typeof value === 'object' ? value.y ?? value.r ?? '' : value);
+
+    if (labels.length === 0) {
+        return {
+            headers: ['Series', 'X', 'Y'],
+            body: datasets.flatMap((dataset, index) => (dataset.data || []).map(point => [seriesName(dataset, index), point.x, point.y]))
+        };
+    }
+    const xTitle = chart.options.scales && chart.options.scales.x && chart.options.scales.x.title && chart.options.scales.x.title.text;
+    return {
+        headers: [xTitle || 'Label', ...datasets.map(seriesName)],
+        body: labels.map((label, i) => [[].concat(label).join(' '), ...datasets.map(dataset => valueOf((dataset.data || [])[i]))])
+    };
+}
+
+/**
+ * Renders (or refreshes) the accessible data table shown under a chart by its toolbar.
+ * @param {object} chart - Chart.js instance.
+ */
+function renderChartDataTable(chart) {
+    const { headers, body } = getChartDataRows(chart);
+    const format = value => (typeof value === 'number' ? formatNumber(value, { maximumFractionDigits: 2 }) : escapeHtml(value ?? ''));
+    chart.chartToolbar.$table.html(`
+        <table class="table table-sm text-sm w-full">
+            <caption class="caption-top font-semibold">${escapeHtml(getChartTitle(chart))}</caption>
+            <thead><tr>${headers.map(header => `<th scope="col">${escapeHtml(header)}</th>`).join('')}</tr></thead>
+            <tbody>${body.map(row => `<tr><th scope="row">${format(row[0])}</th>${row.slice(1).map(value => `<td class="text-right">${format(value)}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`);
+}
+
+/**
+ * Runs one chart toolbar action (see CHART_TOOLBAR_ACTIONS).
+ * @param {object} chart - Chart.js instance.
+ * @param {string} action - 'png', 'svg', 'copy', 'csv' or 'table'.
+ * @param {HTMLElement} button - The toolbar button.
+ */
+function runChartToolbarAction(chart, action, button) {
+    const fileBase = getChartFileBase(chart);
+    try {
+        switch (action) {
+            case 'png':
+                downloadBlob(dataUrlToBlob(renderChartImage(chart)), `${fileBase}.png`);
+                break;
+            case 'svg':
+                downloadBlob(new Blob([renderChartSvg(chart)], { type: 'image/svg+xml' }), `${fileBase}.svg`);
+                break;
+            case 'copy':
+                if (!navigator.clipboard || typeof ClipboardItem === 'undefined') {
+                    alert('This browser cannot copy images. Use Download PNG instead.');
+                    return;
+                }
+                navigator.clipboard.write([new ClipboardItem({ 'image/png': dataUrlToBlob(renderChartImage(chart)) })])
+                    .then(() => {
+                        const $icon = $(button).find('i');
+                        $icon.removeClass(CHART_TOOLBAR_ACTIONS.copy.icon).addClass('bi-clipboard-check');
+                        setTimeout(() => $icon.removeClass('bi-clipboard-check').addClass(CHART_TOOLBAR_ACTIONS.copy.icon), 1500);
+                    })
+                    .catch(error => {
+                        console.error('runChartToolbarAction: Could not copy the chart:', error);
+                        alert('Could not copy the chart. Use Download PNG instead.');
+                    });
+                break;
+            case 'csv': {
+                const { headers, body } = getChartDataRows(chart);
+                downloadBlob(new Blob(['\uFEFF' + toCsv(headers, body)], { type: 'text/csv;charset=utf-8;' }), `${fileBase}.csv`);
+                break;
+            }
+            case 'table': {
+                const $table = chart.chartToolbar.$table;
+                const show = !$table.is(':visible');
+                if (show) renderChartDataTable(chart);
+                $table.toggle(show);
+                $(button).attr('aria-expanded', show).attr('title', show ? 'Hide table' : CHART_TOOLBAR_ACTIONS.table.label);
+                break;
+            }
+            default:
+                console.warn(`runChartToolbarAction: Unknown action '${action}'.`);
+        }
+    } catch (error) {
+        console.error(`runChartToolbarAction: '${action}' failed:`, error);
+        alert('Could not export the chart. Please try again.');
+    }
+}
+
+/**
+ * Returns the element a chart's toolbar and texts are placed around: the fixed-height box holding its canvas,
+ * if the canvas sits in one alone, else the canvas itself.
+ * @param {object} chart - Chart.js instance.
+ * @returns {jQuery} The box or canvas.
+ */
+function getChartBox(chart) {
+    const $canvas = $(chart.canvas);
+    return $canvas.parent().children().length === 1 ? $canvas.parent() : $canvas;
+}
+
+/**
+ * Gives a chart's canvas an ID if it has none, for the toolbar and summary to refer to.
+ * @param {object} chart - Chart.js instance.
+ * @returns {string} The canvas ID.
+ */
+function ensureChartCanvasId(chart) {
+    if (!chart.canvas.id) chart.canvas.id = `chart-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    return chart.canvas.id;
+}
+
+/**
+ * Adds the toolbar above a chart (above the fixed-height box holding its canvas, if any) and the hidden
+ * data table below it.
+ * @param {object} chart - Chart.js instance.
+ */
+function attachChartToolbar(chart) {
+    const canvas = chart.canvas;
+    if (!canvas || !canvas.isConnected || chart.chartToolbar) return;
+    ensureChartCanvasId(chart);
+
+    const $box = getChartBox(chart);
+    const buttonsHtml = Object.keys(CHART_TOOLBAR_ACTIONS).map(action => `
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-chart-action="${action}" title="${CHART_TOOLBAR_ACTIONS[action].label}" aria-label="${CHART_TOOLBAR_ACTIONS[action].label}"${action === 'table' ? ` aria-expanded="false" aria-controls="${canvas.id}-data-table"` : ''}>
+            <i class="bi ${CHART_TOOLBAR_ACTIONS[action].icon}" aria-hidden="true"></i>
+        </button>`).join('');
+
+    const $toolbar = $(`<div class="chart-toolbar flex justify-end gap-1 mb-2" role="toolbar" aria-label="Chart actions" aria-controls="${canvas.id}">${buttonsHtml}</div>`);
+    const $table = $(`<div id="${canvas.id}-data-table" class="chart-data-table mt-3 overflow-x-auto" role="region" aria-label="Chart data" style="display:none;"></div>`);
+    $box.before($toolbar).after($table);
+    $toolbar.on('click', '[data-chart-action]', function () {
+        runChartToolbarAction(chart, $(this).data('chart-action'), this);
+    });
+    chart.chartToolbar = { $toolbar: $toolbar, $table: $table };
+}
+
+/**
+ * Chart.js plugin giving every chart (the table chart views, linked charts and the dashboards) an export toolbar.
+ * Disable it for a chart with `options.plugins.chartToolbar: false`.
+ */
+const chartToolbarPlugin = {
+    id: 'chartToolbar',
+    afterInit: chart => attachChartToolbar(chart),
+    afterUpdate: chart => {
+        if (chart.chartToolbar && chart.chartToolbar.$table.is(':visible')) renderChartDataTable(chart);
+    },
+    afterDestroy: chart => {
+        if (!chart.chartToolbar) return;
+        chart.chartToolbar.$toolbar.remove();
+        chart.chartToolbar.$table.remove();
+        chart.chartToolbar = null;
+    }
+};
+
+if (typeof Chart !== 'undefined') {
+    Chart.register(chartToolbarPlugin);
+}
+
+/***Chart Summaries */
+
+/** Chart type names used in chart summaries. */
+const CHART_TYPE_NAMES = {
+    bar: 'Bar', line: 'Line', pie: 'Pie', doughnut: 'Doughnut', polarArea: 'Polar area', radar: 'Radar', scatter: 'Scatter', bubble: 'Bubble'
+};
+
+/** Number of series a chart summary describes; the data table lists them all. */
+const CHART_SUMMARY_MAX_SERIES = 3;
+
+/**
+ * Describes a chart in words: its type, title and categories, then per visible series the highest, lowest and
+ * total values, the start, end and direction of line charts, or the largest and smallest shares of pie charts.
+ * @param {object} chart - Chart.js instance.
+ * @param {string|object} [valueFormat='number'] - Format of the values (see formatByType).
+ * @returns {string} Summary, e.g. 'Bar chart of Incidents by Type, 4 categories. Incidents: highest Safety (12), lowest Quality (3), total 27.'
+ */
+function describeChart(chart, valueFormat = 'number') {
+    const type = chart.config.type;
+    const title = getChartTitle(chart);
+    const format = value => formatByType(value, valueFormat);
+    const labels = (chart.data.labels || []).map(label => [].concat(label).join(' '));
+    const datasets = (chart.data.datasets || []).filter((dataset, index) => chart.isDatasetVisible(index));
+    const toNumber = value => (value === null || value === undefined || value === '' ? NaN : Number(value));
+
+    let overview = `${CHART_TYPE_NAMES[type] || type} chart`;
+    if (title !== chart.canvas.id && title !== 'chart') overview += ` of ${title}`;
+    if (labels.length > 0 && type === 'line') {
+        overview += `, ${labels.length} points from ${labels[0]} to ${labels[labels.length - 1]}`;
+    } else if (labels.length > 0) {
+        overview += `, ${labels.length} ${labels.length === 1 ? 'category' : 'categories'}`;
+    }
+    const sentences = [overview];
+
+    datasets.slice(0, CHART_SUMMARY_MAX_SERIES).forEach((dataset, index) => {
+        const name = dataset.label || (datasets.length === 1 ? 'Values' : `Series ${index + 1}`);
+        if (labels.length === 0) {
+            // Scatter and bubble charts: the ranges of both axes
+            const points = (dataset.data || []).filter(point => point !== null && typeof point === 'object');
+            const xs = points.map(point => toNumber(point.x)).filter(isFinite);
+            const ys = points.map(point => toNumber(point.y)).filter(isFinite);
+            if (xs.length === 0 || ys.length === 0) return;
+            const xScale = chart.options.scales && chart.options.scales.x;
+            const formatX = value => (xScale && ['time', 'timeseries'].includes(xScale.type) ? formatDate(value) : formatNumber(value, { maximumFractionDigits: 2 }));
+            sentences.push(`${name}: ${points.length} points, x from ${formatX(Math.min(...xs))} to ${formatX(Math.max(...xs))}, y from ${format(Math.min(...ys))} to ${format(Math.max(...ys))}`);
+            return;
+        }
+
+        const points = labels.map((label, i) => {
+            const value = (dataset.data || [])[i];
+            const number = value !== null && typeof value === 'object' ? (chart.options.indexAxis === 'y' ? value.x : value.y) : value;
+            return { label: label, value: toNumber(number) };
+        }).filter(point => isFinite(point.value));
+        if (points.length === 0) return;
+        const highest = points.reduce((max, point) => (point.value > max.value ? point : max));
+        const lowest = points.reduce((min, point) => (point.value < min.value ? point : min));
+        const total = points.reduce((sum, point) => sum + point.value, 0);
+        const describe = point => `${point.label} (${format(point.value)})`;
+
+        if (type === 'line') {
+            const first = points[0];
+            const last = points[points.length - 1];
+            const trend = last.value > first.value ? 'rising' : last.value < first.value ? 'falling' : 'unchanged';
+            sentences.push(`${name}: ${trend} from ${format(first.value)} to ${format(last.value)}, highest ${describe(highest)}, lowest ${describe(lowest)}`);
+        } else if (PER_POINT_COLOR_CHART_TYPES.includes(type)) {
+            const share = point => `${point.label} (${format(point.value)}, ${formatPercent(total ? point.value / total : 0)})`;
+            sentences.push(`${name}: total ${format(total)}, largest ${share(highest)}, smallest ${share(lowest)}`);
+        } else {
+            sentences.push(`${name}: highest ${describe(highest)}, lowest ${describe(lowest)}, total ${format(total)}`);
+        }
+    });
+
+    if (sentences.length === 1) sentences.push('No data');
+    if (datasets.length > CHART_SUMMARY_MAX_SERIES) sentences.push(`${datasets.length - CHART_SUMMARY_MAX_SERIES} more series not described`);
+    if (chart.chartToolbar) sentences.push('All values are available with View as table in the chart toolbar');
+    return `${sentences.join('. ')}.`;
+}
+
+/**
+ * Labels a chart's canvas as an image named after the chart, described by a text summary of its data
+ * (see describeChart) placed after it. The summary is rewritten whenever the chart updates.
+ * @param {object} chart - Chart.js instance.
+ * @param {object} [options] - The chartSummary plugin options: `{ valueFormat, visible }`.
+ */
+function updateChartSummary(chart, options = {}) {
+    const canvas = chart.canvas;
+    if (!canvas || !canvas.isConnected) return;
+    if (!chart.chartSummary) {
+        const canvasId = ensureChartCanvasId(chart);
+        // Hidden summaries are still read as the canvas description
+        chart.chartSummary = $(`<p id="${canvasId}-summary" class="chart-summary text-sm text-gray-500 mt-2 mb-0"${options.visible ? '' : ' hidden'}></p>`);
+        getChartBox(chart).after(chart.chartSummary);
+        $(canvas).attr({ role: 'img', 'aria-describedby': `${canvasId}-summary` });
+    }
+    const title = getChartTitle(chart);
+    const typeName = `${CHART_TYPE_NAMES[chart.config.type] || chart.config.type} chart`;
+    $(canvas).attr('aria-label', title !== canvas.id && title !== 'chart' ? `${title} (${typeName.toLowerCase()})` : typeName);
+    chart.chartSummary.text(describeChart(chart, options.valueFormat));
+}
+
+/**
+ * Chart.js plugin giving every chart a text alternative for screen readers (see updateChartSummary).
+ * Show the summary under a chart with `options.plugins.chartSummary.visible: true`; disable it with
+ * `options.plugins.chartSummary: false`.
+ */
+const chartSummaryPlugin = {
+    id: 'chartSummary',
+    defaults: { valueFormat: 'number', visible: false },
+    afterUpdate: (chart, args, options) => updateChartSummary(chart, options),
+    afterDestroy: chart => {
+        if (!chart.chartSummary) return;
+        chart.chartSummary.remove();
+        chart.chartSummary = null;
+        $(chart.canvas).removeAttr('role aria-label aria-describedby');
+    }
+};
+
+if (typeof Chart !== 'undefined') {
+    Chart.register(chartSummaryPlugin);
+}
+
+/***Chart Theme */
+
+/**
+ * Chart colors per site theme, mirroring the theme variables in site.css
+ * (canvas drawing cannot resolve CSS variables, so they are spelled out here).
+ */
+const CHART_THEMES = {
+    light: {
+        text: '#5A6772',
+        title: '#1A1A1A',
+        grid: 'rgba(90, 103, 114, 0.15)',
+        background: '#FFFFFF',
+        tooltipBackground: 'rgba(26, 26, 26, 0.9)',
+        tooltipText: '#FFFFFF'
+    },
+    dark: {
+        text: '#A0AEC0',
+        title: '#F7FAFC',
+        grid: 'rgba(160, 174, 192, 0.2)',
+        background: '#2F244C',
+        tooltipBackground: 'rgba(247, 250, 252, 0.95)',
+        tooltipText: '#1A1A1A'
+    }
+};
+
+/**
+ * Series color palettes. 'colorBlindSafe' is the Okabe–Ito palette, distinguishable with the common
+ * forms of color blindness.
+ */
+const CHART_PALETTES = {
+    standard: { label: 'Standard colors', colors: ['#1160B1', '#23BFBF', '#F6BE00', '#C9191E', '#8B5CF6', '#2E8540', '#EC4899', '#F97316'] },
+    colorBlindSafe: { label: 'Color-blind safe', colors: ['#0072B2', '#E69F00', '#009E73', '#CC79A7', '#56B4E9', '#D55E00', '#F0E442', '#999999'] }
+};
+
+/** Font used by every chart. */
+const CHART_FONT_FAMILY = "'Inter', sans-serif";
+
+/** Chart types colored per data point (slice) instead of per dataset. */
+const PER_POINT_COLOR_CHART_TYPES = ['pie', 'doughnut', 'polarArea'];
+
+/**
+ * Returns the colors for the current theme (`data-theme` on `<html>`) and the user's palette.
+ * @returns {object} Theme colors plus `palette` (array of colors).
+ */
+function getChartTheme() {
+    const theme = CHART_THEMES[$('html').attr('data-theme')] || CHART_THEMES.light;
+    const palette = CHART_PALETTES[localStorage.getItem('chartPalette')] || CHART_PALETTES.standard;
+    return { ...theme, palette: palette.colors };
+}
+
+/**
+ * Returns a '#RRGGBB' color with an alpha channel as `rgba()`.
+ * @param {string} hex - Hex color.
+ * @param {number} alpha - Opacity between 0 and 1.
+ * @returns {string} CSS color.
+ */
+function withAlpha(hex, alpha) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+/**
+ * Applies the theme's text, title, tooltip and grid colors to a chart's options (overriding colors set by the page).
+ * @param {object} chart - Chart.js instance.
+ */
+function applyChartThemeOptions(chart) {
+    const theme = getChartTheme();
+    const options = chart.config.options;
+    const plugins = options.plugins = options.plugins || {};
+    plugins.title = { ...plugins.title, color: theme.title };
+    plugins.legend = { ...plugins.legend, labels: { ...(plugins.legend && plugins.legend.labels), color: theme.text } };
+    plugins.tooltip = { ...plugins.tooltip, backgroundColor: theme.tooltipBackground, titleColor: theme.tooltipText, bodyColor: theme.tooltipText, footerColor: theme.tooltipText };
+
+    if (!PER_POINT_COLOR_CHART_TYPES.includes(chart.config.type)) {
+        options.scales = options.scales || {};
+        ['x', 'y'].forEach(axis => { options.scales[axis] = options.scales[axis] || {}; });
+    }
+    Object.values(options.scales || {}).forEach(scale => {
+        scale.ticks = { ...scale.ticks, color: theme.text };
+        scale.title = { ...scale.title, color: theme.text };
+        scale.grid = { ...scale.grid, color: theme.grid };
+        scale.border = { ...scale.border, color: theme.grid };
+        if (scale.pointLabels || scale.angleLines) { // Radial scales
+            scale.pointLabels = { ...scale.pointLabels, color: theme.text };
+            scale.angleLines = { ...scale.angleLines, color: theme.grid };
+        }
+    });
+}
+
+/** Colors applyChartThemeColors filled in, by dataset: these follow theme changes, colors set by the page are never touched. */
+const chartThemeFilledColors = new WeakMap();
+
+/**
+ * Colors a chart's datasets from the palette: one color per dataset, or per slice for pie-like charts.
+ * Only colors a dataset leaves unset are filled in. A dataset may pick its palette slot with `themeColor: index`
+ * (e.g. a forecast sharing its history's color), set its fill opacity with `themeFill`, or opt out with `themeColor: false`.
+ * @param {object} chart - Chart.js instance.
+ */
+function applyChartThemeColors(chart) {
+    const theme = getChartTheme();
+    const palette = theme.palette;
+    (chart.data.datasets || []).forEach((dataset, index) => {
+        if (dataset.themeColor === false) return;
+        const filled = chartThemeFilledColors.get(dataset) || new Set();
+        chartThemeFilledColors.set(dataset, filled);
+        const fillColor = (key, value) => {
+            if (dataset[key] !== undefined && !filled.has(key)) return;
+            dataset[key] = value;
+            filled.add(key);
+        };
+
+        const type = dataset.type || chart.config.type;
+        if (PER_POINT_COLOR_CHART_TYPES.includes(type)) {
+            fillColor('backgroundColor', (dataset.data || []).map((value, i) => palette[i % palette.length]));
+            fillColor('borderColor', theme.background);
+            return;
+        }
+        const color = palette[(dataset.themeColor ?? index) % palette.length];
+        const fill = dataset.themeFill ?? (type === 'line' || type === 'radar' ? 0.2 : 0.75);
+        fillColor('borderColor', dataset.borderWidth === 0 ? 'transparent' : color);
+        fillColor('backgroundColor', withAlpha(color, fill));
+        fillColor('pointBackgroundColor', color);
+        fillColor('pointBorderColor', theme.background);
+        fillColor('pointHoverBackgroundColor', theme.background);
+        fillColor('pointHoverBorderColor', color);
+    });
+}
+
+/**
+ * Sets the Chart.js defaults (font and colors) for the current theme.
+ */
+function applyChartDefaults() {
+    const theme = getChartTheme();
+    Chart.defaults.font.family = CHART_FONT_FAMILY;
+    Chart.defaults.color = theme.text;
+    Chart.defaults.borderColor = theme.grid;
+}
+
+/**
+ * Re-applies the theme and palette to every live chart (table chart views, linked and dashboard charts)
+ * without re-creating them. Called when the theme toggle or the palette selector changes.
+ */
+function refreshChartThemes() {
+    if (typeof Chart === 'undefined') return;
+    applyChartDefaults();
+    Object.values(Chart.instances || {}).forEach(chart => {
+        if ((chart.config.options.plugins || {}).chartTheme === false) return;
+        applyChartThemeOptions(chart);
+        chart.update('none');
+    });
+}
+
+/**
+ * Switches the chart palette (see CHART_PALETTES), remembered in localStorage.
+ * @param {string} name - Palette key.
+ */
+function setChartPalette(name) {
+    if (!CHART_PALETTES[name]) {
+        console.warn(`setChartPalette: Unknown palette '${name}'.`);
+        return;
+    }
+    localStorage.setItem('chartPalette', name);
+    refreshChartThemes();
+}
+
+/**
+ * Chart.js plugin applying the chart theme to every chart: theme colors on creation, and on every update palette colors
+ * for the dataset colors a page leaves unset (datasets are often replaced, e.g. by refreshChart).
+ * Disable it for a chart with `options.plugins.chartTheme: false`.
+ */
+const chartThemePlugin = {
+    id: 'chartTheme',
+    beforeInit: chart => applyChartThemeOptions(chart),
+    beforeUpdate: chart => applyChartThemeColors(chart)
+};
+
+if (typeof Chart !== 'undefined') {
+    Chart.register(chartThemePlugin);
+    applyChartDefaults();
+}
+
+/***Formatting */
+
+/**
+ * Formatting conventions used when neither the active company nor the user sets one.
+ * `dateStyle` is 'short', 'medium', 'long' or 'iso'; `fiscalYearStartMonth` is 1–12 (1 = calendar year).
+ */
+const FORMAT_DEFAULTS = {
+    locale: navigator.language || 'en-US',
+    currency: 'USD',
+    dateStyle: 'short',
+    fiscalYearStartMonth: 1
+};
+
+/**
+ * Conventions of a company's country, used for company records without explicit `locale`/`currency` fields.
+ */
+const COUNTRY_FORMATS = {
+    US: { locale: 'en-US', currency: 'USD', fiscalYearStartMonth: 1 },
+    CA: { locale: 'en-CA', currency: 'CAD', fiscalYearStartMonth: 1 },
+    GB: { locale: 'en-GB', currency: 'GBP', fiscalYearStartMonth: 4 },
+    IE: { locale: 'en-IE', currency: 'EUR', fiscalYearStartMonth: 1 },
+    AU: { locale: 'en-AU', currency: 'AUD', fiscalYearStartMonth: 7 },
+    MX: { locale: 'es-MX', currency: 'MXN', fiscalYearStartMonth: 1 },
+    DE: { locale: 'de-DE', currency: 'EUR', fiscalYearStartMonth: 1 },
+    FR: { locale: 'fr-FR', currency: 'EUR', fiscalYearStartMonth: 1 }
+};
+
+const FORMAT_SETTING_KEYS = ['locale', 'currency', 'dateStyle', 'fiscalYearStartMonth'];
+
+// Intl formatters are costly to create, so they are cached per locale and options
+const intlFormatterCache = {};
+let formatSettingsCache = null;
+
+/**
+ * Returns the formatting conventions in effect: the defaults, overridden by the active company's conventions
+ * (see setActiveCompany), overridden by the user's own choices (see setFormatSettings).
+ * @returns {object} `{ locale, currency, dateStyle, fiscalYearStartMonth, companyId, companyName }`.
+ */
+function getFormatSettings() {
+    if (formatSettingsCache) return formatSettingsCache;
+    const read = key => {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || {};
+        } catch (e) {
+            return {};
+        }
+    };
+    formatSettingsCache = { ...FORMAT_DEFAULTS, ...read('formatCompany'), ...read('formatSettings') };
+    return formatSettingsCache;
+}
+
+/**
+ * Picks the formatting conventions of a company record: its `locale`, `currency`, `dateStyle` and
+ * `fiscalYearStartMonth` fields, falling back to the conventions of its `country` (see COUNTRY_FORMATS).
+ * @param {object} company - Company record.
+ * @returns {object} Conventions set by the company (empty when it sets none).
+ */
+function getCompanyFormatSettings(company) {
+    const country = COUNTRY_FORMATS[String(company.country || company.countryCode || '').toUpperCase()] || {};
+    const settings = {};
+    FORMAT_SETTING_KEYS.forEach(key => {
+        const value = company[key] ?? country[key];
+        if (value !== undefined && value !== null && value !== '') settings[key] = value;
+    });
+    return settings;
+}
+
+/**
+ * Makes a company's number and date conventions the ones in effect (e.g. a Canadian subsidiary formats in en-CA),
+ * remembered in localStorage. Pass null to go back to the defaults.
+ * The company's currency is not applied: amounts are not converted, so they keep the currency they are recorded in.
+ * @param {object|null} company - Company record (see getCompanyFormatSettings).
+ */
+function setActiveCompany(company) {
+    if (company) {
+        const { currency, ...settings } = getCompanyFormatSettings(company);
+        localStorage.setItem('formatCompany', JSON.stringify({
+            ...settings,
+            companyId: company.companyId,
+            companyName: company.companyName
+        }));
+    } else {
+        localStorage.removeItem('formatCompany');
+    }
+    refreshFormattedViews();
+}
+
+/**
+ * Sets the user's own formatting choices, which take precedence over the company's, remembered in localStorage.
+ * Pass null to clear them.
+ * @param {object|null} settings - Any of `locale`, `currency`, `dateStyle`, `fiscalYearStartMonth`.
+ */
+function setFormatSettings(settings) {
+    if (settings) {
+        const picked = {};
+        FORMAT_SETTING_KEYS.filter(key => settings[key] !== undefined).forEach(key => { picked[key] = settings[key]; });
+        localStorage.setItem('formatSettings', JSON.stringify(picked));
+    } else {
+        localStorage.removeItem('formatSettings');
+    }
+    refreshFormattedViews();
+}
+
+/**
+ * Re-renders everything formatted with the previous conventions: table and card views, and charts.
+ * Pages with their own formatted content listen for the `formatSettingsChanged` document event.
+ */
+function refreshFormattedViews() {
+    formatSettingsCache = null;
+    Object.values(dataTableManager).forEach(instance => {
+        if (instance.table) instance.table.rows().invalidate('data').draw(false);
+    });
+    if (typeof Chart !== 'undefined') {
+        Object.values(Chart.instances || {}).forEach(chart => chart.update('none'));
+    }
+    $(document).trigger('formatSettingsChanged', [getFormatSettings()]);
+}
+
+/**
+ * Returns a cached Intl formatter for the current locale.
+ * @param {string} kind - 'NumberFormat' or 'DateTimeFormat'.
+ * @param {object} options - Intl options.
+ * @returns {object} Intl formatter.
+ */
+function getIntlFormatter(kind, options) {
+    const locale = getFormatSettings().locale;
+    const key = `${kind}|${locale}|${JSON.stringify(options)}`;
+    if (!intlFormatterCache[key]) {
+        try {
+            intlFormatterCache[key] = new Intl[kind](locale, options);
+        } catch (e) {
+            console.warn(`getIntlFormatter: Invalid locale '${locale}' or options, using the defaults.`, e);
+            intlFormatterCache[key] = new Intl[kind](FORMAT_DEFAULTS.locale, kind === 'NumberFormat' && options.style === 'currency'
+                ? { ...options, currency: FORMAT_DEFAULTS.currency }
+                : options);
+        }
+    }
+    return intlFormatterCache[key];
+}
+
+/**
+ * Converts a value to a number for formatting.
+ * @param {*} value - Number or numeric string.
+ * @returns {number|null} The number, or null for missing and non-numeric values.
+ */
+function toFormatNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Formats an amount in the current currency (or `options.currency`), e.g. '$1,234.50' or '1 234,50 €'.
+ * @param {*} value - Amount.
+ * @param {object} [options] - Intl.NumberFormat options, e.g. `{ maximumFractionDigits: 0 }` or `{ currency: 'EUR' }`.
+ * @returns {string} Formatted amount ('' for missing values).
+ */
+function formatCurrency(value, options = {}) {
+    const number = toFormatNumber(value);
+    if (number === null) return '';
+    const currency = options.currency || getFormatSettings().currency;
+    const fractionOptions = options.maximumFractionDigits === 0 && options.minimumFractionDigits === undefined ? { minimumFractionDigits: 0 } : {};
+    return getIntlFormatter('NumberFormat', { style: 'currency', ...fractionOptions, ...options, currency: currency }).format(number);
+}
+
+/**
+ * Formats a number with the current locale's separators.
+ * @param {*} value - Number.
+ * @param {object} [options] - Intl.NumberFormat options, e.g. `{ maximumFractionDigits: 2 }`.
+ * @returns {string} Formatted number ('' for missing values).
+ */
+function formatNumber(value, options = {}) {
+    const number = toFormatNumber(value);
+    return number === null ? '' : getIntlFormatter('NumberFormat', options).format(number);
+}
+
+/**
+ * Formats a ratio as a percentage, e.g. 0.285 as '28.5%'.
+ * @param {*} value - Ratio (1 = 100%).
+ * @param {object} [options] - Intl.NumberFormat options (default one decimal).
+ * @returns {string} Formatted percentage ('' for missing values).
+ */
+function formatPercent(value, options = {}) {
+    const number = toFormatNumber(value);
+    return number === null ? '' : getIntlFormatter('NumberFormat', { style: 'percent', maximumFractionDigits: 1, ...options }).format(number);
+}
+
+/**
+ * Converts a value to a Date. Date-only strings ('2024-06-30') are read as local dates, so they are not shifted
+ * to the previous day west of UTC.
+ * @param {*} value - Date, timestamp or date string.
+ * @returns {Date|null} The date, or null for missing and invalid values.
+ */
+function toFormatDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Formats a date with the current date style.
+ * @param {*} value - Date, timestamp or date string.
+ * @param {string} [style] - 'short', 'medium', 'long', 'iso', 'monthYear', 'dateTime' or 'time' (default the `dateStyle` setting).
+ * @returns {string} Formatted date ('' for missing or invalid dates).
+ */
+function formatDate(value, style) {
+    const date = toFormatDate(value);
+    if (!date) return '';
+    switch (style || getFormatSettings().dateStyle) {
+        case 'iso': return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        case 'monthYear': return getIntlFormatter('DateTimeFormat', { month: 'short', year: 'numeric' }).format(date);
+        case 'dateTime': return getIntlFormatter('DateTimeFormat', { dateStyle: 'short', timeStyle: 'short' }).format(date);
+        case 'time': return getIntlFormatter('DateTimeFormat', { timeStyle: 'medium' }).format(date);
+        case 'medium': return getIntlFormatter('DateTimeFormat', { dateStyle: 'medium' }).format(date);
+        case 'long': return getIntlFormatter('DateTimeFormat', { dateStyle: 'long' }).format(date);
+        default: return getIntlFormatter('DateTimeFormat', { year: 'numeric', month: 'numeric', day: 'numeric' }).format(date);
+    }
+}
+
+/**
+ * Returns the fiscal year and quarter of a date. Fiscal years are named after the calendar year they end in,
+ * so with an April start, 2024-05-01 falls in FY2025 Q1.
+ * @param {*} value - Date, timestamp or date string.
+ * @returns {object|null} `{ year, quarter, month }` (month is the 1-based fiscal month), or null for invalid dates.
+ */
+function getFiscalPeriod(value) {
+    const date = toFormatDate(value);
+    if (!date) return null;
+    const startMonth = (parseInt(getFormatSettings().fiscalYearStartMonth, 10) || 1) - 1;
+    const offset = (date.getMonth() - startMonth + 12) % 12;
+    return {
+        year: startMonth === 0 || date.getMonth() < startMonth ? date.getFullYear() : date.getFullYear() + 1,
+        quarter: Math.floor(offset / 3) + 1,
+        month: offset + 1
+    };
+}
+
+/**
+ * Formats a value by kind: the shared entry point for column renderers, cards and chart tooltips.
+ * @param {*} value - Value to format.
+ * @param {string|object} format - 'currency', 'number', 'integer', 'percent', 'date' (or a date style such as 'monthYear'),
+ * or `{ type, ...Intl options }`.
+ * @returns {string} Formatted value.
+ */
+function formatByType(value, format) {
+    const { type, ...options } = typeof format === 'object' ? format : { type: format };
+    switch (type) {
+        case 'currency': return formatCurrency(value, options);
+        case 'integer': return formatNumber(value, { maximumFractionDigits: 0, ...options });
+        case 'percent': return formatPercent(value, options);
+        case 'date': return formatDate(value, options.style);
+        case 'short': case 'medium': case 'long': case 'iso': case 'monthYear': case 'dateTime': return formatDate(value, type);
+        case 'number': return formatNumber(value, { maximumFractionDigits: 2, ...options });
+        default: return value === null || value === undefined ? '' : String(value);
+    }
+}
+
+/**
+ * Returns a DataTables column renderer that displays (and searches) the formatted value while sorting on the raw one.
+ * @param {string|object} format - See formatByType.
+ * @param {string} [emptyText=''] - Text shown for missing values.
+ * @returns {Function} DataTables `render` function.
+ */
+function renderFormatted(format, emptyText = '') {
+    return function (data, type) {
+        if (type !== 'display' && type !== 'filter') return data;
+        const text = formatByType(data, format);
+        return text === '' ? emptyText : text;
+    };
+}
+
+/**
+ * Formats a chart tooltip label as 'Series: value' ('Slice: value' for pie-like charts).
+ * @param {object} context - Chart.js tooltip context.
+ * @param {string|object} [format='number'] - See formatByType.
+ * @returns {string} Tooltip label.
+ */
+function formatChartTooltipLabel(context, format = 'number') {
+    const perPoint = PER_POINT_COLOR_CHART_TYPES.includes(context.chart.config.type);
+    const parsed = context.parsed;
+    let value = parsed;
+    if (!perPoint && parsed !== null && typeof parsed === 'object') {
+        value = context.chart.options.indexAxis === 'y' ? parsed.x : parsed.y;
+    }
+    const name = perPoint ? context.label : context.dataset.label;
+    return `${name ? `${name}: ` : ''}${formatByType(value, format)}`;
+}
+
+/**
+ * Re-initializes shared page features after the page (or AJAX-loaded content) is ready.
+ */
+function initializeCurrentPageFeatures() {
+    // Refresh the active-filter badge bar of every registered table
+    updateActiveFilterBadges();
+    // Drop the live subscriptions of the previous page and subscribe this page's KPIs
+    pruneEntityChangeSubscribers();
+    initializeLiveKpis();
+}
+
+// Write your JavaScript code.
+$(document).ready(function () {
+    // Theme Toggle Logic
+    const themeToggle = $('#themeToggle');
+    const htmlElement = $('html'); // Target the html element for data-theme
+
+    // Function to set the theme
+    function setTheme(theme) {
+        htmlElement.attr('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        // Update the checkbox state
+        themeToggle.prop('checked', theme === 'dark');
+        refreshChartThemes(); // Live-update existing charts
+    }
+
+    // Load theme from localStorage on page load
+    const savedTheme = localStorage.getItem('theme') || 'light'; // Default to light
+    setTheme(savedTheme);
+
+    // Listen for theme toggle changes
+    themeToggle.on('change', function () {
+        if ($(this).is(':checked')) {
+            setTheme('dark');
+        } else {
+            setTheme('light');
+        }
+    });
+
+    // Chart palette selector, filled from the chart palette registry
+    const paletteSelect = $('#chartPaletteSelect');
+    paletteSelect.html(Object.keys(CHART_PALETTES)
+        .map(name => `<option value="${name}">${escapeHtml(CHART_PALETTES[name].label)}</option>`).join(''));
+    paletteSelect.val(CHART_PALETTES[localStorage.getItem('chartPalette')] ? localStorage.getItem('chartPalette') : 'standard');
+    paletteSelect.on('change', function () {
+        setChartPalette($(this).val());
+    });
+
+    // Combined Toggle functionality for Navbar and Sidebar
+    $("#combinedNavbarSidebarToggle").click(function (e) {
+        e.preventDefault();
+        $("#wrapper").toggleClass("toggled");
+    });
+
+    // Function to set active class on sidebar link
+    function setActiveLink(path) {
+        $('#sidebarMenu .nav-link').removeClass('active');
+        $('#sidebarMenu a.nav-link').each(function () {
+            const linkUrl = $(this).data('page-url');
+            if (linkUrl && (path === linkUrl || (path.startsWith(linkUrl) && linkUrl !== "/"))) {
+                $(this).addClass('active');
+            } else if (linkUrl === "/Index" && path === "/") {
+                $(this).addClass('active');
+            }
+        });
+    }
+
+    // Initial active link setting
+    setActiveLink(window.location.pathname);
+
+    // AJAX page loading logic
+    async function loadPageContent(url, pushState = true) {
+        try {
+            const response = await fetch(url);
+            const html = await response.text();
+
+            // Create a temporary div to parse the fetched HTML
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = html;
 
             // Extract the content of the <main> tag
             const newMainContent = tempDiv.querySelector('main[role="main"]');
 
             if (newMainContent) {
-                // Replace the current main content
-                $('#main-content-area').html(newMainContent.innerHTML);
-
-                // Update the browser URL without reloading
+                // Update the browser URL without reloading. This happens before the content is inserted
+                // so tables initialized by the page's scripts read their state from the new query string.
                 if (pushState) {
                     history.pushState({ path: url }, '', url);
                 }
 
+                // Replace the current main content
+                $('#main-content-area').html(newMainContent.innerHTML);
+
                 // Update active sidebar link
                 setActiveLink(url);
 
@@ -568,11 +7696,15 @@ $(document).ready(function () {
 
     // Handle browser back/forward buttons
     window.addEventListener('popstate', (event) => {
+        // Entries that only differ in table state (same page) restore the tables in place
+        if (restoreTablesFromUrl()) {
+            return;
+        }
         if (event.state && event.state.path) {
             loadPageContent(event.state.path, false); // Don't push state again
         } else {
             // Fallback for initial page load or if state is null
-            loadPageContent(window.location.pathname, false);
+            loadPageContent(window.location.pathname + window.location.search, false);
         }
     });
 
@@ -600,11 +7732,11 @@ $(document).ready(function () {
                 current = end;
             }
             if (id === 'kpiRevenue' || id === 'kpiTotalInventoryValue') { // Assuming these are currency
-                obj.textContent = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(current);
+                obj.textContent = formatCurrency(current, { maximumFractionDigits: 0 });
             } else if (id === 'kpiProfitMargin') {
-                obj.textContent = current.toFixed(1) + '%';
+                obj.textContent = formatPercent(current / 100, { minimumFractionDigits: 1 });
             } else {
-                obj.textContent = prefix + current.toLocaleString() + suffix;
+                obj.textContent = prefix + formatNumber(current) + suffix;
             }
 
             if (current === end) {